@@ -1,6 +1,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import * as logger from "./logger.js";
+import { resolveEndpoint } from './endpoints.js';
 import WebSocket from 'ws';
 // Load environment variables at module scope
 dotenv.config();
@@ -16,28 +17,13 @@ export interface TradovateCredentials {
   sec: string;
 }
 
-// API URLs for different environments
-const API_URLS = {
-  demo: 'https://demo.tradovateapi.com/v1',
-  live: 'https://live.tradovateapi.com/v1',
-  md_demo: 'wss://md-demo.tradovateapi.com/v1/websocket',
-  md_live: 'wss://md.tradovateapi.com/v1/websocket'
-};
-
-// Get API environment from env vars - use a function to get fresh values
-function getApiEnvironment() {
-  return process.env.TRADOVATE_API_ENVIRONMENT || 'demo';
-}
-
-// Set API URLs based on environment - updated to use the function
+// Set API URLs based on environment and the URL overrides in ./endpoints.ts
 export function getTradovateApiUrl() {
-  const apiEnv = getApiEnvironment();
-  return API_URLS[apiEnv as keyof typeof API_URLS] || API_URLS.demo;
+  return resolveEndpoint('rest').url;
 }
 
 export function getTradovateMdApiUrl() {
-  const apiEnv = getApiEnvironment();
-  return apiEnv.includes('live') ? API_URLS.md_live : API_URLS.md_demo;
+  return resolveEndpoint('mdWs').url;
 }
 
 // Keep tokens in memory
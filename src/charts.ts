@@ -0,0 +1,255 @@
+import * as logger from "./logger.js";
+
+// How long to wait for the end of history before giving up on a chart request
+const HISTORY_TIMEOUT_MS = 30000;
+
+// Chart descriptions for each supported timeframe
+const TIMEFRAMES: { [timeframe: string]: ChartDescription } = {
+  "1min": { underlyingType: "MinuteBar", elementSize: 1, elementSizeUnit: "UnderlyingUnits" },
+  "5min": { underlyingType: "MinuteBar", elementSize: 5, elementSizeUnit: "UnderlyingUnits" },
+  "15min": { underlyingType: "MinuteBar", elementSize: 15, elementSizeUnit: "UnderlyingUnits" },
+  "30min": { underlyingType: "MinuteBar", elementSize: 30, elementSizeUnit: "UnderlyingUnits" },
+  "1hour": { underlyingType: "MinuteBar", elementSize: 60, elementSizeUnit: "UnderlyingUnits" },
+  "4hour": { underlyingType: "MinuteBar", elementSize: 240, elementSizeUnit: "UnderlyingUnits" },
+  "1day": { underlyingType: "DailyBar", elementSize: 1, elementSizeUnit: "UnderlyingUnits" }
+};
+
+export const TIMEFRAME_NAMES = Object.keys(TIMEFRAMES);
+
+// Chart types and the md/getchart underlying type and element size unit behind each.
+// Tick, Volume and Range bars are all built from ticks, closing every elementSize trades,
+// contracts traded, or elementSize of price movement.
+const CHART_TYPES: { [chartType: string]: { underlyingType: string; elementSizeUnit: string } } = {
+  MinuteBar: { underlyingType: "MinuteBar", elementSizeUnit: "UnderlyingUnits" },
+  DailyBar: { underlyingType: "DailyBar", elementSizeUnit: "UnderlyingUnits" },
+  Tick: { underlyingType: "Tick", elementSizeUnit: "UnderlyingUnits" },
+  Volume: { underlyingType: "Tick", elementSizeUnit: "Volume" },
+  Range: { underlyingType: "Tick", elementSizeUnit: "Range" }
+};
+
+export const CHART_TYPE_NAMES = Object.keys(CHART_TYPES);
+
+export interface ChartDescription {
+  underlyingType: string;
+  elementSize: number;
+  elementSizeUnit: string;
+  withHistogram?: boolean;
+}
+
+// The span of history to load: a date range, or a number of bars back from a point in time
+export interface HistoryRange {
+  asFrom?: string;
+  asTo?: string;
+  closestTimestamp?: string;
+  asMuchAsElements?: number;
+}
+
+// One OHLCV bar, normalized from a Tradovate chart bar
+export interface Bar {
+  timestamp: string;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+  upVolume: number;
+  downVolume: number;
+  bidVolume: number;
+  offerVolume: number;
+  ticks: number;
+}
+
+/**
+ * The md/getchart chart description for a timeframe
+ */
+export function getChartDescription(timeframe: string): ChartDescription {
+  const description = TIMEFRAMES[timeframe];
+  if (!description) {
+    throw new Error(`Unsupported timeframe: ${timeframe}. Use one of ${TIMEFRAME_NAMES.join(", ")}`);
+  }
+  return { ...description, withHistogram: false };
+}
+
+/**
+ * The md/getchart chart description for a chart type and element size, such as 2000 Tick or 5 Range
+ */
+export function buildChartDescription(chartType: string, elementSize: number): ChartDescription {
+  const type = CHART_TYPES[chartType];
+  if (!type) {
+    throw new Error(`Unsupported chart type: ${chartType}. Use one of ${CHART_TYPE_NAMES.join(", ")}`);
+  }
+  if (!Number.isInteger(elementSize) || elementSize <= 0) {
+    throw new Error("elementSize must be a positive whole number");
+  }
+  return { underlyingType: type.underlyingType, elementSize, elementSizeUnit: type.elementSizeUnit, withHistogram: false };
+}
+
+/**
+ * The chart description for either a timeframe or a chart type with an element size,
+ * along with a label for it like "5min" or "2000 Tick"
+ */
+export function resolveChartDescription(options: { timeframe?: string; chartType?: string; elementSize?: number }): { description: ChartDescription; label: string } {
+  if (options.chartType) {
+    if (options.timeframe) {
+      throw new Error("Use either timeframe or chartType with elementSize, not both");
+    }
+    if (options.elementSize === undefined) {
+      throw new Error("elementSize is required with chartType");
+    }
+    return {
+      description: buildChartDescription(options.chartType, options.elementSize),
+      label: `${options.elementSize} ${options.chartType}`
+    };
+  }
+  if (!options.timeframe) {
+    throw new Error("Provide a timeframe, or a chartType with elementSize");
+  }
+  return { description: getChartDescription(options.timeframe), label: options.timeframe };
+}
+
+function parseTimestamp(name: string, value: string): string {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`${name} must be an ISO 8601 date or timestamp`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Turn asFrom/asTo or closestTimestamp/asMuchAsElements into an md/getchart time range
+ */
+export function buildTimeRange(range: HistoryRange): Record<string, any> {
+  if (range.asTo && range.closestTimestamp) {
+    throw new Error("Use either asTo or closestTimestamp, not both");
+  }
+  if (!range.asFrom && !range.asMuchAsElements) {
+    throw new Error("Provide asFrom (and optionally asTo), or asMuchAsElements (and optionally closestTimestamp)");
+  }
+  if (range.asMuchAsElements !== undefined && (!Number.isInteger(range.asMuchAsElements) || range.asMuchAsElements <= 0)) {
+    throw new Error("asMuchAsElements must be a positive whole number");
+  }
+
+  const timeRange: Record<string, any> = {};
+  const closest = range.asTo || range.closestTimestamp;
+  timeRange.closestTimestamp = closest
+    ? parseTimestamp(range.asTo ? "asTo" : "closestTimestamp", closest)
+    : new Date().toISOString();
+  if (range.asFrom) {
+    timeRange.asFarAsTimestamp = parseTimestamp("asFrom", range.asFrom);
+    if (timeRange.asFarAsTimestamp >= timeRange.closestTimestamp) {
+      throw new Error("asFrom must be before asTo");
+    }
+  }
+  if (range.asMuchAsElements) {
+    timeRange.asMuchAsElements = range.asMuchAsElements;
+  }
+  return timeRange;
+}
+
+function normalizeBar(bar: any): Bar {
+  const upVolume = bar.upVolume || 0;
+  const downVolume = bar.downVolume || 0;
+  return {
+    timestamp: bar.timestamp,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: upVolume + downVolume,
+    upVolume,
+    downVolume,
+    bidVolume: bar.bidVolume || 0,
+    offerVolume: bar.offerVolume || 0,
+    ticks: (bar.upTicks || 0) + (bar.downTicks || 0)
+  };
+}
+
+/**
+ * Individual trades from a tick chart packet as one-trade bars. Prices and times in a packet are
+ * offsets from its base price (bp), in ticks of size ts, and its base time (bt).
+ */
+function normalizeTicks(packet: any): { key: string; bar: Bar }[] {
+  return (packet.tks || []).map((tick: any) => {
+    const price = (packet.bp + tick.p) * packet.ts;
+    return {
+      key: `tick:${tick.id}`,
+      bar: {
+        timestamp: new Date(packet.bt + tick.t).toISOString(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: tick.s,
+        upVolume: 0,
+        downVolume: 0,
+        bidVolume: 0,
+        offerVolume: 0,
+        ticks: 1
+      }
+    };
+  });
+}
+
+/**
+ * Load historical bars over the market data socket. Collects every md/getchart packet until the
+ * end-of-history marker, cancels the chart, and returns the bars oldest first without duplicates.
+ * Tick charts of single trades come back as one-trade bars in the same format.
+ */
+export async function fetchHistoricalBars(symbol: string, chartDescription: ChartDescription, timeRange: Record<string, any>, timeoutMs: number = HISTORY_TIMEOUT_MS): Promise<Bar[]> {
+  const socket = global.marketDataSocket;
+  if (!socket || !socket.isConnected()) {
+    throw new Error("Market data socket is not connected");
+  }
+
+  // Listen before asking, since packets can follow the response immediately
+  const packets: any[] = [];
+  let chartIds: number[] = [];
+  let onPacket: (() => void) | null = null;
+  const removeListener = socket.addListener(data => {
+    if (data?.e === 'chart' && data.d?.charts) {
+      packets.push(...data.d.charts);
+      onPacket?.();
+    }
+  });
+
+  let historicalId: number | undefined;
+  try {
+    const response = await socket.send({ url: 'md/getchart', body: { symbol, chartDescription, timeRange }, timeoutMs });
+    historicalId = response.d?.historicalId;
+    chartIds = [response.d?.historicalId, response.d?.realtimeId].filter(id => id !== undefined);
+
+    const isDone = () => packets.some(chart => chartIds.includes(chart.id) && chart.eoh);
+    if (!isDone()) {
+      await new Promise<void>((resolve, reject) => {
+        const timeoutId = setTimeout(() => reject(new Error(`Timed out waiting for historical bars for ${symbol}`)), timeoutMs);
+        onPacket = () => {
+          if (isDone()) {
+            clearTimeout(timeoutId);
+            resolve();
+          }
+        };
+      });
+    }
+  } finally {
+    removeListener();
+    if (historicalId !== undefined) {
+      socket.send({ url: 'md/cancelChart', body: { subscriptionId: historicalId } }).catch(error => {
+        logger.warn(`Failed to cancel chart ${historicalId} for ${symbol}:`, error);
+      });
+    }
+  }
+
+  // Keyed by timestamp, or by tick id for single trades, to drop repeats across packets
+  const bars: { [key: string]: Bar } = {};
+  for (const chart of packets) {
+    if (chartIds.includes(chart.id)) {
+      for (const bar of chart.bars || []) {
+        bars[bar.timestamp] = normalizeBar(bar);
+      }
+      for (const { key, bar } of normalizeTicks(chart)) {
+        bars[key] = bar;
+      }
+    }
+  }
+  return Object.values(bars).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import * as logger from "./logger.js";
+import { RiskOrder } from './risk.js';
+import { getEnvironment } from './endpoints.js';
+
+// An order held back until it is confirmed
+export interface PendingOrder {
+  endpoint: string;
+  body: any;
+  // Contract name as resolved when the order was held, checked against the symbol policy again on confirmation
+  symbol: string;
+  // Checked against the risk limits again on confirmation; absent for orders that add no risk
+  risk?: RiskOrder;
+  // Sends the confirmed body and reports the result the way the tool that held it would have
+  send: (body: any) => Promise<any>;
+}
+
+const DEFAULT_CONFIRM_TTL_SECONDS = 60;
+
+// Pending orders keyed by confirmation token
+const pendingOrders: { [token: string]: PendingOrder & { expiresAt: number } } = {};
+
+/**
+ * Whether orders need a confirm_order call before they are sent.
+ * TRADOVATE_CONFIRM_ORDERS=true/false overrides the default, which is on for the live environment only.
+ */
+export function isConfirmationRequired(): boolean {
+  const setting = process.env.TRADOVATE_CONFIRM_ORDERS;
+  if (setting) {
+    return setting.toLowerCase() === 'true';
+  }
+  return getEnvironment() === 'live';
+}
+
+function getConfirmTtlSeconds(): number {
+  const ttl = Number(process.env.TRADOVATE_CONFIRM_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_CONFIRM_TTL_SECONDS;
+}
+
+/**
+ * Hold an order back and issue the single-use token that releases it
+ */
+export function createConfirmation(order: PendingOrder): { token: string; expiresAt: string } {
+  // Drop anything that expired unconfirmed
+  const now = Date.now();
+  for (const [token, pending] of Object.entries(pendingOrders)) {
+    if (pending.expiresAt <= now) {
+      delete pendingOrders[token];
+    }
+  }
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const expiresAt = now + getConfirmTtlSeconds() * 1000;
+  // Copy the body so the token stays bound to the order as previewed
+  pendingOrders[token] = { ...order, body: JSON.parse(JSON.stringify(order.body)), expiresAt };
+  logger.info(`Order held for confirmation with token ${token} until ${new Date(expiresAt).toISOString()}`);
+
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Redeem a confirmation token. A token can be redeemed once, and only before it expires.
+ */
+export function takeConfirmation(token: string): { order?: PendingOrder; error?: string } {
+  const pending = pendingOrders[token];
+  if (!pending) {
+    return { error: `Unknown or already used confirmation token: ${token}` };
+  }
+
+  delete pendingOrders[token];
+  if (pending.expiresAt <= Date.now()) {
+    return { error: `Confirmation token ${token} expired at ${new Date(pending.expiresAt).toISOString()}. Place the order again to get a new token` };
+  }
+
+  const { expiresAt, ...order } = pending;
+  return { order };
+}
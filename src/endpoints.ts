@@ -0,0 +1,65 @@
+// Default endpoints for each Tradovate environment
+const DEFAULT_ENDPOINTS = {
+  demo: {
+    rest: 'https://demo.tradovateapi.com/v1',
+    tradingWs: 'wss://demo.tradovateapi.com/v1/websocket',
+    mdWs: 'wss://md-demo.tradovateapi.com/v1/websocket'
+  },
+  live: {
+    rest: 'https://live.tradovateapi.com/v1',
+    tradingWs: 'wss://live.tradovateapi.com/v1/websocket',
+    mdWs: 'wss://md.tradovateapi.com/v1/websocket'
+  }
+};
+
+type EndpointName = keyof typeof DEFAULT_ENDPOINTS.demo;
+
+// The environment variable that overrides each endpoint
+const ENDPOINT_VARIABLES: { [name in EndpointName]: string } = {
+  rest: 'TRADOVATE_API_URL',
+  tradingWs: 'TRADOVATE_WS_URL',
+  mdWs: 'TRADOVATE_MD_URL'
+};
+
+// An endpoint URL and where it came from: an environment variable, or the environment's default
+export interface ResolvedEndpoint {
+  url: string;
+  source: string;
+}
+
+/**
+ * The Tradovate environment, demo or live, from TRADOVATE_API_ENVIRONMENT
+ */
+export function getEnvironment(): 'demo' | 'live' {
+  return (process.env.TRADOVATE_API_ENVIRONMENT || 'demo').includes('live') ? 'live' : 'demo';
+}
+
+/**
+ * Resolve one endpoint. TRADOVATE_API_URL, TRADOVATE_WS_URL and TRADOVATE_MD_URL win,
+ * then TRADOVATE_BASE_URL (one host serving everything, like the mock server), then the environment's default.
+ */
+export function resolveEndpoint(name: EndpointName, environment: 'demo' | 'live' = getEnvironment()): ResolvedEndpoint {
+  const variable = ENDPOINT_VARIABLES[name];
+  if (process.env[variable]) {
+    return { url: process.env[variable]!.replace(/\/+$/, ''), source: variable };
+  }
+
+  const baseUrl = process.env.TRADOVATE_BASE_URL?.replace(/\/+$/, '');
+  if (baseUrl) {
+    const url = name === 'rest' ? `${baseUrl}/v1` : `${baseUrl.replace(/^http/, 'ws')}/v1/websocket`;
+    return { url, source: 'TRADOVATE_BASE_URL' };
+  }
+
+  return { url: DEFAULT_ENDPOINTS[environment][name], source: `default (${environment})` };
+}
+
+/**
+ * Every resolved endpoint, for diagnostics
+ */
+export function resolveEndpoints(): { [name in EndpointName]: ResolvedEndpoint } {
+  return {
+    rest: resolveEndpoint('rest'),
+    tradingWs: resolveEndpoint('tradingWs'),
+    mdWs: resolveEndpoint('mdWs')
+  };
+}
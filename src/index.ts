@@ -5,6 +5,7 @@
  * It demonstrates core MCP concepts like resources and tools by allowing:
  * - Listing contracts and positions as resources
  * - Reading individual contract and position details
+ * - Streaming live quotes as subscribable resources
  * - Managing positions via tools (create, modify, close)
  * - Getting account information and market data
  */
@@ -21,8 +22,11 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
@@ -43,21 +47,49 @@ import {
   handleGetContractDetails,
   handleListPositions,
   handlePlaceOrder,
+  handleConfirmOrder,
+  handlePlaceBracketOrder,
+  handlePlaceOcoOrder,
   handleModifyOrder,
   handleCancelOrder,
+  handleCancelAllOrders,
   handleLiquidatePosition,
+  handleReversePosition,
+  handleFlattenAccount,
+  flattenLockedOutAccount,
   handleGetAccountSummary,
+  handleGetRiskStatus,
+  handleGetServerStatus,
+  handleGetDiagnostics,
+  handleSetPaperQuote,
   handleGetMarketData,
+  handleGetHistoricalBars,
+  handleComputeIndicators,
   handleListOrders,
   handleListProducts,
   handleListExchanges,
   handleFindProduct
 } from "./tools.js";
+import { setLockoutListener, monitorDailyLoss } from "./risk.js";
+import { enabledTools, isToolEnabled, getDisabledReason, isReadOnly } from "./mode.js";
+import { getEnvironment } from "./endpoints.js";
+import { acquireMarketData, releaseMarketData, readMarketData, addMarketDataListener } from "./market-data.js";
 import { connect } from "./connect.js";
 import { getTradovateMdApiUrl } from "./auth.js";
 import { WebSocket } from "ws";
 import { TradovateSocket, createMarketDataSocket, createTradingSocket } from "./socket.js";
 
+// How often to check accounts against the daily loss limit
+const DAILY_LOSS_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Flatten accounts that hit the daily loss limit when the risk config asks for it
+setLockoutListener(async (accountId: number) => {
+  if (isReadOnly()) {
+    throw new Error("the server is running in read-only mode");
+  }
+  await flattenLockedOutAccount(accountId);
+});
+
 // Add global declaration for tradovate sockets
 declare global {
   var tradovateWs: WebSocket;
@@ -73,6 +105,7 @@ export const server = new Server(
   {
     capabilities: {
       resources: {
+        subscribe: true,
         "tradovate://contract/": {
           name: "Tradovate Contracts",
           description: "Futures contracts available on Tradovate",
@@ -81,6 +114,10 @@ export const server = new Server(
           name: "Tradovate Positions",
           description: "Current positions in your Tradovate account",
         },
+        "tradovate://quote/": {
+          name: "Tradovate Quotes",
+          description: "Live quotes for a contract, updated as they change",
+        },
       },
       prompts: {
         analyze_market_data: [{
@@ -93,7 +130,7 @@ export const server = new Server(
           }
         }]
       },
-      tools: {
+      tools: enabledTools({
         get_contract_details: {
           description: "Get detailed information about a specific contract by symbol",
           parameters: {
@@ -120,7 +157,7 @@ export const server = new Server(
           },
         },
         place_order: {
-          description: "Place a new order",
+          description: "Place a new order. When confirmations are on (the default for live), returns a preview and a token to pass to confirm_order instead of sending",
           parameters: {
             type: "object",
             properties: {
@@ -136,7 +173,7 @@ export const server = new Server(
               orderType: {
                 type: "string",
                 description: "Type of order",
-                enum: ["Market", "Limit", "Stop", "StopLimit"],
+                enum: ["Market", "Limit", "Stop", "StopLimit", "TrailingStop", "TrailingStopLimit"],
               },
               quantity: {
                 type: "number",
@@ -150,10 +187,137 @@ export const server = new Server(
                 type: "number",
                 description: "Stop price for Stop and StopLimit orders",
               },
+              trailOffset: {
+                type: "number",
+                description: "Trail distance for TrailingStop and TrailingStopLimit orders, in trailOffsetUnit",
+              },
+              trailOffsetUnit: {
+                type: "string",
+                description: "Unit of trailOffset (defaults to Ticks)",
+                enum: ["Ticks", "Price"],
+              },
+              timeInForce: {
+                type: "string",
+                description: "Time in force (defaults to Day)",
+                enum: ["Day", "GTC", "IOC", "FOK", "GTD"],
+              },
+              expireTime: {
+                type: "string",
+                description: "Expiration timestamp (ISO 8601), required for GTD orders",
+              },
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+              dryRun: {
+                type: "boolean",
+                description: "Check the order and return the exact payload, tick size check, estimated margin impact and risk check result without sending anything",
+              },
             },
             required: ["symbol", "action", "orderType", "quantity"],
           },
         },
+        confirm_order: {
+          description: "Send an order held for confirmation by place_order, place_bracket_order, place_oco_order, modify_order or reverse_position, using the confirmation token it returned. Tokens are single-use and expire",
+          parameters: {
+            type: "object",
+            properties: {
+              token: {
+                type: "string",
+                description: "The confirmation token from the order preview",
+              },
+            },
+            required: ["token"],
+          },
+        },
+        place_bracket_order: {
+          description: "Place an entry order with an attached take profit and stop loss",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              action: {
+                type: "string",
+                description: "Buy or Sell",
+                enum: ["Buy", "Sell"],
+              },
+              orderType: {
+                type: "string",
+                description: "Type of entry order (defaults to Market)",
+                enum: ["Market", "Limit", "Stop", "StopLimit"],
+              },
+              quantity: {
+                type: "number",
+                description: "Number of contracts",
+              },
+              price: {
+                type: "number",
+                description: "Entry price for Limit and StopLimit orders",
+              },
+              stopPrice: {
+                type: "number",
+                description: "Entry stop price for Stop and StopLimit orders",
+              },
+              takeProfitPrice: {
+                type: "number",
+                description: "Limit price of the profit target",
+              },
+              stopLossPrice: {
+                type: "number",
+                description: "Stop price of the stop loss",
+              },
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+            },
+            required: ["symbol", "action", "quantity", "takeProfitPrice", "stopLossPrice"],
+          },
+        },
+        place_oco_order: {
+          description: "Protect an open position with a linked one-cancels-other order pair",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol of the open position (e.g., ESZ4, NQZ4)",
+              },
+              quantity: {
+                type: "number",
+                description: "Number of contracts (optional, defaults to the full net position)",
+              },
+              leg1: {
+                type: "object",
+                description: "First leg, e.g. a Limit profit target",
+                properties: {
+                  orderType: { type: "string", enum: ["Limit", "Stop", "StopLimit"] },
+                  price: { type: "number" },
+                  stopPrice: { type: "number" },
+                },
+                required: ["orderType"],
+              },
+              leg2: {
+                type: "object",
+                description: "Second leg, e.g. a Stop loss",
+                properties: {
+                  orderType: { type: "string", enum: ["Limit", "Stop", "StopLimit"] },
+                  price: { type: "number" },
+                  stopPrice: { type: "number" },
+                },
+                required: ["orderType"],
+              },
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+            },
+            required: ["symbol", "leg1", "leg2"],
+          },
+        },
         modify_order: {
           description: "Modify an existing order",
           parameters: {
@@ -175,6 +339,32 @@ export const server = new Server(
                 type: "number",
                 description: "New quantity",
               },
+              trailOffset: {
+                type: "number",
+                description: "New trail distance for TrailingStop and TrailingStopLimit orders",
+              },
+              trailOffsetUnit: {
+                type: "string",
+                description: "Unit of trailOffset (defaults to Ticks)",
+                enum: ["Ticks", "Price"],
+              },
+              timeInForce: {
+                type: "string",
+                description: "New time in force",
+                enum: ["Day", "GTC", "IOC", "FOK", "GTD"],
+              },
+              expireTime: {
+                type: "string",
+                description: "New expiration timestamp (ISO 8601) for GTD orders",
+              },
+              accountId: {
+                type: "string",
+                description: "The account ID or name the order must belong to (optional)",
+              },
+              dryRun: {
+                type: "boolean",
+                description: "Check the order and return the exact payload, tick size check, estimated margin impact and risk check result without sending anything",
+              },
             },
             required: ["orderId"],
           },
@@ -188,10 +378,40 @@ export const server = new Server(
                 type: "string",
                 description: "The order ID to cancel",
               },
+              accountId: {
+                type: "string",
+                description: "The account ID or name the order must belong to (optional)",
+              },
             },
             required: ["orderId"],
           },
         },
+        cancel_all_orders: {
+          description: "Cancel all working orders in an account, optionally filtered by symbol, side and order type",
+          parameters: {
+            type: "object",
+            properties: {
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+              symbol: {
+                type: "string",
+                description: "Only cancel orders for this contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              action: {
+                type: "string",
+                description: "Only cancel Buy or Sell orders",
+                enum: ["Buy", "Sell"],
+              },
+              orderType: {
+                type: "string",
+                description: "Only cancel orders of this type",
+                enum: ["Market", "Limit", "Stop", "StopLimit", "TrailingStop", "TrailingStopLimit"],
+              },
+            },
+          },
+        },
         liquidate_position: {
           description: "Close an existing position",
           parameters: {
@@ -201,10 +421,51 @@ export const server = new Server(
                 type: "string",
                 description: "The contract symbol (e.g., ESZ4, NQZ4)",
               },
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+            },
+            required: ["symbol"],
+          },
+        },
+        reverse_position: {
+          description: "Flip an existing position to the opposite side with a single market order for twice its size",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+              timeoutSeconds: {
+                type: "number",
+                description: "How long to wait for the reversed position to show up (defaults to 10)",
+              },
             },
             required: ["symbol"],
           },
         },
+        flatten_account: {
+          description: "Cancel every working order and liquidate every position in an account, then wait until it is flat",
+          parameters: {
+            type: "object",
+            properties: {
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+              timeoutSeconds: {
+                type: "number",
+                description: "How long to wait for the account to become flat (defaults to 10)",
+              },
+            },
+          },
+        },
         get_account_summary: {
           description: "Get account summary information",
           parameters: {
@@ -217,6 +478,57 @@ export const server = new Server(
             },
           },
         },
+        get_risk_status: {
+          description: "Get the configured risk limits, today's PnL and the daily loss lockout state for an account",
+          parameters: {
+            type: "object",
+            properties: {
+              accountId: {
+                type: "string",
+                description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+              },
+            },
+          },
+        },
+        get_server_status: {
+          description: "Get the server's mode (trading, paper or read-only), API environment, order confirmation and risk config settings",
+          parameters: {
+            type: "object",
+            properties: {},
+          },
+        },
+        get_diagnostics: {
+          description: "Show the resolved REST, trading WebSocket and market data WebSocket endpoints, where each came from, and whether each socket is connected",
+          parameters: {
+            type: "object",
+            properties: {},
+          },
+        },
+        set_paper_quote: {
+          description: "Set the bid, ask or last price for a symbol in paper trading mode. Working paper orders are filled against it right away",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              bid: {
+                type: "number",
+                description: "Best bid price (sell orders fill here)",
+              },
+              ask: {
+                type: "number",
+                description: "Best ask price (buy orders fill here)",
+              },
+              last: {
+                type: "number",
+                description: "Last trade price, used to mark positions and when bid or ask is missing",
+              },
+            },
+            required: ["symbol"],
+          },
+        },
         get_market_data: {
           description: "Get market data for a specific contract",
           parameters: {
@@ -236,10 +548,114 @@ export const server = new Server(
                 description: "Timeframe for chart data",
                 enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
               },
+              chartType: {
+                type: "string",
+                description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick (every elementSize trades), Volume (every elementSize contracts) or Range (every elementSize of price movement)",
+                enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+              },
+              elementSize: {
+                type: "number",
+                description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+              },
             },
             required: ["symbol", "dataType"],
           },
         },
+        get_historical_bars: {
+          description: "Get historical OHLCV bars (time, tick, volume or range bars) for a contract over a date range (asFrom/asTo) or as a number of bars back from a point in time (asMuchAsElements/closestTimestamp)",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              timeframe: {
+                type: "string",
+                description: "Bar size (or use chartType with elementSize)",
+                enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
+              },
+              asFrom: {
+                type: "string",
+                description: "Start of the range, as an ISO 8601 date or timestamp",
+              },
+              asTo: {
+                type: "string",
+                description: "End of the range, as an ISO 8601 date or timestamp (defaults to now)",
+              },
+              closestTimestamp: {
+                type: "string",
+                description: "Count bars back from this ISO 8601 timestamp (defaults to now)",
+              },
+              asMuchAsElements: {
+                type: "number",
+                description: "Number of bars to load",
+              },
+              chartType: {
+                type: "string",
+                description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick (every elementSize trades), Volume (every elementSize contracts) or Range (every elementSize of price movement)",
+                enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+              },
+              elementSize: {
+                type: "number",
+                description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+              },
+            },
+            required: ["symbol"],
+          },
+        },
+        compute_indicators: {
+          description: "Compute technical indicators (SMA, EMA, RSI, MACD, ATR, Bollinger Bands, VWAP) over historical bars for a contract, returning the latest values and optionally the full series",
+          parameters: {
+            type: "object",
+            properties: {
+              symbol: {
+                type: "string",
+                description: "The contract symbol (e.g., ESZ4, NQZ4)",
+              },
+              indicators: {
+                type: "array",
+                items: { type: "string" },
+                description: "Indicators with optional parameters: SMA(20), EMA(20), RSI(14), MACD(12,26,9), ATR(14), BB(20,2), VWAP. Defaults to all of them with these parameters",
+              },
+              timeframe: {
+                type: "string",
+                description: "Bar size (or use chartType with elementSize)",
+                enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
+              },
+              chartType: {
+                type: "string",
+                description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick, Volume or Range",
+                enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+              },
+              elementSize: {
+                type: "number",
+                description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+              },
+              asFrom: {
+                type: "string",
+                description: "Start of the range, as an ISO 8601 date or timestamp",
+              },
+              asTo: {
+                type: "string",
+                description: "End of the range, as an ISO 8601 date or timestamp (defaults to now)",
+              },
+              closestTimestamp: {
+                type: "string",
+                description: "Count bars back from this ISO 8601 timestamp (defaults to now)",
+              },
+              asMuchAsElements: {
+                type: "number",
+                description: "Number of bars to compute over (defaults to 300 when no asFrom is given)",
+              },
+              includeSeries: {
+                type: "boolean",
+                description: "Also return every value of each indicator, not just the latest",
+              },
+            },
+            required: ["symbol"],
+          },
+        },
         list_orders: {
           description: "List orders for an account",
           parameters: {
@@ -288,11 +704,20 @@ export const server = new Server(
             required: ["name"],
           },
         },
-      },
+      }),
     },
   }
 );
 
+// Symbols whose quote resource the client has subscribed to
+const subscribedQuotes = new Set<string>();
+
+// The symbol of a tradovate://quote/{symbol} URI, or null for any other resource
+function getQuoteSymbol(uri: string): string | null {
+  const match = uri.match(/^(?:tradovate:\/\/|tradovate\/)quote\/([^\/]+)$/);
+  return match ? match[1] : null;
+}
+
 /**
  * Resource handlers for the MCP server
  */
@@ -310,6 +735,24 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
         name: "Tradovate Positions",
         description: "Current positions in your Tradovate account",
       },
+      ...Array.from(subscribedQuotes).map(symbol => ({
+        uri: `tradovate://quote/${symbol}`,
+        name: `${symbol} Quote`,
+        description: `Live quote for ${symbol}`,
+      })),
+    ],
+  };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: "tradovate://quote/{symbol}",
+        name: "Tradovate Quote",
+        description: "Live bid, ask and last trade for a contract. Subscribe to be notified as it changes.",
+        mimeType: "application/json",
+      },
     ],
   };
 });
@@ -410,13 +853,70 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       }
     }
     
+    case "quote": {
+      if (!resourceId) {
+        throw new Error(`Resource not found: ${uri}`);
+      }
+
+      // Served from the market data cache, subscribing on a miss
+      const quote = await readMarketData("quote", resourceId);
+
+      return {
+        contents: [
+          {
+            type: "application/json",
+            text: JSON.stringify({ symbol: resourceId, ...quote.data, updatedAt: quote.updatedAt, stale: quote.stale }),
+            uri: `tradovate://quote/${resourceId}`
+          },
+        ],
+      };
+    }
+    
     default:
       throw new Error(`Unknown resource type: ${resourceType}`);
   }
 });
 
-/**
- * Tool handlers for the MCP server
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const symbol = getQuoteSymbol(request.params.uri);
+  if (!symbol) {
+    throw new Error(`Resource does not support subscriptions: ${request.params.uri}`);
+  }
+
+  if (!subscribedQuotes.has(symbol)) {
+    await acquireMarketData("quote", symbol);
+    subscribedQuotes.add(symbol);
+  }
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const symbol = getQuoteSymbol(request.params.uri);
+  if (symbol && subscribedQuotes.delete(symbol)) {
+    await releaseMarketData("quote", symbol);
+  }
+  return {};
+});
+
+// Tell the client about every change to a quote it subscribed to
+addMarketDataListener((kind, symbol) => {
+  if (kind === "quote" && subscribedQuotes.has(symbol)) {
+    server.sendResourceUpdated({ uri: `tradovate://quote/${symbol}` }).catch(error => {
+      logger.warn(`Failed to send resource update for ${symbol}:`, error);
+    });
+  }
+});
+
+// Release every quote subscription once the client has gone
+server.onclose = () => {
+  for (const symbol of subscribedQuotes) {
+    void releaseMarketData("quote", symbol);
+  }
+  subscribedQuotes.clear();
+};
+
+/**
+ * Tool handlers for the MCP server
  */
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
@@ -450,7 +950,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "place_order",
-        description: "Place a new order",
+        description: "Place a new order. When confirmations are on (the default for live), returns a preview and a token to pass to confirm_order instead of sending",
         inputSchema: {
           type: "object",
           properties: {
@@ -466,7 +966,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             orderType: {
               type: "string",
               description: "Type of order",
-              enum: ["Market", "Limit", "Stop", "StopLimit"],
+              enum: ["Market", "Limit", "Stop", "StopLimit", "TrailingStop", "TrailingStopLimit"],
             },
             quantity: {
               type: "number",
@@ -480,10 +980,140 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               description: "Stop price for Stop and StopLimit orders",
             },
+            trailOffset: {
+              type: "number",
+              description: "Trail distance for TrailingStop and TrailingStopLimit orders, in trailOffsetUnit",
+            },
+            trailOffsetUnit: {
+              type: "string",
+              description: "Unit of trailOffset (defaults to Ticks)",
+              enum: ["Ticks", "Price"],
+            },
+            timeInForce: {
+              type: "string",
+              description: "Time in force (defaults to Day)",
+              enum: ["Day", "GTC", "IOC", "FOK", "GTD"],
+            },
+            expireTime: {
+              type: "string",
+              description: "Expiration timestamp (ISO 8601), required for GTD orders",
+            },
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Check the order and return the exact payload, tick size check, estimated margin impact and risk check result without sending anything",
+            },
           },
           required: ["symbol", "action", "orderType", "quantity"],
         }
       },
+      {
+        name: "confirm_order",
+        description: "Send an order held for confirmation by place_order, place_bracket_order, place_oco_order, modify_order or reverse_position, using the confirmation token it returned. Tokens are single-use and expire",
+        inputSchema: {
+          type: "object",
+          properties: {
+            token: {
+              type: "string",
+              description: "The confirmation token from the order preview",
+            },
+          },
+          required: ["token"],
+        }
+      },
+      {
+        name: "place_bracket_order",
+        description: "Place an entry order with an attached take profit and stop loss",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            action: {
+              type: "string",
+              description: "Buy or Sell",
+              enum: ["Buy", "Sell"],
+            },
+            orderType: {
+              type: "string",
+              description: "Type of entry order (defaults to Market)",
+              enum: ["Market", "Limit", "Stop", "StopLimit"],
+            },
+            quantity: {
+              type: "number",
+              description: "Number of contracts",
+            },
+            price: {
+              type: "number",
+              description: "Entry price for Limit and StopLimit orders",
+            },
+            stopPrice: {
+              type: "number",
+              description: "Entry stop price for Stop and StopLimit orders",
+            },
+            takeProfitPrice: {
+              type: "number",
+              description: "Limit price of the profit target",
+            },
+            stopLossPrice: {
+              type: "number",
+              description: "Stop price of the stop loss",
+            },
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+          },
+          required: ["symbol", "action", "quantity", "takeProfitPrice", "stopLossPrice"],
+        }
+      },
+      {
+        name: "place_oco_order",
+        description: "Protect an open position with a linked one-cancels-other order pair",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol of the open position (e.g., ESZ4, NQZ4)",
+            },
+            quantity: {
+              type: "number",
+              description: "Number of contracts (optional, defaults to the full net position)",
+            },
+            leg1: {
+              type: "object",
+              description: "First leg, e.g. a Limit profit target",
+              properties: {
+                orderType: { type: "string", enum: ["Limit", "Stop", "StopLimit"] },
+                price: { type: "number" },
+                stopPrice: { type: "number" },
+              },
+              required: ["orderType"],
+            },
+            leg2: {
+              type: "object",
+              description: "Second leg, e.g. a Stop loss",
+              properties: {
+                orderType: { type: "string", enum: ["Limit", "Stop", "StopLimit"] },
+                price: { type: "number" },
+                stopPrice: { type: "number" },
+              },
+              required: ["orderType"],
+            },
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+          },
+          required: ["symbol", "leg1", "leg2"],
+        }
+      },
       {
         name: "modify_order",
         description: "Modify an existing order",
@@ -506,6 +1136,32 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               description: "New quantity",
             },
+            trailOffset: {
+              type: "number",
+              description: "New trail distance for TrailingStop and TrailingStopLimit orders",
+            },
+            trailOffsetUnit: {
+              type: "string",
+              description: "Unit of trailOffset (defaults to Ticks)",
+              enum: ["Ticks", "Price"],
+            },
+            timeInForce: {
+              type: "string",
+              description: "New time in force",
+              enum: ["Day", "GTC", "IOC", "FOK", "GTD"],
+            },
+            expireTime: {
+              type: "string",
+              description: "New expiration timestamp (ISO 8601) for GTD orders",
+            },
+            accountId: {
+              type: "string",
+              description: "The account ID or name the order must belong to (optional)",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "Check the order and return the exact payload, tick size check, estimated margin impact and risk check result without sending anything",
+            },
           },
           required: ["orderId"],
         }
@@ -520,10 +1176,41 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "The order ID to cancel",
             },
+            accountId: {
+              type: "string",
+              description: "The account ID or name the order must belong to (optional)",
+            },
           },
           required: ["orderId"],
         }
       },
+      {
+        name: "cancel_all_orders",
+        description: "Cancel all working orders in an account, optionally filtered by symbol, side and order type",
+        inputSchema: {
+          type: "object",
+          properties: {
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+            symbol: {
+              type: "string",
+              description: "Only cancel orders for this contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            action: {
+              type: "string",
+              description: "Only cancel Buy or Sell orders",
+              enum: ["Buy", "Sell"],
+            },
+            orderType: {
+              type: "string",
+              description: "Only cancel orders of this type",
+              enum: ["Market", "Limit", "Stop", "StopLimit", "TrailingStop", "TrailingStopLimit"],
+            },
+          },
+        }
+      },
       {
         name: "liquidate_position",
         description: "Close an existing position",
@@ -534,10 +1221,53 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "The contract symbol (e.g., ESZ4, NQZ4)",
             },
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+          },
+          required: ["symbol"],
+        }
+      },
+      {
+        name: "reverse_position",
+        description: "Flip an existing position to the opposite side with a single market order for twice its size",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+            timeoutSeconds: {
+              type: "number",
+              description: "How long to wait for the reversed position to show up (defaults to 10)",
+            },
           },
           required: ["symbol"],
         }
       },
+      {
+        name: "flatten_account",
+        description: "Cancel every working order and liquidate every position in an account, then wait until it is flat",
+        inputSchema: {
+          type: "object",
+          properties: {
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+            timeoutSeconds: {
+              type: "number",
+              description: "How long to wait for the account to become flat (defaults to 10)",
+            },
+          },
+        }
+      },
       {
         name: "get_account_summary",
         description: "Get account summary information",
@@ -551,6 +1281,61 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           },
         }
       },
+      {
+        name: "get_risk_status",
+        description: "Get the configured risk limits, today's PnL and the daily loss lockout state for an account",
+        inputSchema: {
+          type: "object",
+          properties: {
+            accountId: {
+              type: "string",
+              description: "The account ID or name (optional, defaults to TRADOVATE_DEFAULT_ACCOUNT or the only account)",
+            },
+          },
+        }
+      },
+      {
+        name: "get_server_status",
+        description: "Get the server's mode (trading, paper or read-only), API environment, order confirmation and risk config settings",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        }
+      },
+      {
+        name: "get_diagnostics",
+        description: "Show the resolved REST, trading WebSocket and market data WebSocket endpoints, where each came from, and whether each socket is connected",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        }
+      },
+      {
+        name: "set_paper_quote",
+        description: "Set the bid, ask or last price for a symbol in paper trading mode. Working paper orders are filled against it right away",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            bid: {
+              type: "number",
+              description: "Best bid price (sell orders fill here)",
+            },
+            ask: {
+              type: "number",
+              description: "Best ask price (buy orders fill here)",
+            },
+            last: {
+              type: "number",
+              description: "Last trade price, used to mark positions and when bid or ask is missing",
+            },
+          },
+          required: ["symbol"],
+        }
+      },
       {
         name: "get_market_data",
         description: "Get market data for a specific contract",
@@ -571,10 +1356,116 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Timeframe for chart data",
               enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
             },
+            chartType: {
+              type: "string",
+              description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick (every elementSize trades), Volume (every elementSize contracts) or Range (every elementSize of price movement)",
+              enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+            },
+            elementSize: {
+              type: "number",
+              description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+            },
           },
           required: ["symbol", "dataType"],
         },
       },
+      {
+        name: "get_historical_bars",
+        description: "Get historical OHLCV bars (time, tick, volume or range bars) for a contract over a date range (asFrom/asTo) or as a number of bars back from a point in time (asMuchAsElements/closestTimestamp)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            timeframe: {
+              type: "string",
+              description: "Bar size (or use chartType with elementSize)",
+              enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
+            },
+            asFrom: {
+              type: "string",
+              description: "Start of the range, as an ISO 8601 date or timestamp",
+            },
+            asTo: {
+              type: "string",
+              description: "End of the range, as an ISO 8601 date or timestamp (defaults to now)",
+            },
+            closestTimestamp: {
+              type: "string",
+              description: "Count bars back from this ISO 8601 timestamp (defaults to now)",
+            },
+            asMuchAsElements: {
+              type: "number",
+              description: "Number of bars to load",
+            },
+            chartType: {
+              type: "string",
+              description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick (every elementSize trades), Volume (every elementSize contracts) or Range (every elementSize of price movement)",
+              enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+            },
+            elementSize: {
+              type: "number",
+              description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+            },
+          },
+          required: ["symbol"],
+        }
+      },
+      {
+        name: "compute_indicators",
+        description: "Compute technical indicators (SMA, EMA, RSI, MACD, ATR, Bollinger Bands, VWAP) over historical bars for a contract, returning the latest values and optionally the full series",
+        inputSchema: {
+          type: "object",
+          properties: {
+            symbol: {
+              type: "string",
+              description: "The contract symbol (e.g., ESZ4, NQZ4)",
+            },
+            indicators: {
+              type: "array",
+              items: { type: "string" },
+              description: "Indicators with optional parameters: SMA(20), EMA(20), RSI(14), MACD(12,26,9), ATR(14), BB(20,2), VWAP. Defaults to all of them with these parameters",
+            },
+            timeframe: {
+              type: "string",
+              description: "Bar size (or use chartType with elementSize)",
+              enum: ["1min", "5min", "15min", "30min", "1hour", "4hour", "1day"],
+            },
+            chartType: {
+              type: "string",
+              description: "Chart type, instead of a timeframe: MinuteBar, DailyBar, Tick, Volume or Range",
+              enum: ["MinuteBar", "DailyBar", "Tick", "Volume", "Range"],
+            },
+            elementSize: {
+              type: "number",
+              description: "Bar size for chartType, such as 2000 for 2000-tick bars",
+            },
+            asFrom: {
+              type: "string",
+              description: "Start of the range, as an ISO 8601 date or timestamp",
+            },
+            asTo: {
+              type: "string",
+              description: "End of the range, as an ISO 8601 date or timestamp (defaults to now)",
+            },
+            closestTimestamp: {
+              type: "string",
+              description: "Count bars back from this ISO 8601 timestamp (defaults to now)",
+            },
+            asMuchAsElements: {
+              type: "number",
+              description: "Number of bars to compute over (defaults to 300 when no asFrom is given)",
+            },
+            includeSeries: {
+              type: "boolean",
+              description: "Also return every value of each indicator, not just the latest",
+            },
+          },
+          required: ["symbol"],
+        }
+      },
       {
         name: "list_orders",
         description: "List orders for an account",
@@ -627,7 +1518,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["name"],
         },
       },
-    ],
+    ].filter((tool) => isToolEnabled(tool.name)),
   };
 });
 
@@ -637,6 +1528,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
  */
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
+  // Tools the mode doesn't allow are refused even when they are called by name
+  const disabledReason = getDisabledReason(request.params.name);
+  if (disabledReason) {
+    throw new Error(`Tool ${request.params.name} is disabled: ${disabledReason}`);
+  }
+
   switch (request.params.name) {
     case "get_contract_details":
       return await handleGetContractDetails(request);
@@ -647,21 +1544,57 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     case "place_order":
       return await handlePlaceOrder(request);
     
+    case "confirm_order":
+      return await handleConfirmOrder(request);
+    
+    case "place_bracket_order":
+      return await handlePlaceBracketOrder(request);
+    
+    case "place_oco_order":
+      return await handlePlaceOcoOrder(request);
+    
     case "modify_order":
       return await handleModifyOrder(request);
     
     case "cancel_order":
       return await handleCancelOrder(request);
     
+    case "cancel_all_orders":
+      return await handleCancelAllOrders(request);
+    
     case "liquidate_position":
       return await handleLiquidatePosition(request);
     
+    case "reverse_position":
+      return await handleReversePosition(request);
+    
+    case "flatten_account":
+      return await handleFlattenAccount(request);
+    
     case "get_account_summary":
       return await handleGetAccountSummary(request);
     
+    case "get_risk_status":
+      return await handleGetRiskStatus(request);
+    
+    case "get_server_status":
+      return await handleGetServerStatus(request);
+    
+    case "get_diagnostics":
+      return await handleGetDiagnostics(request);
+    
+    case "set_paper_quote":
+      return await handleSetPaperQuote(request);
+    
     case "get_market_data":
       return await handleGetMarketData(request);
     
+    case "get_historical_bars":
+      return await handleGetHistoricalBars(request);
+    
+    case "compute_indicators":
+      return await handleComputeIndicators(request);
+    
     case "list_orders":
       return await handleListOrders(request);
     
@@ -734,6 +1667,17 @@ export async function initialize() {
         logger.error("Error refreshing data:", error);
       }
     }, 60 * 60 * 1000);
+
+    // Watch the daily loss limit between tool calls so a lockout doesn't wait for the next order
+    if (process.env.TRADOVATE_RISK_CONFIG) {
+      setInterval(async () => {
+        try {
+          await monitorDailyLoss();
+        } catch (error) {
+          logger.error("Error checking daily loss limit:", error);
+        }
+      }, DAILY_LOSS_CHECK_INTERVAL_MS);
+    }
   } catch (error) {
     logger.error("Failed to initialize Tradovate MCP server:", error);
     logger.warn("Server will start with mock data fallback");
@@ -768,7 +1712,7 @@ export async function main() {
     
     try {
       // Connect to trading socket (use demo environment by default)
-      const useLiveTrading = process.env.TRADOVATE_API_ENVIRONMENT === 'live';
+      const useLiveTrading = getEnvironment() === 'live';
       global.tradingSocket = await createTradingSocket(useLiveTrading);
       logger.info(`Trading WebSocket connected successfully to ${useLiveTrading ? 'live' : 'demo'} environment`);
       hasAtLeastOneConnection = true;
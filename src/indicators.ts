@@ -0,0 +1,246 @@
+import { Bar } from "./charts.js";
+
+// Indicators and their default parameters, used when a spec like "RSI" gives none
+const INDICATORS: { [name: string]: number[] } = {
+  SMA: [20],
+  EMA: [20],
+  RSI: [14],
+  MACD: [12, 26, 9],
+  ATR: [14],
+  BB: [20, 2],
+  VWAP: []
+};
+
+export const INDICATOR_NAMES = Object.keys(INDICATORS);
+
+// Parameters that must be whole numbers, by indicator (BB's standard deviation multiplier need not be)
+const WHOLE_PARAMS: { [name: string]: number } = { SMA: 1, EMA: 1, RSI: 1, MACD: 3, ATR: 1, BB: 1, VWAP: 0 };
+
+// An indicator with its parameters, and the label results are reported under, like "MACD(12,26,9)"
+export interface IndicatorSpec {
+  name: string;
+  params: number[];
+  label: string;
+}
+
+// One point of an indicator series. Single-valued indicators use value; MACD and BB have several.
+export type IndicatorPoint = { timestamp: string } & { [field: string]: number | string };
+
+export interface IndicatorResult {
+  latest: { [field: string]: number | string } | null;
+  series?: IndicatorPoint[];
+}
+
+/**
+ * Parse an indicator spec such as "SMA", "EMA(50)", "MACD(12,26,9)" or "BB(20,2.5)"
+ */
+export function parseIndicator(spec: string): IndicatorSpec {
+  const match = /^\s*([A-Za-z]+)\s*(?:\(([^)]*)\))?\s*$/.exec(spec);
+  const name = match?.[1].toUpperCase() || "";
+  const defaults = INDICATORS[name];
+  if (!match || !defaults) {
+    throw new Error(`Unsupported indicator: ${spec}. Use one of ${INDICATOR_NAMES.join(", ")}`);
+  }
+
+  const given = match[2]?.trim() ? match[2].split(",").map(param => Number(param.trim())) : [];
+  if (given.length > defaults.length) {
+    throw new Error(`${name} takes at most ${defaults.length} parameters`);
+  }
+  const params = defaults.map((value, index) => given[index] ?? value);
+  params.forEach((value, index) => {
+    if (!(value > 0) || (index < WHOLE_PARAMS[name] && !Number.isInteger(value))) {
+      throw new Error(`${name} parameters must be positive${index < WHOLE_PARAMS[name] ? " whole" : ""} numbers`);
+    }
+  });
+  if (name === "MACD" && params[0] >= params[1]) {
+    throw new Error("MACD fast period must be shorter than its slow period");
+  }
+
+  return { name, params, label: params.length ? `${name}(${params.join(",")})` : name };
+}
+
+// Rounded to keep float noise like 5012.499999999999 out of the output
+const round = (value: number): number => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Simple moving average; null until there are period values
+ */
+export function sma(values: number[], period: number): (number | null)[] {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    return index >= period - 1 ? sum / period : null;
+  });
+}
+
+/**
+ * Exponential moving average, seeded with the simple average of the first period values.
+ * Leading nulls in the input (such as MACD's warm-up) are skipped.
+ */
+export function ema(values: (number | null)[], period: number): (number | null)[] {
+  const k = 2 / (period + 1);
+  let previous: number | null = null;
+  let seed: number[] = [];
+  return values.map(value => {
+    if (value === null) {
+      return null;
+    }
+    if (previous === null) {
+      seed.push(value);
+      if (seed.length < period) {
+        return null;
+      }
+      previous = seed.reduce((sum, item) => sum + item, 0) / period;
+      seed = [];
+      return previous;
+    }
+    previous = value * k + previous * (1 - k);
+    return previous;
+  });
+}
+
+/**
+ * Wilder's smoothing: the simple average of the first period values, then avg = (avg * (period - 1) + value) / period.
+ * Values before start are ignored.
+ */
+function wilder(values: number[], period: number, start: number = 0): (number | null)[] {
+  let average: number | null = null;
+  return values.map((value, index) => {
+    if (index < start + period - 1) {
+      return null;
+    }
+    average = average === null
+      ? values.slice(start, start + period).reduce((sum, item) => sum + item, 0) / period
+      : (average * (period - 1) + value) / period;
+    return average;
+  });
+}
+
+/**
+ * Relative strength index over closes, with Wilder's smoothing
+ */
+export function rsi(closes: number[], period: number): (number | null)[] {
+  const gains = closes.map((close, index) => index === 0 ? 0 : Math.max(close - closes[index - 1], 0));
+  const losses = closes.map((close, index) => index === 0 ? 0 : Math.max(closes[index - 1] - close, 0));
+  const averageGains = wilder(gains, period, 1);
+  const averageLosses = wilder(losses, period, 1);
+  return closes.map((_, index) => {
+    const gain = averageGains[index];
+    const loss = averageLosses[index];
+    if (gain === null || loss === null) {
+      return null;
+    }
+    if (loss === 0) {
+      return gain === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + gain / loss);
+  });
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal EMA, and the histogram between them
+ */
+export function macd(closes: number[], fast: number, slow: number, signal: number): { macd: number | null; signal: number | null; histogram: number | null }[] {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, index) => fastEma[index] !== null && slowEma[index] !== null ? fastEma[index]! - slowEma[index]! : null);
+  const signalLine = ema(line, signal);
+  return line.map((value, index) => ({
+    macd: value,
+    signal: signalLine[index],
+    histogram: value !== null && signalLine[index] !== null ? value - signalLine[index]! : null
+  }));
+}
+
+/**
+ * Average true range, with Wilder's smoothing
+ */
+export function atr(bars: Bar[], period: number): (number | null)[] {
+  const trueRanges = bars.map((bar, index) => index === 0
+    ? bar.high - bar.low
+    : Math.max(bar.high - bar.low, Math.abs(bar.high - bars[index - 1].close), Math.abs(bar.low - bars[index - 1].close)));
+  return wilder(trueRanges, period);
+}
+
+/**
+ * Bollinger Bands: the simple average of closes, and bands stdDev population standard deviations either side
+ */
+export function bollingerBands(closes: number[], period: number, stdDev: number): { middle: number | null; upper: number | null; lower: number | null }[] {
+  const middle = sma(closes, period);
+  return closes.map((_, index) => {
+    const mean = middle[index];
+    if (mean === null) {
+      return { middle: null, upper: null, lower: null };
+    }
+    const window = closes.slice(index - period + 1, index + 1);
+    const deviation = Math.sqrt(window.reduce((sum, close) => sum + (close - mean) ** 2, 0) / period);
+    return { middle: mean, upper: mean + stdDev * deviation, lower: mean - stdDev * deviation };
+  });
+}
+
+/**
+ * Volume weighted average of the typical price (high + low + close) / 3, anchored at the first bar.
+ * Null until some volume has traded.
+ */
+export function vwap(bars: Bar[]): (number | null)[] {
+  let priceVolume = 0;
+  let volume = 0;
+  return bars.map(bar => {
+    priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+    volume += bar.volume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+}
+
+// Each indicator's values per bar, as named fields
+function computeFields(bars: Bar[], spec: IndicatorSpec): ({ [field: string]: number | null })[] {
+  const closes = bars.map(bar => bar.close);
+  const [first, second, third] = spec.params;
+  const asValue = (values: (number | null)[]) => values.map(value => ({ value }));
+  switch (spec.name) {
+    case "SMA":
+      return asValue(sma(closes, first));
+    case "EMA":
+      return asValue(ema(closes, first));
+    case "RSI":
+      return asValue(rsi(closes, first));
+    case "MACD":
+      return macd(closes, first, second, third);
+    case "ATR":
+      return asValue(atr(bars, first));
+    case "BB":
+      return bollingerBands(closes, first, second);
+    default:
+      return asValue(vwap(bars));
+  }
+}
+
+/**
+ * Compute indicators over bars, oldest first. Each result has the latest complete value, and with
+ * includeSeries every point from the end of the indicator's warm-up on.
+ */
+export function computeIndicators(bars: Bar[], specs: IndicatorSpec[], includeSeries: boolean = false): { [label: string]: IndicatorResult } {
+  const results: { [label: string]: IndicatorResult } = {};
+  for (const spec of specs) {
+    const points: IndicatorPoint[] = [];
+    computeFields(bars, spec).forEach((fields, index) => {
+      if (Object.values(fields).every(value => value !== null)) {
+        const point: IndicatorPoint = { timestamp: bars[index].timestamp };
+        for (const [field, value] of Object.entries(fields)) {
+          point[field] = round(value!);
+        }
+        points.push(point);
+      }
+    });
+
+    // Null when there are too few bars to finish the warm-up
+    results[spec.label] = { latest: points[points.length - 1] || null };
+    if (includeSeries) {
+      results[spec.label].series = points;
+    }
+  }
+  return results;
+}
@@ -0,0 +1,270 @@
+import * as logger from "./logger.js";
+
+// How long a read waits for the first update on a new subscription
+const FIRST_UPDATE_WAIT_MS = 10000;
+
+// How long a read of stale data waits for a newer update before settling for what it has
+const STALE_UPDATE_WAIT_MS = 2000;
+
+// Cached data older than this is stale (TRADOVATE_MARKET_DATA_MAX_AGE_MS)
+const DEFAULT_MAX_AGE_MS = 30 * 1000;
+
+// The cache keeps a subscription open this long after the last read (TRADOVATE_MARKET_DATA_IDLE_MS)
+const DEFAULT_IDLE_MS = 5 * 60 * 1000;
+
+const SUBSCRIBE_URLS = {
+  quote: 'md/subscribequote',
+  dom: 'md/subscribedom'
+} as const;
+
+export type MarketDataKind = keyof typeof SUBSCRIBE_URLS;
+
+// The latest update for a symbol and how old it is
+export interface CachedMarketData {
+  data: any;
+  updatedAt: string;
+  ageMs: number;
+  stale: boolean;
+}
+
+type MarketDataListener = (kind: MarketDataKind, symbol: string, data: any) => void;
+
+// One socket subscription, shared by everyone watching the symbol
+interface MarketDataSubscription {
+  refCount: number;
+  // Resolves once the socket subscription is open
+  ready: Promise<void>;
+  unsubscribe: (() => void | Promise<void>) | null;
+  latest: any | null;
+  updatedAt: number | null;
+  waiters: ((data: any) => void)[];
+}
+
+// Subscriptions keyed by `${kind}:${symbol}`
+const subscriptions: { [key: string]: MarketDataSubscription } = {};
+
+// The cache's own references, released once nobody has read the symbol for a while
+const cacheHolds: { [key: string]: NodeJS.Timeout } = {};
+
+const listeners: MarketDataListener[] = [];
+
+const keyOf = (kind: MarketDataKind, symbol: string): string => `${kind}:${symbol}`;
+
+function getMaxAgeMs(): number {
+  const maxAge = Number(process.env.TRADOVATE_MARKET_DATA_MAX_AGE_MS);
+  return maxAge > 0 ? maxAge : DEFAULT_MAX_AGE_MS;
+}
+
+function getIdleMs(): number {
+  const idle = Number(process.env.TRADOVATE_MARKET_DATA_IDLE_MS);
+  return idle > 0 ? idle : DEFAULT_IDLE_MS;
+}
+
+/**
+ * Call a function with every update on any market data subscription. Returns a function that removes it.
+ */
+export function addMarketDataListener(listener: MarketDataListener): () => void {
+  listeners.push(listener);
+  return () => {
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  };
+}
+
+function onUpdate(kind: MarketDataKind, symbol: string, subscription: MarketDataSubscription, data: any): void {
+  subscription.latest = data;
+  subscription.updatedAt = Date.now();
+  subscription.waiters.splice(0).forEach(waiter => waiter(data));
+  for (const listener of [...listeners]) {
+    try {
+      listener(kind, symbol, data);
+    } catch (error) {
+      logger.error(`Error in market data listener for ${kind} ${symbol}:`, error);
+    }
+  }
+}
+
+/**
+ * Take a reference on the quote or DOM subscription for a symbol, opening it on the market data socket
+ * for the first reference. Every acquireMarketData must be matched by a releaseMarketData.
+ */
+export async function acquireMarketData(kind: MarketDataKind, symbol: string): Promise<void> {
+  const key = keyOf(kind, symbol);
+  let subscription = subscriptions[key];
+  if (subscription) {
+    subscription.refCount++;
+  } else {
+    const socket = global.marketDataSocket;
+    if (!socket || !socket.isConnected()) {
+      throw new Error("Market data socket is not connected");
+    }
+
+    const created: MarketDataSubscription = subscription = {
+      refCount: 1,
+      ready: Promise.resolve(),
+      unsubscribe: null,
+      latest: null,
+      updatedAt: null,
+      waiters: []
+    };
+    created.ready = socket.subscribe({
+      url: SUBSCRIBE_URLS[kind],
+      body: { symbol },
+      subscription: (data: any) => onUpdate(kind, symbol, created, data)
+    }).then(unsubscribe => {
+      created.unsubscribe = unsubscribe;
+      logger.info(`Subscribed to ${kind} data for ${symbol}`);
+    });
+    subscriptions[key] = created;
+  }
+
+  try {
+    await subscription.ready;
+  } catch (error) {
+    if (subscriptions[key] === subscription) {
+      delete subscriptions[key];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop a reference taken by acquireMarketData, unsubscribing once the last one is gone
+ */
+export async function releaseMarketData(kind: MarketDataKind, symbol: string): Promise<void> {
+  const key = keyOf(kind, symbol);
+  const subscription = subscriptions[key];
+  if (!subscription) {
+    return;
+  }
+
+  subscription.refCount--;
+  if (subscription.refCount > 0) {
+    return;
+  }
+
+  delete subscriptions[key];
+  try {
+    await subscription.ready;
+    await subscription.unsubscribe?.();
+    logger.info(`Unsubscribed from ${kind} data for ${symbol}`);
+  } catch (error) {
+    logger.warn(`Error unsubscribing from ${kind} data for ${symbol}:`, error);
+  }
+}
+
+/**
+ * The latest cached update for a symbol, or null if there is none. Data is stale once it is
+ * older than the maximum age, or when the market data socket is down and it can't be updated.
+ */
+export function getCachedMarketData(kind: MarketDataKind, symbol: string): CachedMarketData | null {
+  const subscription = subscriptions[keyOf(kind, symbol)];
+  if (!subscription?.latest || !subscription.updatedAt) {
+    return null;
+  }
+
+  const ageMs = Date.now() - subscription.updatedAt;
+  const connected = !!global.marketDataSocket && global.marketDataSocket.isConnected();
+  return {
+    data: subscription.latest,
+    updatedAt: new Date(subscription.updatedAt).toISOString(),
+    ageMs,
+    stale: !connected || ageMs > getMaxAgeMs()
+  };
+}
+
+/**
+ * Keep the cache's subscription for a symbol open until it has gone unread for the idle period
+ */
+async function holdInCache(kind: MarketDataKind, symbol: string): Promise<void> {
+  const key = keyOf(kind, symbol);
+  if (cacheHolds[key]) {
+    clearTimeout(cacheHolds[key]);
+  } else {
+    await acquireMarketData(kind, symbol);
+  }
+
+  cacheHolds[key] = setTimeout(() => {
+    delete cacheHolds[key];
+    void releaseMarketData(kind, symbol);
+  }, getIdleMs());
+  cacheHolds[key].unref?.();
+}
+
+function waitForUpdate(kind: MarketDataKind, symbol: string, timeoutMs: number): Promise<any> {
+  const subscription = subscriptions[keyOf(kind, symbol)];
+  return new Promise((resolve, reject) => {
+    const waiter = (data: any) => {
+      clearTimeout(timeoutId);
+      resolve(data);
+    };
+    const timeoutId = setTimeout(() => {
+      const index = subscription.waiters.indexOf(waiter);
+      if (index !== -1) {
+        subscription.waiters.splice(index, 1);
+      }
+      reject(new Error(`Timed out waiting for ${kind} data for ${symbol}`));
+    }, timeoutMs);
+    subscription.waiters.push(waiter);
+  });
+}
+
+/**
+ * Read the quote or DOM for a symbol through the cache. Fresh cached data comes back at once.
+ * On a miss the cache subscribes, keeps the subscription open for later reads, and waits for the
+ * first update. Stale data gets a short wait for something newer before it is returned as is.
+ */
+export async function readMarketData(kind: MarketDataKind, symbol: string, timeoutMs: number = FIRST_UPDATE_WAIT_MS): Promise<CachedMarketData> {
+  const cached = getCachedMarketData(kind, symbol);
+  if (cached && !cached.stale) {
+    await holdInCache(kind, symbol);
+    return cached;
+  }
+
+  try {
+    await holdInCache(kind, symbol);
+    if (!cached) {
+      await waitForUpdate(kind, symbol, timeoutMs);
+    } else {
+      await waitForUpdate(kind, symbol, Math.min(timeoutMs, STALE_UPDATE_WAIT_MS)).catch(() => undefined);
+    }
+  } catch (error) {
+    // Better stale data than none while the socket is down
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+
+  return getCachedMarketData(kind, symbol)!;
+}
+
+/**
+ * Every open market data subscription, its references and the age of its data, for diagnostics
+ */
+export function getMarketDataSubscriptions(): { kind: MarketDataKind; symbol: string; refCount: number; updatedAt: string | null; ageMs: number | null }[] {
+  return Object.entries(subscriptions).map(([key, subscription]) => {
+    const [kind, symbol] = key.split(/:(.*)/) as [MarketDataKind, string];
+    return {
+      kind,
+      symbol,
+      refCount: subscription.refCount,
+      updatedAt: subscription.updatedAt ? new Date(subscription.updatedAt).toISOString() : null,
+      ageMs: subscription.updatedAt ? Date.now() - subscription.updatedAt : null
+    };
+  });
+}
+
+/**
+ * Release the cache's own subscriptions
+ */
+export async function clearMarketDataCache(): Promise<void> {
+  for (const key of Object.keys(cacheHolds)) {
+    clearTimeout(cacheHolds[key]);
+    delete cacheHolds[key];
+    const [kind, symbol] = key.split(/:(.*)/) as [MarketDataKind, string];
+    await releaseMarketData(kind, symbol);
+  }
+}
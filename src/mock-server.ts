@@ -0,0 +1,532 @@
+import http from 'http';
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import * as logger from "./logger.js";
+import { Contract, Position, Order, Account } from './types.js';
+
+// How often the server sends an `h` heartbeat frame, like the real API
+const DEFAULT_HEARTBEAT_MS = 2500;
+
+// How long an access token from the mock stays valid
+const DEFAULT_TOKEN_TTL_MS = 80 * 60 * 1000;
+
+// Chart history is capped at this many bars, and streamed this many bars per packet
+const MAX_CHART_BARS = 5000;
+const CHART_PACKET_SIZE = 100;
+
+// The data the mock serves, keyed like the API's entities
+export interface MockData {
+  accounts: Account[];
+  contracts: Contract[];
+  contractMaturities: any[];
+  products: any[];
+  positions: Position[];
+  orders: Order[];
+  cashBalances: any[];
+  quotes: { [symbol: string]: any };
+}
+
+export interface MockServerOptions {
+  port?: number;
+  host?: string;
+  // Only these credentials are accepted when set; otherwise any name and password log in
+  credentials?: { name: string; password: string };
+  // 0 turns heartbeats off, to exercise a client's stale-connection watchdog
+  heartbeatMs?: number;
+  tokenTtlMs?: number;
+  data?: Partial<MockData>;
+}
+
+/**
+ * A synthetic bar that drifts on a sine wave around 5000, the same for the same time on every run
+ */
+function createMockBar(time: number, unitMs: number): any {
+  const step = Math.round(time / unitMs);
+  const priceAt = (n: number) => Math.round((5000 + 20 * Math.sin(n / 10)) * 4) / 4;
+  const open = priceAt(step);
+  const close = priceAt(step + 1);
+  return {
+    timestamp: new Date(time).toISOString(),
+    open,
+    high: Math.max(open, close) + 0.5,
+    low: Math.min(open, close) - 0.5,
+    close,
+    upVolume: 100 + (step % 7) * 10,
+    downVolume: 90 + (step % 5) * 10,
+    upTicks: 40,
+    downTicks: 35,
+    bidVolume: 95,
+    offerVolume: 95
+  };
+}
+
+/**
+ * Data the mock starts with: one account, ES and MES contracts, and no positions or orders
+ */
+export function createMockData(): MockData {
+  const now = new Date().toISOString();
+  return {
+    accounts: [
+      { id: 1, name: 'MOCK0001', userId: 1, accountType: 'Customer', active: true, clearingHouseId: 1, riskCategoryId: 1, autoLiqProfileId: 1, marginAccountType: 'Speculator', legalStatus: 'Individual' }
+    ],
+    contracts: [
+      { id: 1001, name: 'ESZ5', contractMaturityId: 501, productId: 11, productType: 'Futures', description: 'E-Mini S&P 500', status: 'DefinitionChecked' },
+      { id: 1002, name: 'MESZ5', contractMaturityId: 502, productId: 12, productType: 'Futures', description: 'Micro E-Mini S&P 500', status: 'DefinitionChecked' }
+    ],
+    contractMaturities: [
+      { id: 501, productId: 11, expirationMonth: 202512, isFront: true },
+      { id: 502, productId: 12, expirationMonth: 202512, isFront: true }
+    ],
+    products: [
+      { id: 11, name: 'ES', currencyId: 1, productType: 'Futures', description: 'E-Mini S&P 500', exchangeId: 1, tickSize: 0.25, valuePerPoint: 50 },
+      { id: 12, name: 'MES', currencyId: 1, productType: 'Futures', description: 'Micro E-Mini S&P 500', exchangeId: 1, tickSize: 0.25, valuePerPoint: 5 }
+    ],
+    positions: [],
+    orders: [],
+    cashBalances: [
+      { accountId: 1, cashBalance: 50000, totalCashValue: 50000, realizedPnL: 0, openPnL: 0, initialMargin: 0, maintenanceMargin: 0, timestamp: now }
+    ],
+    quotes: {}
+  };
+}
+
+/**
+ * An in-process fake of the Tradovate REST and WebSocket APIs, for running the server offline.
+ * REST is served under /v1 and both the trading and market data sockets under /v1/websocket.
+ */
+export class MockTradovateServer {
+  public data: MockData;
+  private options: MockServerOptions;
+  private httpServer: http.Server | null = null;
+  private wss: WebSocketServer | null = null;
+  private tokens: { [token: string]: number } = {};
+  private nextId = 1;
+  // Quote subscriptions per socket, by symbol
+  private quoteSubscriptions = new Map<WebSocket, Set<string>>();
+  private domSubscriptions = new Map<WebSocket, Set<string>>();
+  private heartbeatTimer: NodeJS.Timeout | null = null;
+
+  constructor(options: MockServerOptions = {}) {
+    this.options = options;
+    this.data = { ...createMockData(), ...options.data };
+  }
+
+  /**
+   * Start listening. With port 0 (the default) the OS picks a free port; read it from `url`.
+   */
+  public async start(): Promise<void> {
+    this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ server: this.httpServer, path: '/v1/websocket' });
+    this.wss.on('connection', ws => this.handleConnection(ws));
+
+    await new Promise<void>((resolve, reject) => {
+      this.httpServer!.once('error', reject);
+      this.httpServer!.listen(this.options.port ?? 0, this.options.host ?? '127.0.0.1', () => resolve());
+    });
+
+    const heartbeatMs = this.options.heartbeatMs ?? DEFAULT_HEARTBEAT_MS;
+    if (heartbeatMs > 0) {
+      this.heartbeatTimer = setInterval(() => this.broadcast('h'), heartbeatMs);
+    }
+    logger.info(`Mock Tradovate server listening on ${this.url}`);
+  }
+
+  /**
+   * Close every socket with a `c` frame and stop listening
+   */
+  public async stop(): Promise<void> {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    for (const ws of this.wss?.clients || []) {
+      ws.send('c[1000,"Server shutting down"]');
+      ws.close(1000, 'Server shutting down');
+    }
+    await new Promise<void>(resolve => this.wss ? this.wss.close(() => resolve()) : resolve());
+    await new Promise<void>(resolve => this.httpServer ? this.httpServer.close(() => resolve()) : resolve());
+    this.wss = null;
+    this.httpServer = null;
+  }
+
+  /**
+   * Cut every socket off without a close frame, as a network failure would
+   */
+  public dropConnections(): void {
+    for (const ws of this.wss?.clients || []) {
+      ws.terminate();
+    }
+  }
+
+  /**
+   * Base URL to set as TRADOVATE_BASE_URL
+   */
+  public get url(): string {
+    const address = this.httpServer?.address();
+    if (!address || typeof address === 'string') {
+      throw new Error('Mock Tradovate server is not running');
+    }
+    return `http://${address.address}:${address.port}`;
+  }
+
+  /**
+   * Update the quote for a symbol and push it to every socket subscribed to it
+   */
+  public pushQuote(symbol: string, entries: { [entry: string]: { price: number; size?: number } }): void {
+    const contract = this.data.contracts.find(c => c.name === symbol);
+    if (!contract) {
+      throw new Error(`Unknown mock contract: ${symbol}`);
+    }
+
+    const quote = { id: contract.id, contractId: contract.id, timestamp: new Date().toISOString(), entries };
+    this.data.quotes[symbol] = quote;
+    for (const [ws, symbols] of this.quoteSubscriptions) {
+      if (symbols.has(symbol) && ws.readyState === WebSocket.OPEN) {
+        ws.send(`a${JSON.stringify([{ e: 'md', d: { quotes: [quote] } }])}`);
+      }
+    }
+  }
+
+  /**
+   * Push a depth of market update for a symbol to every socket subscribed to its DOM
+   */
+  public pushDom(symbol: string, levels: { bids: { price: number; size: number }[]; offers: { price: number; size: number }[] }): void {
+    const contract = this.data.contracts.find(c => c.name === symbol);
+    if (!contract) {
+      throw new Error(`Unknown mock contract: ${symbol}`);
+    }
+
+    const dom = { contractId: contract.id, timestamp: new Date().toISOString(), ...levels };
+    for (const [ws, symbols] of this.domSubscriptions) {
+      if (symbols.has(symbol) && ws.readyState === WebSocket.OPEN) {
+        ws.send(`a${JSON.stringify([{ e: 'md', d: { doms: [dom] } }])}`);
+      }
+    }
+  }
+
+  /**
+   * Stream synthetic history for an md/getchart request in packets, then the end-of-history marker,
+   * honouring closestTimestamp, asFarAsTimestamp and asMuchAsElements. Single-tick charts get
+   * trades in Tradovate's tick packet format; every other chart gets bars, one a second for
+   * tick, volume and range bars.
+   */
+  private sendChartHistory(ws: WebSocket, id: number, body: any): void {
+    const description = body?.chartDescription || {};
+    const range = body?.timeRange || {};
+    const elementSize = description.elementSize || 1;
+    const singleTicks = description.underlyingType === 'Tick' && description.elementSizeUnit === 'UnderlyingUnits' && elementSize === 1;
+    const unitMs = singleTicks ? 250
+      : description.underlyingType === 'DailyBar' ? 24 * 60 * 60 * 1000 * elementSize
+      : description.underlyingType === 'Tick' ? 1000
+      : 60 * 1000 * elementSize;
+    const end = range.closestTimestamp ? Date.parse(range.closestTimestamp) : Date.now();
+    const start = range.asFarAsTimestamp ? Date.parse(range.asFarAsTimestamp) : -Infinity;
+    const count = Math.min(range.asMuchAsElements ?? MAX_CHART_BARS, MAX_CHART_BARS);
+    const td = Number(new Date(end).toISOString().slice(0, 10).replace(/-/g, ''));
+
+    const bars: any[] = [];
+    for (let time = Math.floor(end / unitMs) * unitMs; time >= start && bars.length < count; time -= unitMs) {
+      bars.unshift(createMockBar(time, unitMs));
+    }
+
+    const send = (charts: any[]) => ws.send(`a${JSON.stringify([{ e: 'chart', d: { charts } }])}`);
+    for (let i = 0; i < bars.length; i += CHART_PACKET_SIZE) {
+      const packet = bars.slice(i, i + CHART_PACKET_SIZE);
+      if (singleTicks) {
+        // Prices and times are offsets from the packet's base price (in ticks of 0.25) and base time
+        const bt = Date.parse(packet[0].timestamp);
+        const bp = 20000;
+        send([{
+          id, s: 'db', td, bt, bp, ts: 0.25,
+          tks: packet.map((bar, n) => ({ id: i + n + 1, t: Date.parse(bar.timestamp) - bt, p: bar.close / 0.25 - bp, s: 1 + (n % 3), b: bar.close / 0.25 - bp - 1, a: bar.close / 0.25 - bp }))
+        }]);
+      } else {
+        send([{ id, td, bars: packet }]);
+      }
+    }
+    send([{ id, eoh: true }]);
+  }
+
+  private issueToken(): { accessToken: string; expirationTime: string } {
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + (this.options.tokenTtlMs ?? DEFAULT_TOKEN_TTL_MS);
+    this.tokens[accessToken] = expiresAt;
+    return { accessToken, expirationTime: new Date(expiresAt).toISOString() };
+  }
+
+  private isTokenValid(token: string | undefined): boolean {
+    return !!token && (this.tokens[token] || 0) > Date.now();
+  }
+
+  private handleHttp(req: http.IncomingMessage, res: http.ServerResponse): void {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url || '/', 'http://localhost');
+      // Clients sometimes build URLs with a doubled slash, e.g. `${base}//contract/find`
+      const path = url.pathname.replace(/^\/v1\/+/, '').replace(/\/+$/, '');
+      const reply = (status: number, body: any) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      let body: any = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        reply(400, { errorText: 'Invalid JSON body' });
+        return;
+      }
+
+      if (path === 'auth/accessTokenRequest') {
+        const expected = this.options.credentials;
+        const valid = expected
+          ? body.name === expected.name && body.password === expected.password
+          : !!body.name && !!body.password;
+        // The real API answers bad credentials with a 200 and an errorText
+        reply(200, valid ? { ...this.issueToken(), userId: 1, name: body.name } : { errorText: 'Incorrect username or password. Please try again.' });
+        return;
+      }
+
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (!this.isTokenValid(token)) {
+        reply(401, { errorText: 'Access is denied' });
+        return;
+      }
+
+      if (path === 'auth/renewAccessToken') {
+        delete this.tokens[token];
+        reply(200, this.issueToken());
+        return;
+      }
+
+      try {
+        const result = this.handleRest(req.method || 'GET', path, url.searchParams, body);
+        if (result === undefined) {
+          reply(404, { errorText: `Unknown endpoint: ${req.method} ${path}` });
+        } else {
+          reply(200, result);
+        }
+      } catch (error) {
+        reply(400, { errorText: error instanceof Error ? error.message : String(error) });
+      }
+    });
+  }
+
+  /**
+   * Answer a REST request from the mock data. Returns undefined for unknown endpoints.
+   */
+  private handleRest(method: string, path: string, params: URLSearchParams, body: any): any {
+    const id = Number(params.get('id'));
+    const name = params.get('name') || params.get('t') || '';
+    const accountId = params.get('accountId') ? Number(params.get('accountId')) : undefined;
+    const byAccount = (items: any[]) => items.filter(item => accountId === undefined || item.accountId === accountId);
+
+    switch (`${method} ${path}`) {
+      case 'GET account/list': return this.data.accounts;
+      case 'GET account/item': return this.data.accounts.find(a => a.id === id) || null;
+      case 'GET account/find': return this.data.accounts.find(a => a.name === name) || null;
+      case 'GET contract/find': return this.data.contracts.find(c => c.name === name) || null;
+      case 'GET contract/item': return this.data.contracts.find(c => c.id === id) || null;
+      case 'GET contract/suggest': return this.data.contracts.filter(c => c.name.startsWith(name));
+      case 'GET contractMaturity/item': return this.data.contractMaturities.find(m => m.id === id) || null;
+      case 'GET product/item': return this.data.products.find(p => p.id === id) || null;
+      case 'GET product/find': return this.data.products.find(p => p.name === name) || null;
+      case 'GET position/list': return byAccount(this.data.positions);
+      case 'GET position/item': return this.data.positions.find(p => p.id === id) || null;
+      case 'GET order/list': return byAccount(this.data.orders);
+      case 'GET order/item':
+      case 'GET order/find': return this.data.orders.find(o => o.id === id) || null;
+      case 'POST order/placeorder': return { orderId: this.addOrder(body).id };
+      case 'POST order/placeOSO': {
+        const order = this.addOrder(body);
+        return {
+          orderId: order.id,
+          ...(body.bracket1 && { oso1Id: this.addOrder({ ...body, ...body.bracket1 }).id }),
+          ...(body.bracket2 && { oso2Id: this.addOrder({ ...body, ...body.bracket2 }).id })
+        };
+      }
+      case 'POST order/placeOCO': {
+        const order = this.addOrder(body);
+        return { orderId: order.id, ocoId: this.addOrder({ ...body, ...body.other }).id };
+      }
+      case 'POST order/modifyorder':
+      case 'POST order/modifyOrder': {
+        const order = this.findWorkingOrder(body.orderId);
+        for (const field of ['orderQty', 'orderType', 'price', 'stopPrice', 'timeInForce', 'expireTime'] as const) {
+          if (body[field] !== undefined) {
+            (order as any)[field] = body[field];
+          }
+        }
+        return { commandId: this.nextId++ };
+      }
+      case 'POST order/cancelorder': {
+        this.findWorkingOrder(body.orderId).ordStatus = 'Canceled';
+        return { commandId: this.nextId++ };
+      }
+      case 'POST order/liquidateposition': {
+        for (const order of this.data.orders) {
+          if (order.accountId === body.accountId && order.contractId === body.contractId && order.ordStatus === 'Working') {
+            order.ordStatus = 'Canceled';
+          }
+        }
+        const position = this.data.positions.find(p => p.accountId === body.accountId && p.contractId === body.contractId);
+        if (position) {
+          position.netPos = 0;
+        }
+        return { orderId: this.nextId++ };
+      }
+      case 'POST cashBalance/getCashBalanceSnapshot':
+        return this.data.cashBalances.find(c => c.accountId === body.accountId) || { errorText: `Unknown account ${body.accountId}` };
+      default:
+        return undefined;
+    }
+  }
+
+  private addOrder(body: any): Order {
+    const contract = this.data.contracts.find(c => c.name === body.symbol);
+    if (!contract) {
+      throw new Error(`Unknown symbol: ${body.symbol}`);
+    }
+    const order: Order = {
+      id: this.nextId++,
+      accountId: body.accountId,
+      contractId: contract.id,
+      timestamp: new Date().toISOString(),
+      action: body.action,
+      ordStatus: 'Working',
+      orderQty: body.orderQty,
+      orderType: body.orderType,
+      price: body.price,
+      stopPrice: body.stopPrice,
+      timeInForce: body.timeInForce,
+      expireTime: body.expireTime
+    };
+    this.data.orders.push(order);
+    return order;
+  }
+
+  private findWorkingOrder(orderId: number): Order {
+    const order = this.data.orders.find(o => o.id === Number(orderId));
+    if (!order || order.ordStatus !== 'Working') {
+      throw new Error(`No working order ${orderId}`);
+    }
+    return order;
+  }
+
+  /**
+   * Speak the socket frame protocol: `o` on open, `a[...]` for responses and events,
+   * `h` for heartbeats and `c[code,reason]` on close
+   */
+  private handleConnection(ws: WebSocket): void {
+    let authorized = false;
+    this.quoteSubscriptions.set(ws, new Set());
+    this.domSubscriptions.set(ws, new Set());
+    ws.on('close', () => {
+      this.quoteSubscriptions.delete(ws);
+      this.domSubscriptions.delete(ws);
+    });
+    ws.send('o');
+
+    ws.on('message', message => {
+      const raw = message.toString();
+      // Client heartbeats
+      if (raw === '[]') {
+        return;
+      }
+
+      const [url, idText, query, ...bodyLines] = raw.split('\n');
+      const i = Number(idText);
+      const respond = (s: number, d?: any) => ws.send(`a${JSON.stringify([{ s, i, ...(d !== undefined && { d }) }])}`);
+      let body: any = {};
+      try {
+        body = bodyLines.length ? JSON.parse(bodyLines.join('\n') || '{}') : {};
+      } catch (error) {
+        respond(400, 'Invalid JSON body');
+        return;
+      }
+
+      if (url === 'authorize') {
+        authorized = this.isTokenValid(body.token);
+        respond(authorized ? 200 : 401, authorized ? undefined : 'Access is denied');
+        return;
+      }
+      if (!authorized) {
+        respond(401, 'Access is denied');
+        return;
+      }
+
+      switch (url.toLowerCase()) {
+        case 'md/subscribequote': {
+          this.quoteSubscriptions.get(ws)?.add(body.symbol);
+          respond(200, {});
+          const quote = this.data.quotes[body.symbol];
+          if (quote) {
+            ws.send(`a${JSON.stringify([{ e: 'md', d: { quotes: [quote] } }])}`);
+          }
+          return;
+        }
+        case 'md/unsubscribequote':
+          this.quoteSubscriptions.get(ws)?.delete(body.symbol);
+          respond(200, {});
+          return;
+        case 'md/subscribedom':
+          this.domSubscriptions.get(ws)?.add(body.symbol);
+          respond(200, {});
+          return;
+        case 'md/unsubscribedom':
+          this.domSubscriptions.get(ws)?.delete(body.symbol);
+          respond(200, {});
+          return;
+        case 'md/subscribehistogram':
+        case 'md/unsubscribehistogram':
+        case 'md/cancelchart':
+          respond(200, {});
+          return;
+        case 'md/getchart': {
+          const historicalId = this.nextId++;
+          respond(200, { historicalId, realtimeId: this.nextId++ });
+          this.sendChartHistory(ws, historicalId, body);
+          return;
+        }
+        case 'user/syncrequest':
+          respond(200, {
+            users: [{ id: 1, name: 'mock' }],
+            accounts: this.data.accounts,
+            positions: this.data.positions,
+            orders: this.data.orders,
+            cashBalances: this.data.cashBalances
+          });
+          return;
+        default: {
+          // Anything else is answered like the REST endpoint of the same name
+          const [path, queryString] = url.split('?');
+          const params = new URLSearchParams(queryString || query || '');
+          const result = this.handleRest('GET', path, params, body) ?? this.handleRest('POST', path, params, body);
+          respond(result === undefined ? 404 : 200, result === undefined ? `Unknown endpoint: ${url}` : result);
+        }
+      }
+    });
+  }
+
+  private broadcast(frame: string): void {
+    for (const ws of this.wss?.clients || []) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(frame);
+      }
+    }
+  }
+}
+
+// Run standalone with `npm run mock-server`; point the server at it with TRADOVATE_BASE_URL
+const isTestEnvironment = process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID !== undefined;
+if (!isTestEnvironment && process.argv.length > 1 && process.argv[1].includes('mock-server')) {
+  const port = Number(process.env.MOCK_TRADOVATE_PORT) || 8787;
+  const mock = new MockTradovateServer({ port });
+  mock.start().then(() => {
+    process.stderr.write(`Mock Tradovate server running. Start the MCP server with TRADOVATE_BASE_URL=${mock.url}\n`);
+  }).catch(error => {
+    logger.error('Failed to start mock Tradovate server:', error);
+    process.exit(1);
+  });
+}
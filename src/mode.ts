@@ -0,0 +1,59 @@
+// Tools that place, change or cancel orders. Read-only mode hides and refuses them.
+export const TRADING_TOOLS = [
+  "place_order",
+  "place_bracket_order",
+  "place_oco_order",
+  "confirm_order",
+  "modify_order",
+  "cancel_order",
+  "cancel_all_orders",
+  "liquidate_position",
+  "reverse_position",
+  "flatten_account"
+];
+
+/**
+ * Read-only mode is on when TRADOVATE_READ_ONLY=true or the server is started with --read-only
+ */
+export function isReadOnly(): boolean {
+  return process.argv.includes('--read-only') || (process.env.TRADOVATE_READ_ONLY || '').toLowerCase() === 'true';
+}
+
+// Tools that only make sense against the paper trading engine
+export const PAPER_TOOLS = [
+  "set_paper_quote"
+];
+
+/**
+ * Paper trading mode is on when TRADOVATE_PAPER_TRADING=true or the server is started with --paper
+ */
+export function isPaperTrading(): boolean {
+  return process.argv.includes('--paper') || (process.env.TRADOVATE_PAPER_TRADING || '').toLowerCase() === 'true';
+}
+
+/**
+ * Why the current mode doesn't allow a tool, or null if it does
+ */
+export function getDisabledReason(name: string): string | null {
+  if (PAPER_TOOLS.includes(name) && !isPaperTrading()) {
+    return "the server is not in paper trading mode";
+  }
+  if (TRADING_TOOLS.includes(name) && isReadOnly()) {
+    return "the server is running in read-only mode";
+  }
+  return null;
+}
+
+/**
+ * Whether a tool may be listed and called in the current mode
+ */
+export function isToolEnabled(name: string): boolean {
+  return getDisabledReason(name) === null;
+}
+
+/**
+ * Drop the tools the current mode doesn't allow from a capabilities map
+ */
+export function enabledTools<T>(tools: { [name: string]: T }): { [name: string]: T } {
+  return Object.fromEntries(Object.entries(tools).filter(([name]) => isToolEnabled(name)));
+}
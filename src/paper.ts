@@ -0,0 +1,410 @@
+import * as logger from "./logger.js";
+import { tradovateRequest } from './auth.js';
+import { isPaperTrading } from './mode.js';
+import { acquireMarketData, releaseMarketData, readMarketData, addMarketDataListener } from './market-data.js';
+
+// Simulated cash balance each paper account starts with
+const DEFAULT_PAPER_BALANCE = 100000;
+
+// How long an order waits for the first quote after subscribing to a symbol
+const QUOTE_WAIT_MS = 2000;
+
+// Endpoints the paper engine answers instead of the API
+const PAPER_ENDPOINTS = ['order/', 'position/', 'cashBalance/'];
+
+export interface PaperQuote {
+  bid?: number;
+  ask?: number;
+  last?: number;
+  timestamp: string;
+}
+
+interface PaperContract {
+  id: number;
+  name: string;
+  valuePerPoint: number;
+}
+
+let nextPaperId = 1;
+const paperOrders: { [id: string]: any } = {};
+// Keyed by `${accountId}:${contractId}`
+const paperPositions: { [key: string]: any } = {};
+const paperContracts: { [id: string]: PaperContract } = {};
+const quotes: { [symbol: string]: PaperQuote } = {};
+const quoteSubscriptions: { [symbol: string]: Promise<void> } = {};
+let removeQuoteListener: (() => void) | null = null;
+
+/**
+ * Route an order, position or cash balance request to the paper engine in paper trading mode,
+ * and everything else (or everything, outside paper trading) to the API
+ */
+export async function tradingRequest(method: string, endpoint: string, ...data: [any?]): Promise<any> {
+  if (isPaperTrading() && PAPER_ENDPOINTS.some(prefix => endpoint.startsWith(prefix))) {
+    return paperRequest(method, endpoint, ...data);
+  }
+  return tradovateRequest(method, endpoint, ...data);
+}
+
+/**
+ * Answer a request from the simulated orders and positions, mirroring the API's endpoints
+ */
+export async function paperRequest(method: string, endpoint: string, data?: any): Promise<any> {
+  const [path, queryString] = endpoint.split('?');
+  const params = new URLSearchParams(queryString || '');
+  expireOrders();
+
+  switch (`${method.toUpperCase()} ${path}`) {
+    case 'GET order/list':
+      return Object.values(paperOrders).filter(o => !params.get('accountId') || String(o.accountId) === params.get('accountId'));
+    case 'GET order/find':
+    case 'GET order/item':
+      return paperOrders[params.get('id') || ''] || null;
+    case 'POST order/placeorder':
+      return placePaperOrder(data);
+    case 'POST order/modifyOrder':
+      return modifyPaperOrder(data);
+    case 'POST order/cancelorder':
+      return cancelPaperOrder(data?.orderId);
+    case 'POST order/liquidateposition':
+      return liquidatePaperPosition(data);
+    case 'GET position/list': {
+      const accountId = params.get('accountId');
+      return Object.values(paperPositions)
+        .filter(p => !accountId || String(p.accountId) === accountId)
+        .map(markPosition);
+    }
+    case 'POST cashBalance/getCashBalanceSnapshot':
+      return getPaperCashBalance(data?.accountId);
+    default:
+      throw new Error(`${endpoint} is not supported in paper trading mode`);
+  }
+}
+
+/**
+ * Set the quote for a symbol by hand, for paper trading without a market data connection.
+ * Working orders for the symbol are matched against it right away.
+ */
+export function setPaperQuote(symbol: string, quote: Omit<PaperQuote, 'timestamp'>): PaperQuote {
+  quotes[symbol] = { ...quote, timestamp: new Date().toISOString() };
+  matchOrders(symbol);
+  return quotes[symbol];
+}
+
+/**
+ * Clear all paper orders, positions and quotes
+ */
+export function resetPaperTrading(): void {
+  for (const symbol of Object.keys(quoteSubscriptions)) {
+    void releaseMarketData('quote', symbol);
+  }
+  removeQuoteListener?.();
+  removeQuoteListener = null;
+  for (const store of [paperOrders, paperPositions, paperContracts, quotes, quoteSubscriptions]) {
+    for (const key of Object.keys(store)) {
+      delete (store as any)[key];
+    }
+  }
+  nextPaperId = 1;
+}
+
+function getStartingBalance(): number {
+  const balance = Number(process.env.TRADOVATE_PAPER_BALANCE);
+  return balance > 0 ? balance : DEFAULT_PAPER_BALANCE;
+}
+
+/**
+ * Resolve a symbol to its contract ID and point value, which the engine needs for positions and PnL
+ */
+async function resolvePaperContract(symbol: string): Promise<PaperContract> {
+  const cached = Object.values(paperContracts).find(c => c.name === symbol);
+  if (cached) {
+    return cached;
+  }
+
+  const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
+  if (!contract) {
+    throw new Error(`Contract not found for symbol: ${symbol}`);
+  }
+
+  let valuePerPoint = 1;
+  try {
+    const product = contract.productId ? await tradovateRequest('GET', `product/item?id=${contract.productId}`) : null;
+    if (product?.valuePerPoint) {
+      valuePerPoint = product.valuePerPoint;
+    } else {
+      logger.warn(`No point value found for ${symbol}; paper PnL is in points`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to look up the point value for ${symbol}; paper PnL is in points:`, error);
+  }
+
+  paperContracts[contract.id] = { id: contract.id, name: contract.name || symbol, valuePerPoint };
+  return paperContracts[contract.id];
+}
+
+function toPaperQuote(quote: any): PaperQuote {
+  const entries = quote?.entries || {};
+  return {
+    bid: entries.Bid?.price,
+    ask: entries.Offer?.price,
+    last: entries.Trade?.price,
+    timestamp: quote?.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Latest quote for a symbol. With a market data connection the first call subscribes through
+ * the market data cache, and later quotes match working orders as they arrive.
+ */
+async function getQuote(symbol: string): Promise<PaperQuote | undefined> {
+  const socket = global.marketDataSocket;
+  if (!quoteSubscriptions[symbol] && socket && socket.isConnected()) {
+    if (!removeQuoteListener) {
+      removeQuoteListener = addMarketDataListener((kind, updated, quote) => {
+        if (kind === 'quote' && updated in quoteSubscriptions) {
+          quotes[updated] = toPaperQuote(quote);
+          matchOrders(updated);
+        }
+      });
+    }
+
+    quoteSubscriptions[symbol] = acquireMarketData('quote', symbol).then(
+      // Resolves once the first quote arrives, or after QUOTE_WAIT_MS
+      () => readMarketData('quote', symbol, QUOTE_WAIT_MS).then(cached => {
+        quotes[symbol] = quotes[symbol] || toPaperQuote(cached.data);
+      }, () => undefined),
+      error => {
+        logger.warn(`Paper trading could not subscribe to quotes for ${symbol}:`, error);
+        delete quoteSubscriptions[symbol];
+      }
+    );
+  }
+
+  await quoteSubscriptions[symbol];
+  return quotes[symbol];
+}
+
+/**
+ * The price an order fills at against a quote, or undefined if it doesn't fill yet.
+ * Buys fill at the ask and sells at the bid, falling back to the last trade.
+ */
+function getFillPrice(order: any, quote: PaperQuote): number | undefined {
+  const isBuy = order.action === "Buy";
+  const marketPrice = isBuy ? (quote.ask ?? quote.last) : (quote.bid ?? quote.last);
+  if (marketPrice === undefined) {
+    return undefined;
+  }
+
+  // Stops trigger when the market trades through the stop price; a triggered StopLimit then rests as a limit
+  if ((order.orderType === "Stop" || order.orderType === "StopLimit") && !order.triggered) {
+    const reached = isBuy ? marketPrice >= order.stopPrice : marketPrice <= order.stopPrice;
+    if (!reached) {
+      return undefined;
+    }
+    order.triggered = true;
+  }
+
+  if (order.orderType === "Limit" || order.orderType === "StopLimit") {
+    const marketable = isBuy ? marketPrice <= order.price : marketPrice >= order.price;
+    return marketable ? marketPrice : undefined;
+  }
+  return marketPrice;
+}
+
+/**
+ * Fill an order in full and apply it to the account's position
+ */
+function fillOrder(order: any, price: number): void {
+  const contract = paperContracts[order.contractId];
+  const key = `${order.accountId}:${order.contractId}`;
+  const position = paperPositions[key] || {
+    id: nextPaperId++,
+    accountId: order.accountId,
+    contractId: order.contractId,
+    netPos: 0,
+    netPrice: undefined,
+    realizedPnl: 0,
+    valuePerPoint: contract.valuePerPoint
+  };
+
+  const signedQty = order.action === "Buy" ? order.orderQty : -order.orderQty;
+  if (position.netPos === 0 || Math.sign(position.netPos) === Math.sign(signedQty)) {
+    // Adding to the position moves the average price
+    const totalQty = Math.abs(position.netPos) + order.orderQty;
+    position.netPrice = ((position.netPrice || 0) * Math.abs(position.netPos) + price * order.orderQty) / totalQty;
+  } else {
+    // Reducing realizes PnL on the closed quantity; anything left over opens the other side at the fill price
+    const closedQty = Math.min(Math.abs(position.netPos), order.orderQty);
+    position.realizedPnl += closedQty * (price - position.netPrice) * Math.sign(position.netPos) * position.valuePerPoint;
+    if (order.orderQty > closedQty) {
+      position.netPrice = price;
+    }
+  }
+  position.netPos += signedQty;
+  if (position.netPos === 0) {
+    position.netPrice = undefined;
+  }
+  position.timestamp = new Date().toISOString();
+  paperPositions[key] = position;
+
+  order.ordStatus = "Filled";
+  order.filledQty = order.orderQty;
+  order.avgFillPrice = price;
+  order.fillTime = position.timestamp;
+  logger.info(`Paper order ${order.id} filled: ${order.action} ${order.orderQty} ${order.symbol} @ ${price}`);
+}
+
+/**
+ * Try to fill an order against the latest quote for its symbol
+ */
+function tryFill(order: any): void {
+  const quote = quotes[order.symbol];
+  const price = quote ? getFillPrice(order, quote) : undefined;
+  if (price !== undefined) {
+    fillOrder(order, price);
+  }
+}
+
+/**
+ * Match the working orders for a symbol against its latest quote
+ */
+function matchOrders(symbol: string): void {
+  expireOrders();
+  for (const order of Object.values(paperOrders)) {
+    if (order.ordStatus === "Working" && order.symbol === symbol) {
+      tryFill(order);
+    }
+  }
+}
+
+/**
+ * Expire GTD orders whose expiry time has passed
+ */
+function expireOrders(): void {
+  const now = Date.now();
+  for (const order of Object.values(paperOrders)) {
+    if (order.ordStatus === "Working" && order.expireTime && new Date(order.expireTime).getTime() <= now) {
+      order.ordStatus = "Expired";
+    }
+  }
+}
+
+/**
+ * Mark a position to the latest quote
+ */
+function markPosition(position: any) {
+  const contract = paperContracts[position.contractId];
+  const quote = contract ? quotes[contract.name] : undefined;
+  const mark = quote?.last ?? (quote?.bid !== undefined && quote?.ask !== undefined ? (quote.bid + quote.ask) / 2 : undefined);
+  const openPnl = position.netPos !== 0 && mark !== undefined
+    ? position.netPos * (mark - position.netPrice) * position.valuePerPoint
+    : 0;
+  return { ...position, openPnl };
+}
+
+async function placePaperOrder(data: any) {
+  if (data.orderType === "TrailingStop" || data.orderType === "TrailingStopLimit") {
+    throw new Error(`${data.orderType} orders are not supported in paper trading mode`);
+  }
+
+  const contract = await resolvePaperContract(data.symbol);
+  const order: any = {
+    id: nextPaperId++,
+    accountId: data.accountId,
+    contractId: contract.id,
+    symbol: contract.name,
+    timestamp: new Date().toISOString(),
+    action: data.action,
+    ordStatus: "Working",
+    orderQty: data.orderQty,
+    orderType: data.orderType,
+    price: data.price,
+    stopPrice: data.stopPrice,
+    timeInForce: data.timeInForce,
+    expireTime: data.expireTime,
+    filledQty: 0,
+    paper: true
+  };
+  paperOrders[order.id] = order;
+
+  await getQuote(order.symbol);
+  tryFill(order);
+
+  // Market orders and the immediate time in forces never rest on the book
+  if (order.ordStatus === "Working" && order.orderType === "Market" && !quotes[order.symbol]) {
+    order.ordStatus = "Rejected";
+    order.rejectReason = `No quote available for ${order.symbol}. Connect market data or set one with set_paper_quote`;
+  } else if (order.ordStatus === "Working" && (order.orderType === "Market" || order.timeInForce === "IOC" || order.timeInForce === "FOK")) {
+    order.ordStatus = "Canceled";
+  }
+
+  return order;
+}
+
+async function modifyPaperOrder(data: any) {
+  const order = getWorkingOrder(data?.orderId);
+  for (const field of ['orderQty', 'price', 'stopPrice', 'timeInForce', 'expireTime']) {
+    if (data[field] !== undefined) {
+      order[field] = data[field];
+    }
+  }
+  order.timestamp = new Date().toISOString();
+  tryFill(order);
+  return order;
+}
+
+async function cancelPaperOrder(orderId: any) {
+  const order = getWorkingOrder(orderId);
+  order.ordStatus = "Canceled";
+  order.timestamp = new Date().toISOString();
+  return order;
+}
+
+/**
+ * Cancel the working orders for the contract and close the position with a market order
+ */
+async function liquidatePaperPosition(data: any) {
+  for (const order of Object.values(paperOrders)) {
+    if (order.ordStatus === "Working" && order.accountId === data.accountId && order.contractId === data.contractId) {
+      order.ordStatus = "Canceled";
+    }
+  }
+
+  const position = paperPositions[`${data.accountId}:${data.contractId}`];
+  if (!position || position.netPos === 0) {
+    throw new Error(`No open paper position for contract ${data.contractId}`);
+  }
+
+  return placePaperOrder({
+    accountId: data.accountId,
+    action: position.netPos > 0 ? "Sell" : "Buy",
+    symbol: paperContracts[data.contractId].name,
+    orderQty: Math.abs(position.netPos),
+    orderType: "Market",
+    timeInForce: "Day"
+  });
+}
+
+function getWorkingOrder(orderId: any) {
+  const order = paperOrders[String(orderId)];
+  if (!order) {
+    throw new Error(`Paper order not found with ID: ${orderId}`);
+  }
+  if (order.ordStatus !== "Working") {
+    throw new Error(`Paper order ${orderId} is ${order.ordStatus}, not Working`);
+  }
+  return order;
+}
+
+function getPaperCashBalance(accountId: number) {
+  const positions = Object.values(paperPositions).filter(p => p.accountId === accountId).map(markPosition);
+  const realizedPnL = positions.reduce((sum, p) => sum + p.realizedPnl, 0);
+  const openPnL = positions.reduce((sum, p) => sum + p.openPnl, 0);
+  return {
+    accountId,
+    cashBalance: getStartingBalance() + realizedPnL,
+    realizedPnL,
+    openPnL,
+    initialMargin: 0
+  };
+}
@@ -0,0 +1,389 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import * as logger from "./logger.js";
+import { tradovateRequest } from './auth.js';
+import { tradingRequest } from './paper.js';
+import { readMarketData } from './market-data.js';
+
+/**
+ * Pre-trade limits loaded from the file named by TRADOVATE_RISK_CONFIG.
+ * Per-symbol maps are keyed by product (maxOrderQty) or contract (maxNetPosition)
+ * and fall back to their `DEFAULT` entry.
+ */
+export interface RiskLimits {
+  maxOrderQty?: { [product: string]: number };
+  maxNetPosition?: { [contract: string]: number };
+  maxOpenContracts?: number;
+  maxNotional?: number;
+  maxDailyLoss?: number;
+  flattenOnDailyLoss?: boolean;
+  allowedSymbols?: string[];
+  deniedSymbols?: string[];
+}
+
+// An order as the risk engine sees it, before it is sent
+export interface RiskOrder {
+  accountId: number;
+  contractId: number;
+  contract?: any;
+  action: string;
+  quantity: number;
+  price?: number;
+}
+
+const PER_SYMBOL_LIMITS = ["maxOrderQty", "maxNetPosition"];
+const ACCOUNT_LIMITS = ["maxOpenContracts", "maxNotional", "maxDailyLoss"];
+const OPTIONS = ["flattenOnDailyLoss"];
+const SYMBOL_LISTS = ["allowedSymbols", "deniedSymbols"];
+
+// How long the notional check waits for a quote to price an order that has no price of its own
+const QUOTE_WAIT_MS = 2000;
+
+// Limits are read once per config path
+let loadedLimits: { path: string; limits: RiskLimits } | null = null;
+
+// Accounts that breached the daily loss limit, keyed by account ID. A lockout lasts until the trading day rolls over.
+const lockouts: { [accountId: string]: { tradingDay: string; lockedAt: string; dailyPnl: number; flattened?: boolean } } = {};
+
+// Called once when an account is locked out and the config asks for it to be flattened
+let lockoutListener: ((accountId: number) => Promise<void>) | null = null;
+
+/**
+ * Validate a parsed config file and normalize it into RiskLimits
+ */
+export function parseRiskLimits(config: any): RiskLimits {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error("Risk config must be an object");
+  }
+
+  const limits: RiskLimits = {};
+  const checkLimit = (name: string, value: any) => {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`${name} must be a positive number, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  };
+
+  for (const [key, value] of Object.entries(config)) {
+    if (PER_SYMBOL_LIMITS.includes(key)) {
+      // A bare number is shorthand for a default that applies to every symbol
+      const entries: [string, any][] = typeof value === 'object' && value !== null ? Object.entries(value) : [["DEFAULT", value]];
+      const map: { [symbol: string]: number } = {};
+      for (const [symbol, limit] of entries) {
+        map[symbol.toUpperCase()] = checkLimit(`${key}.${symbol}`, limit);
+      }
+      (limits as any)[key] = map;
+    } else if (ACCOUNT_LIMITS.includes(key)) {
+      (limits as any)[key] = checkLimit(key, value);
+    } else if (SYMBOL_LISTS.includes(key)) {
+      if (!Array.isArray(value) || value.some(symbol => typeof symbol !== 'string' || !symbol.trim())) {
+        throw new Error(`${key} must be a list of symbols, got ${JSON.stringify(value)}`);
+      }
+      (limits as any)[key] = value.map((symbol: string) => symbol.trim().toUpperCase());
+    } else if (OPTIONS.includes(key)) {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${key} must be true or false, got ${JSON.stringify(value)}`);
+      }
+      (limits as any)[key] = value;
+    } else {
+      throw new Error(`Unknown risk limit: ${key}. Use one of ${[...PER_SYMBOL_LIMITS, ...ACCOUNT_LIMITS, ...OPTIONS, ...SYMBOL_LISTS].join(', ')}`);
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * The price a market order would likely fill at, from the cached quote: the offer for buys and
+ * the bid for sells, falling back to the last trade. Undefined when no quote is available.
+ */
+async function getMarketPrice(symbol: string, action: string): Promise<number | undefined> {
+  try {
+    const { data } = await readMarketData('quote', symbol, QUOTE_WAIT_MS);
+    const entries = data?.entries || {};
+    return (action === "Buy" ? entries.Offer?.price : entries.Bid?.price) ?? entries.Trade?.price;
+  } catch (error) {
+    logger.warn(`No quote to price ${symbol} for the notional check:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Load risk limits from a JSON or YAML file
+ */
+export function loadRiskLimits(configPath: string): RiskLimits {
+  if (loadedLimits && loadedLimits.path === configPath) {
+    return loadedLimits.limits;
+  }
+
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const extension = path.extname(configPath).toLowerCase();
+  const config = extension === '.yaml' || extension === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  const limits = parseRiskLimits(config);
+
+  loadedLimits = { path: configPath, limits };
+  logger.info(`Loaded risk limits from ${configPath}: ${JSON.stringify(limits)}`);
+  return limits;
+}
+
+/**
+ * The root of a futures contract name, e.g. ES for ESZ4 or MES for MESH25
+ */
+export function getContractRoot(name: string): string {
+  const upper = name.toUpperCase();
+  const match = upper.match(/^([A-Z0-9]+?)[FGHJKMNQUVXZ]\d{1,2}$/);
+  return match ? match[1] : upper;
+}
+
+/**
+ * Check a resolved contract against allowedSymbols and deniedSymbols.
+ * Entries match either the contract root (ES) or the full contract name (ESZ4).
+ * Returns the reason the symbol may not be traded, or null.
+ */
+export function checkSymbolPolicy(contractName: string): string | null {
+  const configPath = process.env.TRADOVATE_RISK_CONFIG;
+  if (!configPath) {
+    return null;
+  }
+
+  let limits: RiskLimits;
+  try {
+    limits = loadRiskLimits(configPath);
+  } catch (error) {
+    return `Symbol ${contractName} rejected by trading policy: risk config ${configPath} could not be loaded: ${error instanceof Error ? error.message : String(error)}`;
+  }
+
+  const name = String(contractName || '').toUpperCase();
+  const root = getContractRoot(name);
+  const matches = (list: string[]) => list.includes(name) || list.includes(root);
+
+  if (limits.deniedSymbols && matches(limits.deniedSymbols)) {
+    return `Symbol ${name} rejected by trading policy: ${root} is on the denied list`;
+  }
+
+  if (limits.allowedSymbols && !matches(limits.allowedSymbols)) {
+    return `Symbol ${name} rejected by trading policy: ${root} is not on the allowed list (${limits.allowedSymbols.join(', ')})`;
+  }
+
+  return null;
+}
+
+/**
+ * Register what to do when an account is locked out with flattenOnDailyLoss set
+ */
+export function setLockoutListener(listener: ((accountId: number) => Promise<void>) | null): void {
+  lockoutListener = listener;
+}
+
+/**
+ * The CME trading day an instant belongs to, as YYYY-MM-DD. The day rolls over at 17:00 Chicago time.
+ */
+export function getTradingDay(now: Date = new Date()): string {
+  // Shifting forward 7 hours moves 17:00 Chicago to midnight, so the Chicago date is the trading day
+  return new Date(now.getTime() + 7 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+}
+
+/**
+ * Realized and open PnL for an account's trading day, preferring the cash balance snapshot over position sums
+ */
+async function getDailyPnl(accountId: number, positions?: any[]) {
+  const accountPositions = positions
+    ? positions.filter((p: any) => p.accountId === accountId)
+    : (await tradingRequest('GET', `position/list?accountId=${accountId}`) || []);
+  const snapshot = await tradingRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId });
+
+  const realizedPnl = typeof snapshot?.realizedPnL === 'number'
+    ? snapshot.realizedPnL
+    : accountPositions.reduce((sum: number, p: any) => sum + (p.realizedPnl || 0), 0);
+  const openPnl = typeof snapshot?.openPnL === 'number'
+    ? snapshot.openPnL
+    : accountPositions.reduce((sum: number, p: any) => sum + (p.openPnl || 0), 0);
+
+  return { realizedPnl, openPnl, dailyPnl: realizedPnl + openPnl };
+}
+
+/**
+ * Check an account's daily PnL against maxDailyLoss, locking it out (and optionally flattening it) on a breach.
+ * With record off, a breach is reported as the lockout it would cause without locking or flattening anything.
+ */
+async function evaluateDailyLoss(accountId: number, limits: RiskLimits, positions?: any[], record: boolean = true) {
+  const key = String(accountId);
+  const tradingDay = getTradingDay();
+  if (lockouts[key] && lockouts[key].tradingDay !== tradingDay) {
+    logger.info(`Daily loss lockout for account ${accountId} expired with trading day ${lockouts[key].tradingDay}`);
+    delete lockouts[key];
+  }
+
+  const pnl = await getDailyPnl(accountId, positions);
+  if (!lockouts[key] && limits.maxDailyLoss !== undefined && pnl.dailyPnl <= -limits.maxDailyLoss) {
+    if (!record) {
+      return { tradingDay, ...pnl, lockout: { tradingDay, lockedAt: new Date().toISOString(), dailyPnl: pnl.dailyPnl } };
+    }
+
+    lockouts[key] = { tradingDay, lockedAt: new Date().toISOString(), dailyPnl: pnl.dailyPnl };
+    logger.warn(`Account ${accountId} breached the daily loss limit of ${limits.maxDailyLoss} with PnL ${pnl.dailyPnl}; order entry is locked until the next trading day`);
+
+    if (limits.flattenOnDailyLoss && lockoutListener) {
+      try {
+        await lockoutListener(accountId);
+        lockouts[key].flattened = true;
+      } catch (error) {
+        logger.error(`Error flattening account ${accountId} after daily loss lockout:`, error);
+        lockouts[key].flattened = false;
+      }
+    }
+  }
+
+  return { tradingDay, ...pnl, lockout: lockouts[key] || null };
+}
+
+/**
+ * Check every account against the daily loss limit. Run periodically so a breach is caught between tool calls.
+ */
+export async function monitorDailyLoss(): Promise<void> {
+  const configPath = process.env.TRADOVATE_RISK_CONFIG;
+  if (!configPath) {
+    return;
+  }
+
+  const limits = loadRiskLimits(configPath);
+  if (limits.maxDailyLoss === undefined) {
+    return;
+  }
+
+  const accounts = await tradovateRequest('GET', 'account/list');
+  for (const account of accounts || []) {
+    await evaluateDailyLoss(account.id, limits);
+  }
+}
+
+/**
+ * Current limits, daily PnL and lockout state for an account, or null when no risk config is set
+ */
+export async function getRiskStatus(accountId: number) {
+  const configPath = process.env.TRADOVATE_RISK_CONFIG;
+  if (!configPath) {
+    return null;
+  }
+
+  const limits = loadRiskLimits(configPath);
+  const daily = limits.maxDailyLoss !== undefined
+    ? await evaluateDailyLoss(accountId, limits)
+    : { tradingDay: getTradingDay(), lockout: lockouts[String(accountId)] || null };
+
+  return {
+    configPath,
+    limits,
+    ...daily,
+    lockedOut: daily.lockout !== null
+  };
+}
+
+/**
+ * Look up the product a contract belongs to
+ */
+export async function getProduct(contract: any): Promise<any> {
+  let productId = contract.productId;
+  if (!productId && contract.contractMaturityId) {
+    const maturity = await tradovateRequest('GET', `contractMaturity/item?id=${contract.contractMaturityId}`);
+    productId = maturity?.productId;
+  }
+
+  const product = productId ? await tradovateRequest('GET', `product/item?id=${productId}`) : null;
+  if (!product) {
+    throw new Error(`Product not found for contract ${contract.name}`);
+  }
+  return product;
+}
+
+/**
+ * Check an order against the configured risk limits.
+ * Returns a rejection message naming the limit that was hit, or null if the order may be sent.
+ * A dry run reports a daily loss breach without locking the account out or flattening it.
+ */
+export async function checkOrderRisk(order: RiskOrder, options: { dryRun?: boolean } = {}): Promise<string | null> {
+  const configPath = process.env.TRADOVATE_RISK_CONFIG;
+  if (!configPath) {
+    return null;
+  }
+
+  try {
+    const positions = await tradingRequest('GET', 'position/list');
+    const accountPositions = (positions || []).filter((p: any) => p.accountId === order.accountId);
+    const currentNetPos = accountPositions.find((p: any) => p.contractId === order.contractId)?.netPos || 0;
+    const projectedNetPos = currentNetPos + (order.action === "Buy" ? order.quantity : -order.quantity);
+
+    // Orders that only shrink a position are always allowed, so the limits can never trap you in a trade
+    if (currentNetPos !== 0 && projectedNetPos * currentNetPos >= 0 && Math.abs(projectedNetPos) < Math.abs(currentNetPos)) {
+      return null;
+    }
+
+    let limits: RiskLimits;
+    try {
+      limits = loadRiskLimits(configPath);
+    } catch (error) {
+      return `Order rejected by risk check: risk config ${configPath} could not be loaded: ${error instanceof Error ? error.message : String(error)}`;
+    }
+
+    // A lockout blocks anything that adds risk until the trading day rolls over
+    if (limits.maxDailyLoss !== undefined) {
+      const { lockout } = await evaluateDailyLoss(order.accountId, limits, positions || [], !options.dryRun);
+      if (lockout) {
+        return `Order rejected by risk check (maxDailyLoss): account ${order.accountId} is locked out for the rest of trading day ${lockout.tradingDay} after daily PnL of ${lockout.dailyPnl} breached the ${limits.maxDailyLoss} limit`;
+      }
+    }
+
+    const contract = order.contract || await tradovateRequest('GET', `contract/item?id=${order.contractId}`);
+    const contractName = String(contract?.name || order.contractId).toUpperCase();
+
+    // Only look the product up when a limit needs it
+    const needsProduct = limits.maxNotional !== undefined ||
+      Object.keys(limits.maxOrderQty || {}).some(key => key !== "DEFAULT");
+    const product = needsProduct ? await getProduct(contract) : null;
+    const productName = String(product?.name || contractName).toUpperCase();
+
+    if (limits.maxOrderQty) {
+      const limit = limits.maxOrderQty[productName] ?? limits.maxOrderQty.DEFAULT;
+      if (limit !== undefined && order.quantity > limit) {
+        return `Order rejected by risk check (maxOrderQty): max order quantity for ${productName} is ${limit}, order is for ${order.quantity}`;
+      }
+    }
+
+    if (limits.maxNetPosition) {
+      const limit = limits.maxNetPosition[contractName] ?? limits.maxNetPosition.DEFAULT;
+      if (limit !== undefined && Math.abs(projectedNetPos) > limit) {
+        return `Order rejected by risk check (maxNetPosition): max net position for ${contractName} is ${limit}, this order would take it from ${currentNetPos} to ${projectedNetPos}`;
+      }
+    }
+
+    if (limits.maxOpenContracts !== undefined) {
+      const otherContracts = accountPositions
+        .filter((p: any) => p.contractId !== order.contractId)
+        .reduce((total: number, p: any) => total + Math.abs(p.netPos || 0), 0);
+      const openContracts = otherContracts + Math.abs(projectedNetPos);
+      if (openContracts > limits.maxOpenContracts) {
+        return `Order rejected by risk check (maxOpenContracts): max open contracts for account ${order.accountId} is ${limits.maxOpenContracts}, this order would take it to ${openContracts}`;
+      }
+    }
+
+    if (limits.maxNotional !== undefined) {
+      const price = order.price ?? (contract?.name ? await getMarketPrice(contract.name, order.action) : undefined);
+      if (price === undefined) {
+        return `Order rejected by risk check (maxNotional): ${contractName} order has no price and no quote to price it from`;
+      }
+      if (!product.valuePerPoint) {
+        return `Order rejected by risk check (maxNotional): point value not found for ${productName}`;
+      }
+      const notional = order.quantity * price * product.valuePerPoint;
+      if (notional > limits.maxNotional) {
+        return `Order rejected by risk check (maxNotional): max notional is ${limits.maxNotional}, order is for ${notional}`;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    logger.error("Error running risk check:", error);
+    return `Order rejected by risk check: limits could not be evaluated: ${error instanceof Error ? error.message : String(error)}`;
+  }
+}
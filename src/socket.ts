@@ -1,13 +1,7 @@
 import WebSocket from 'ws';
 import * as logger from './logger.js';
 import { getAccessToken } from './auth.js';
-
-// URLs for Tradovate APIs
-const URLS = {
-  MD_URL: 'wss://md-demo.tradovateapi.com/v1/websocket',
-  WS_DEMO_URL: 'wss://demo.tradovateapi.com/v1/websocket',
-  WS_LIVE_URL: 'wss://live.tradovateapi.com/v1/websocket'
-};
+import { resolveEndpoint } from './endpoints.js';
 
 // Helper function for waiting
 const waitForMs = (ms: number): Promise<void> => {
@@ -17,9 +11,30 @@ const waitForMs = (ms: number): Promise<void> => {
 // No operation function
 const noop = (): void => {};
 
+// Reconnection backoff defaults: 1s, doubling up to 30s, retrying forever
+const DEFAULT_RECONNECT_INITIAL_DELAY_MS = 1000;
+const DEFAULT_RECONNECT_MAX_DELAY_MS = 30000;
+
+// Heartbeat defaults: send `[]` every 2.5s, as Tradovate asks, and call the connection stale
+// once the server has gone 10s without an `h` frame
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 2500;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 10000;
+
+// How long send() waits for a response before giving up on the request
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
 // Types
 interface TradovateSocketOptions {
   debugLabel?: string;
+  // Reconnect with exponential backoff after the connection drops (default true)
+  reconnect?: boolean;
+  reconnectInitialDelayMs?: number;
+  reconnectMaxDelayMs?: number;
+  reconnectMaxAttempts?: number;
+  heartbeatIntervalMs?: number;
+  // Terminate the connection (and so reconnect) after this long without a server heartbeat
+  heartbeatTimeoutMs?: number;
+  requestTimeoutMs?: number;
 }
 
 interface SendOptions {
@@ -28,6 +43,8 @@ interface SendOptions {
   body?: Record<string, any>;
   onResponse?: (item: any) => void;
   onReject?: () => void;
+  // Overrides the socket's requestTimeoutMs for this request
+  timeoutMs?: number;
 }
 
 interface SubscribeOptions {
@@ -46,34 +63,86 @@ interface ResponseMessage {
 type Listener = (data: any) => void;
 type UnsubscribeFunction = () => void;
 
+// A subscription as opened on the current connection
+interface OpenSubscription {
+  removeListener: UnsubscribeFunction;
+  cancel: () => Promise<void>;
+}
+
+// A subscription the socket replays after every reconnect
+interface ActiveSubscription {
+  options: SubscribeOptions;
+  open: OpenSubscription;
+}
+
+// A request sent by send() that is waiting for the response with its id
+interface PendingRequest {
+  url: string;
+  sentAt: number;
+  timer: NodeJS.Timeout;
+  settle: (item: ResponseMessage) => void;
+  fail: (error: Error) => void;
+}
+
+// Counters for the requests sent on this socket, across reconnects
+export interface RequestMetrics {
+  inFlight: number;
+  oldestInFlightMs: number | null;
+  sent: number;
+  succeeded: number;
+  failed: number;
+  timedOut: number;
+  disconnected: number;
+}
+
+// Connection details reported by getStatus()
+export interface SocketStatus {
+  label: string;
+  url: string;
+  connected: boolean;
+  reconnecting: boolean;
+  reconnectAttempts: number;
+  subscriptions: number;
+  stale: boolean;
+  lastHeartbeatSent: string | null;
+  lastHeartbeatReceived: string | null;
+  requests: RequestMetrics;
+}
+
 /**
  * A generic implementation for the Tradovate real-time APIs WebSocket client.
  */
 export class TradovateSocket {
   private counter: number = 0;
-  private curTime: Date = new Date();
   private listeningURL: string = '';
   private debugLabel: string;
   private ws: WebSocket | null = null;
   private connected: boolean = false;
   private listeners: Listener[] = [];
+  private options: TradovateSocketOptions;
+  private subscriptions: ActiveSubscription[] = [];
+  // Set once a connection has been authorized, and cleared by close()
+  private shouldReconnect: boolean = false;
+  private reconnecting: boolean = false;
+  private reconnectAttempts: number = 0;
+  private reconnectTimer: NodeJS.Timeout | null = null;
+  private heartbeatTimer: NodeJS.Timeout | null = null;
+  private lastHeartbeatSent: Date | null = null;
+  private lastHeartbeatReceived: Date | null = null;
+  private stale: boolean = false;
+  // Requests waiting on a response, keyed by request id `i`
+  private pending: Map<number, PendingRequest> = new Map();
+  private requestCounts = { sent: 0, succeeded: 0, failed: 0, timedOut: 0, disconnected: 0 };
 
   constructor(options: TradovateSocketOptions = {}) {
     this.debugLabel = options.debugLabel || 'tvSocket';
+    this.options = options;
   }
 
   private increment(): number {
     return this.counter++;
   }
 
-  private getCurTime(): Date {
-    return this.curTime;
-  }
-
-  private setCurTime(t: Date): void {
-    this.curTime = t === this.curTime ? this.curTime : t;
-  }
-
   public addListener(listener: Listener): UnsubscribeFunction {
     this.listeners.push(listener);
     return () => {
@@ -103,17 +172,21 @@ export class TradovateSocket {
 
       try {
         this.listeningURL = url;
-        this.ws = new WebSocket(url);
+        const ws = new WebSocket(url);
+        this.ws = ws;
 
         // Long running message handler
         this.ws.addEventListener('message', function onEvents(msg) {
           try {
-            self.setCurTime(checkHeartbeats(self.ws as WebSocket, self.getCurTime()));
             const [T, data] = prepareMessage(msg.data.toString());
-            
+            if (T === 'h') {
+              self.lastHeartbeatReceived = new Date();
+            }
+
             logger.info(`${self.debugLabel}\n ${T} ${JSON.stringify(data)}`);
 
             if (T === 'a' && data && data.length > 0) {
+              data.forEach((item: ResponseMessage) => self.dispatchResponse(item));
               self.listeners.forEach(listener => data.forEach((d: any) => listener(d)));
             }
           } catch (error) {
@@ -150,6 +223,8 @@ export class TradovateSocket {
                             self.ws.removeEventListener('message', onConnect);
                           }
                           self.connected = true;
+                          self.shouldReconnect = self.options.reconnect !== false;
+                          self.startHeartbeat(ws);
                           clearTimeout(connectionTimeout);
                           res();
                           return;
@@ -195,11 +270,19 @@ export class TradovateSocket {
         this.ws.addEventListener('close', (event) => {
           logger.info(`WebSocket connection closed. Code: ${event.code}, Reason: ${event.reason || 'No reason provided'}`);
           self.connected = false;
+          if (self.ws === ws) {
+            self.stopHeartbeat();
+            self.rejectPending(`Code: ${event.code}, Reason: ${event.reason || 'No reason provided'}`);
+          }
           // Only reject if we haven't already resolved
           if (!self.connected) {
             clearTimeout(connectionTimeout);
             rej(new Error(`WebSocket closed prematurely. Code: ${event.code}, Reason: ${event.reason || 'No reason provided'}`));
           }
+          // A dropped connection (not one replaced or closed on purpose) is reestablished in the background
+          if (self.ws === ws && self.shouldReconnect && !self.reconnecting) {
+            self.scheduleReconnect();
+          }
         });
       } catch (error) {
         logger.error('Error setting up WebSocket connection:', error);
@@ -216,47 +299,93 @@ export class TradovateSocket {
    */
   public async send(options: SendOptions): Promise<ResponseMessage> {
     const { url, query, body, onResponse, onReject } = options;
-    const self = this;
 
     if (!this.ws || !this.connected) {
       throw new Error('WebSocket is not connected. Call connect() first.');
     }
 
+    const ws = this.ws;
+    const timeoutMs = options.timeoutMs ?? this.options.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS;
+
     return new Promise<ResponseMessage>((res, rej) => {
       const id = this.increment();
-      
-      const onEventHandler = (msg: WebSocket.MessageEvent) => {
-        const [_, data] = prepareMessage(msg.data.toString());
-        
-        data.forEach((item: ResponseMessage) => {
-          if (item.s === 200 && item.i === id) {
-            if (onResponse) {
-              onResponse(item);
-            }
-            if (self.ws) {
-              self.ws.removeEventListener('message', onEventHandler);
-            }
+
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.requestCounts.timedOut++;
+        logger.error(`${this.debugLabel}: request ${id} to '${url}' timed out after ${timeoutMs}ms`);
+        if (onReject) onReject();
+        rej(new Error(`Request to '${url}' timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pending.set(id, {
+        url,
+        sentAt: Date.now(),
+        timer,
+        settle: (item) => {
+          if (item.s === 200) {
+            this.requestCounts.succeeded++;
+            if (onResponse) onResponse(item);
             res(item);
-          } else if (item.s && item.s !== 200 && item.i && item.i === id) {
-            logger.error(JSON.stringify(item));
-            if (self.ws) {
-              self.ws.removeEventListener('message', onEventHandler);
-            }
-            if (onReject) onReject();
-            rej(`\nFAILED:\n\toperation '${url}'\n\tquery ${query ? JSON.stringify(query, null, 2) : ''}\n\tbody ${body ? JSON.stringify(body, null, 2) : ''}\n\treason '${JSON.stringify(item?.d, null, 2) || 'unknown'}'`);
+            return;
           }
-        });
-      };
+          this.requestCounts.failed++;
+          logger.error(JSON.stringify(item));
+          if (onReject) onReject();
+          rej(`\nFAILED:\n\toperation '${url}'\n\tquery ${query ? JSON.stringify(query, null, 2) : ''}\n\tbody ${body ? JSON.stringify(body, null, 2) : ''}\n\treason '${JSON.stringify(item?.d, null, 2) || 'unknown'}'`);
+        },
+        fail: (error) => {
+          if (onReject) onReject();
+          rej(error);
+        }
+      });
 
-      this.ws?.addEventListener('message', onEventHandler);
-      if (this.ws) {
-        this.ws.send(`${url}\n${id}\n${query || ''}\n${JSON.stringify(body || {})}`);
-      } else {
-        throw new Error('WebSocket connection lost');
-      }
+      this.requestCounts.sent++;
+      ws.send(`${url}\n${id}\n${query || ''}\n${JSON.stringify(body || {})}`);
     });
   }
 
+  /**
+   * Hand a response frame to the request waiting on its id
+   */
+  private dispatchResponse(item: ResponseMessage): void {
+    if (item.i === undefined || !item.s) {
+      return;
+    }
+    const request = this.pending.get(item.i);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(item.i);
+    clearTimeout(request.timer);
+    request.settle(item);
+  }
+
+  /**
+   * Fail every request still waiting on a response, since it will never arrive on a closed connection
+   */
+  private rejectPending(reason: string): void {
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer);
+      this.requestCounts.disconnected++;
+      logger.warn(`${this.debugLabel}: request ${id} to '${request.url}' abandoned, the connection closed`);
+      request.fail(new Error(`WebSocket closed before '${request.url}' got a response. ${reason}`));
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * In-flight and completed request counts
+   */
+  public getRequestMetrics(): RequestMetrics {
+    const now = Date.now();
+    let oldest: number | null = null;
+    for (const request of this.pending.values()) {
+      oldest = Math.max(oldest ?? 0, now - request.sentAt);
+    }
+    return { inFlight: this.pending.size, oldestInFlightMs: oldest, ...this.requestCounts };
+  }
+
   /**
    * Creates a subscription to one of the real-time data endpoints. 
    * Returns a Promise of a function that when called cancels the subscription.
@@ -264,6 +393,23 @@ export class TradovateSocket {
    * @returns Promise that resolves with an unsubscribe function
    */
   public async subscribe(options: SubscribeOptions): Promise<UnsubscribeFunction> {
+    const active: ActiveSubscription = { options, open: await this.openSubscription(options) };
+    this.subscriptions.push(active);
+
+    return async () => {
+      const index = this.subscriptions.indexOf(active);
+      if (index !== -1) {
+        this.subscriptions.splice(index, 1);
+      }
+      active.open.removeListener();
+      await active.open.cancel();
+    };
+  }
+
+  /**
+   * Send a subscription request on the current connection and start routing its data to the callback
+   */
+  private async openSubscription(options: SubscribeOptions): Promise<OpenSubscription> {
     const { url, body, subscription } = options;
     const self = this;
 
@@ -309,12 +455,12 @@ export class TradovateSocket {
       subscription(response.d);
     }
 
-    return new Promise<UnsubscribeFunction>((res, rej) => {
+    return new Promise<OpenSubscription>((res, rej) => {
       switch (url.toLowerCase()) {
         case 'md/getchart': {
           cancelUrl = 'md/cancelChart';
           cancelBody = { subscriptionId: realtimeId };
-          if (this.listeningURL !== URLS.MD_URL) {
+          if (this.listeningURL !== resolveEndpoint('mdWs').url) {
             rej('Cannot subscribe to Chart Data without using the Market Data URL.');
             return;
           }
@@ -330,7 +476,7 @@ export class TradovateSocket {
         case 'md/subscribedom': {
           cancelUrl = 'md/unsubscribedom';
           cancelBody = { symbol: body.symbol };
-          if (this.listeningURL !== URLS.MD_URL) {
+          if (this.listeningURL !== resolveEndpoint('mdWs').url) {
             rej('Cannot subscribe to DOM Data without using the Market Data URL.');
             return;
           }
@@ -346,7 +492,7 @@ export class TradovateSocket {
         case 'md/subscribequote': {
           cancelUrl = 'md/unsubscribequote';
           cancelBody = { symbol: body.symbol };
-          if (this.listeningURL !== URLS.MD_URL) {
+          if (this.listeningURL !== resolveEndpoint('mdWs').url) {
             rej('Cannot subscribe to Quote Data without using the Market Data URL.');
             return;
           }
@@ -362,7 +508,7 @@ export class TradovateSocket {
         case 'md/subscribehistogram': {
           cancelUrl = 'md/unsubscribehistogram';
           cancelBody = { symbol: body.symbol };
-          if (this.listeningURL !== URLS.MD_URL) {
+          if (this.listeningURL !== resolveEndpoint('mdWs').url) {
             rej('Cannot subscribe to Histogram Data without using the Market Data URL.');
             return;
           }
@@ -376,7 +522,7 @@ export class TradovateSocket {
           break;
         }
         case 'user/syncrequest': {
-          if (this.listeningURL !== URLS.WS_DEMO_URL && this.listeningURL !== URLS.WS_LIVE_URL) {
+          if (this.listeningURL !== resolveEndpoint('tradingWs', 'demo').url && this.listeningURL !== resolveEndpoint('tradingWs', 'live').url) {
             rej('Cannot subscribe to User Data without using one of the Demo or Live URLs.');
             return;
           }
@@ -392,19 +538,121 @@ export class TradovateSocket {
           return;
       }
 
-      res(async () => {
-        removeListener();
-        if (cancelUrl && cancelUrl !== '') {
-          await self.send({ url: cancelUrl, body: cancelBody });
+      res({
+        removeListener,
+        cancel: async () => {
+          if (cancelUrl && cancelUrl !== '') {
+            await self.send({ url: cancelUrl, body: cancelBody });
+          }
         }
       });
     });
   }
 
+  /**
+   * Send a heartbeat on a timer, whether or not anything arrives, and watch for the server's
+   * `h` frames. A connection that stays silent past the timeout is terminated as stale.
+   */
+  private startHeartbeat(ws: WebSocket): void {
+    this.stopHeartbeat();
+    this.stale = false;
+    this.lastHeartbeatSent = null;
+    this.lastHeartbeatReceived = null;
+    const since = Date.now();
+    const interval = this.options.heartbeatIntervalMs ?? DEFAULT_HEARTBEAT_INTERVAL_MS;
+    const timeout = this.options.heartbeatTimeoutMs ?? DEFAULT_HEARTBEAT_TIMEOUT_MS;
+
+    this.heartbeatTimer = setInterval(() => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      const silence = Date.now() - (this.lastHeartbeatReceived?.getTime() ?? since);
+      if (silence > timeout) {
+        logger.warn(`${this.debugLabel}: no heartbeat from the server for ${silence}ms, dropping the stale connection`);
+        this.stale = true;
+        this.stopHeartbeat();
+        ws.terminate();
+        return;
+      }
+
+      ws.send('[]');
+      this.lastHeartbeatSent = new Date();
+    }, interval);
+    // Never keep the process alive just to heartbeat
+    this.heartbeatTimer.unref?.();
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Try to reconnect after a backoff that doubles with each failed attempt
+   */
+  private scheduleReconnect(): void {
+    const maxAttempts = this.options.reconnectMaxAttempts ?? Infinity;
+    if (this.reconnectAttempts >= maxAttempts) {
+      logger.error(`${this.debugLabel}: giving up after ${this.reconnectAttempts} reconnection attempts`);
+      this.reconnecting = false;
+      return;
+    }
+
+    const initialDelay = this.options.reconnectInitialDelayMs ?? DEFAULT_RECONNECT_INITIAL_DELAY_MS;
+    const maxDelay = this.options.reconnectMaxDelayMs ?? DEFAULT_RECONNECT_MAX_DELAY_MS;
+    const delay = Math.min(initialDelay * 2 ** this.reconnectAttempts, maxDelay);
+    this.reconnectAttempts++;
+    this.reconnecting = true;
+    logger.warn(`${this.debugLabel}: connection lost, reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect().catch(error => {
+        logger.error(`${this.debugLabel}: reconnection attempt ${this.reconnectAttempts} failed:`, error);
+        if (this.shouldReconnect) {
+          this.scheduleReconnect();
+        }
+      });
+    }, delay);
+    // Like the heartbeat, a pending reconnect must not keep the process alive after shutdown
+    this.reconnectTimer.unref?.();
+  }
+
+  /**
+   * Reconnect with a fresh access token and replay every active subscription
+   */
+  private async reconnect(): Promise<void> {
+    const { accessToken } = await getAccessToken();
+    await this.connect(this.listeningURL, accessToken);
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    logger.info(`${this.debugLabel}: reconnected, restoring ${this.subscriptions.length} subscription(s)`);
+
+    for (const active of this.subscriptions) {
+      active.open.removeListener();
+      try {
+        active.open = await this.openSubscription(active.options);
+      } catch (error) {
+        logger.error(`${this.debugLabel}: failed to restore subscription to ${active.options.url}:`, error);
+      }
+    }
+  }
+
   /**
    * Close the WebSocket connection
    */
   public close(): void {
+    this.shouldReconnect = false;
+    this.reconnecting = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.stopHeartbeat();
+    this.rejectPending('The socket was closed');
     if (this.ws) {
       logger.info('Closing WebSocket connection...');
       this.ws.close();
@@ -416,20 +664,24 @@ export class TradovateSocket {
   public isConnected(): boolean {
     return this.connected && this.ws !== null && this.ws.readyState === WebSocket.OPEN;
   }
-}
 
-/**
- * Check if we need to send a heartbeat
- */
-function checkHeartbeats(socket: WebSocket, curTime: Date): Date {
-  const now = new Date();  // Time at call of onmessage
-
-  if (now.getTime() - curTime.getTime() >= 2500) {
-    socket.send('[]');   // Send heartbeat
-    return new Date();   // Set the new base time
+  /**
+   * Connection details for diagnostics
+   */
+  public getStatus(): SocketStatus {
+    return {
+      label: this.debugLabel,
+      url: this.listeningURL,
+      connected: this.isConnected(),
+      reconnecting: this.reconnecting,
+      reconnectAttempts: this.reconnectAttempts,
+      subscriptions: this.subscriptions.length,
+      stale: this.stale,
+      lastHeartbeatSent: this.lastHeartbeatSent?.toISOString() ?? null,
+      lastHeartbeatReceived: this.lastHeartbeatReceived?.toISOString() ?? null,
+      requests: this.getRequestMetrics()
+    };
   }
-  
-  return curTime;
 }
 
 /**
@@ -455,7 +707,7 @@ export async function createMarketDataSocket(retryCount = 2): Promise<TradovateS
     
     // Create and connect the socket
     const socket = new TradovateSocket({ debugLabel: 'market-data' });
-    await socket.connect(URLS.MD_URL, accessToken);
+    await socket.connect(resolveEndpoint('mdWs').url, accessToken);
     logger.info('Market Data WebSocket connected and authenticated successfully');
     return socket;
   } catch (error) {
@@ -486,7 +738,7 @@ export async function createTradingSocket(useLive: boolean = false, retryCount =
     logger.info(`Obtained access token for Trading WebSocket (${environment})`);
     
     // Create and connect the socket
-    const url = useLive ? URLS.WS_LIVE_URL : URLS.WS_DEMO_URL;
+    const url = resolveEndpoint('tradingWs', environment).url;
     const socket = new TradovateSocket({ debugLabel: useLive ? 'trading-live' : 'trading-demo' });
     await socket.connect(url, accessToken);
     logger.info(`Trading WebSocket connected and authenticated successfully to ${environment} environment`);
@@ -1,8 +1,17 @@
 import * as logger from "./logger.js";
-import { tradovateRequest } from './auth.js';
-import { contractsCache, positionsCache, ordersCache, accountsCache, fetchPositions } from './data.js';
+import { tradovateRequest, isAccessTokenValid } from './auth.js';
+import { tradingRequest, setPaperQuote } from './paper.js';
+import { readMarketData, getMarketDataSubscriptions } from './market-data.js';
+import { resolveChartDescription, buildTimeRange, fetchHistoricalBars } from './charts.js';
+import { parseIndicator, computeIndicators, INDICATOR_NAMES } from './indicators.js';
+import { contractsCache, positionsCache, ordersCache, fetchPositions } from './data.js';
+import { checkOrderRisk, checkSymbolPolicy, getRiskStatus, getProduct, RiskOrder } from './risk.js';
+import { isConfirmationRequired, createConfirmation, takeConfirmation, PendingOrder } from './confirm.js';
+import { isReadOnly, isPaperTrading, TRADING_TOOLS } from './mode.js';
+import { resolveEndpoints, getEnvironment } from './endpoints.js';
 import { query } from './connect.js';
 import { TradovateSocket } from './socket.js';
+import WebSocket from 'ws';
 
 /**
  * Handle get_contract_details tool
@@ -69,7 +78,7 @@ export async function handleListPositions(request: any) {
       endpoint += `?accountId=${accountId}`;
     }
     
-    const positions = await tradovateRequest('GET', endpoint);
+    const positions = await tradingRequest('GET', endpoint);
     
     if (!positions || positions.length === 0) {
       return {
@@ -97,7 +106,7 @@ export async function handleListPositions(request: any) {
         endpoint += `?accountId=${accountId}`;
       }
       
-      const positions = await tradovateRequest('GET', endpoint);
+      const positions = await tradingRequest('GET', endpoint);
       
       if (!positions || positions.length === 0) {
         return {
@@ -137,7 +146,13 @@ export async function handlePlaceOrder(request: any) {
   const quantity = Number(request.params.arguments?.quantity);
   const price = request.params.arguments?.price ? Number(request.params.arguments.price) : undefined;
   const stopPrice = request.params.arguments?.stopPrice ? Number(request.params.arguments.stopPrice) : undefined;
-  logger.info(`Placing order for ${symbol} with action ${action}, orderType ${orderType}, quantity ${quantity}, price ${price}, stopPrice ${stopPrice}`);
+  const trailOffset = request.params.arguments?.trailOffset !== undefined ? Number(request.params.arguments.trailOffset) : undefined;
+  const trailOffsetUnit = String(request.params.arguments?.trailOffsetUnit || "Ticks");
+  const timeInForce = String(request.params.arguments?.timeInForce || "Day");
+  const expireTime = request.params.arguments?.expireTime ? String(request.params.arguments.expireTime) : undefined;
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  const dryRun = request.params.arguments?.dryRun === true;
+  logger.info(`${dryRun ? 'Previewing' : 'Placing'} order for ${symbol} with action ${action}, orderType ${orderType}, quantity ${quantity}, price ${price}, stopPrice ${stopPrice}, timeInForce ${timeInForce}`);
   if (!symbol || !action || !orderType || !quantity) {
     throw new Error("Symbol, action, orderType, and quantity are required");
   }
@@ -151,6 +166,1049 @@ export async function handlePlaceOrder(request: any) {
     throw new Error("Stop price is required for Stop and StopLimit orders");
   }
 
+  const isTrailing = orderType === "TrailingStop" || orderType === "TrailingStopLimit";
+  if (isTrailing && trailOffset === undefined) {
+    throw new Error("Trail offset is required for TrailingStop and TrailingStopLimit orders");
+  }
+
+  if (orderType === "TrailingStopLimit" && price === undefined) {
+    throw new Error("Price is required for TrailingStopLimit orders");
+  }
+
+  const expireAt = validateTimeInForce(timeInForce, expireTime);
+
+  try {
+    // Find contract by symbol
+    const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
+    
+    if (!contract) {
+      return {
+        content: [{
+          type: "text",
+          text: `Contract not found for symbol: ${symbol}`
+        }]
+      };
+    }
+
+    // Only symbols the trading policy allows may be traded
+    const policyError = checkSymbolPolicy(contract.name);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
+
+    // Convert the trail offset into a price distance on the product's tick grid
+    let pegDifference: number | undefined;
+    if (isTrailing) {
+      const tickSize = await getTickSize(contract);
+      const offsetError = validateTrailOffset(trailOffset!, trailOffsetUnit, tickSize);
+      if (offsetError) {
+        return {
+          content: [{
+            type: "text",
+            text: offsetError
+          }]
+        };
+      }
+      pegDifference = toPegDifference(action, trailOffset!, trailOffsetUnit, tickSize);
+    }
+
+    // Resolve the account to trade in
+    const { account, error: accountError } = await resolveAccount(accountRef);
+    if (!account) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to place order: ${accountError}`
+        }]
+      };
+    }
+
+    const riskOrder: RiskOrder = {
+      accountId: account.id,
+      contractId: contract.id,
+      contract,
+      action,
+      quantity,
+      price: price ?? stopPrice
+    };
+
+    // Prepare order data
+    const orderData = {
+      accountSpec: account.name,
+      accountId: account.id,
+      action,
+      symbol,
+      orderQty: quantity,
+      orderType,
+      price,
+      stopPrice,
+      ...(pegDifference !== undefined && { pegDifference }),
+      timeInForce,
+      ...(expireAt && { expireTime: expireAt }),
+      isAutomated: true
+    };
+
+    if (dryRun) {
+      return await dryRunResult('order/placeorder', orderData, contract, riskOrder, { price, stopPrice });
+    }
+
+    // Consult the risk engine before anything is sent
+    const riskError = await checkOrderRisk(riskOrder);
+    if (riskError) {
+      return riskRejection(riskError);
+    }
+
+    const send = async (body: any) => {
+      // Place order via API
+      const newOrder = await cachePlacedOrder(await tradingRequest('POST', 'order/placeorder', body));
+
+      return {
+        content: [{
+          type: "text",
+          text: `Order placed successfully (${describeTimeInForce(body.timeInForce, body.expireTime)}):\n${JSON.stringify(newOrder, null, 2)}`
+        }]
+      };
+    };
+
+    return holdForConfirmation(
+      { endpoint: 'order/placeorder', body: orderData, symbol: contract.name, risk: riskOrder, send },
+      `Order preview (not sent, ${describeTimeInForce(timeInForce, expireAt)})`
+    ) || await send(orderData);
+  } catch (error) {
+    logger.error("Error placing order:", error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to ${dryRun ? 'preview' : 'place'} order: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Hold an order back until confirm_order is called with its token, returning the preview to show instead.
+ * Returns null when the order should go out now: confirmations are off, or this is paper trading.
+ */
+function holdForConfirmation(order: PendingOrder, preview: string) {
+  if (!isConfirmationRequired() || isPaperTrading()) {
+    return null;
+  }
+
+  const { token, expiresAt } = createConfirmation(order);
+  return {
+    content: [{
+      type: "text",
+      text: `${preview}. Call confirm_order with token ${token} before ${expiresAt} to send it:\n${JSON.stringify(order.body, null, 2)}`
+    }]
+  };
+}
+
+/**
+ * Get the ID from an order/placeorder response, throwing with Tradovate's failure text if the order was rejected
+ */
+function placedOrderId(result: any): number {
+  const orderId = result?.orderId ?? result?.id;
+  if (orderId === undefined) {
+    throw new Error(`Order rejected: ${result?.failureText || result?.failureReason || 'unknown reason'}`);
+  }
+  return orderId;
+}
+
+/**
+ * Cache an order sent to order/placeorder and return it. Tradovate answers with {orderId} rather than
+ * the order, so the order is read back through order/item; paper trading answers with the order itself.
+ * By the time this runs the order has been sent, so failing to read it back is logged, not thrown.
+ */
+async function cachePlacedOrder(result: any): Promise<any> {
+  const orderId = placedOrderId(result);
+
+  let order = result.id !== undefined ? result : null;
+  if (!order) {
+    try {
+      order = await tradingRequest('GET', `order/item?id=${orderId}`);
+    } catch (error) {
+      logger.warn(`Order ${orderId} was placed but could not be read back:`, error);
+    }
+  }
+
+  if (!order) {
+    return result;
+  }
+  ordersCache[String(orderId)] = order;
+  return order;
+}
+
+/**
+ * Describe what an order would do without sending it: the exact payload, whether its prices
+ * sit on the tick grid, the estimated margin impact and the risk check result
+ */
+async function dryRunResult(endpoint: string, payload: any, contract: any, riskOrder: RiskOrder, prices: { price?: number; stopPrice?: number }) {
+  const checks: any = {};
+
+  try {
+    const tickSize = await getTickSize(contract);
+    const offTick = Object.entries(prices)
+      .filter(([, value]) => value !== undefined && Math.abs(value / tickSize - Math.round(value / tickSize)) > 1e-9)
+      .map(([name, value]) => `${name} ${value} is not a multiple of the tick size, nearest valid price is ${Number((Math.round(value! / tickSize) * tickSize).toFixed(10))}`);
+    checks.tickSize = tickSize;
+    checks.tickCheck = offTick.length > 0 ? offTick : "ok";
+  } catch (error) {
+    checks.tickCheck = `unavailable: ${error instanceof Error ? error.message : String(error)}`;
+  }
+
+  try {
+    const positions = await tradingRequest('GET', 'position/list');
+    const currentNetPos = (positions || []).find((p: any) => p.accountId === riskOrder.accountId && p.contractId === riskOrder.contractId)?.netPos || 0;
+    const projectedNetPos = currentNetPos + (riskOrder.action === "Buy" ? riskOrder.quantity : -riskOrder.quantity);
+    const product = await getProduct(contract);
+    const margin = await tradovateRequest('GET', `productMargin/item?id=${product.id}`);
+    checks.marginImpact = {
+      initialMarginPerContract: margin?.initialMargin,
+      currentNetPos,
+      projectedNetPos,
+      estimatedChange: (Math.abs(projectedNetPos) - Math.abs(currentNetPos)) * (margin?.initialMargin || 0)
+    };
+  } catch (error) {
+    checks.marginImpact = `unavailable: ${error instanceof Error ? error.message : String(error)}`;
+  }
+
+  const riskError = await checkOrderRisk(riskOrder, { dryRun: true });
+  checks.riskCheck = riskError || (process.env.TRADOVATE_RISK_CONFIG ? "passed" : "no limits configured");
+
+  return {
+    content: [{
+      type: "text",
+      text: `Dry run, nothing was sent. Payload for ${endpoint}:\n${JSON.stringify({ payload, checks }, null, 2)}`
+    }]
+  };
+}
+
+/**
+ * Build the tool error returned when the risk engine rejects an order
+ */
+function riskRejection(message: string) {
+  return {
+    content: [{
+      type: "text",
+      text: message
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Handle confirm_order tool
+ */
+export async function handleConfirmOrder(request: any) {
+  const token = request.params.arguments?.token ? String(request.params.arguments.token) : "";
+
+  if (!token) {
+    throw new Error("Confirmation token is required");
+  }
+
+  const { order: pending, error: tokenError } = takeConfirmation(token);
+  if (!pending) {
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to confirm order: ${tokenError}`
+      }]
+    };
+  }
+
+  try {
+    // The policy and positions may have changed since the preview, so check again
+    const policyError = checkSymbolPolicy(pending.symbol);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
+
+    if (pending.risk) {
+      const riskError = await checkOrderRisk(pending.risk);
+      if (riskError) {
+        return riskRejection(riskError);
+      }
+    }
+
+    return await pending.send(pending.body);
+  } catch (error) {
+    logger.error("Error placing confirmed order:", error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to place confirmed order: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Pick an account by ID or name, falling back to TRADOVATE_DEFAULT_ACCOUNT.
+ * Never guesses: with several accounts and no reference the selection is ambiguous.
+ */
+function selectAccount(accounts: any[], accountRef?: string): { account?: any; error?: string } {
+  const ref = accountRef || process.env.TRADOVATE_DEFAULT_ACCOUNT;
+
+  if (!accounts || accounts.length === 0) {
+    return { error: "No accounts found" };
+  }
+
+  if (ref) {
+    const matches = accounts.filter(a => String(a.id) === ref || a.name === ref);
+    if (matches.length === 0) {
+      return { error: `Account not found: ${ref}` };
+    }
+    if (matches.length > 1) {
+      return { error: `Account reference ${ref} matches ${matches.length} accounts, use the account ID instead` };
+    }
+    return { account: matches[0] };
+  }
+
+  if (accounts.length === 1) {
+    return { account: accounts[0] };
+  }
+
+  const names = accounts.map(a => `${a.name} (${a.id})`).join(", ");
+  return { error: `Multiple accounts available: ${names}. Specify accountId or set TRADOVATE_DEFAULT_ACCOUNT` };
+}
+
+/**
+ * Resolve the account a trading tool should act on
+ */
+async function resolveAccount(accountRef?: string): Promise<{ account?: any; error?: string }> {
+  const accounts = await tradovateRequest('GET', 'account/list');
+  return selectAccount(accounts, accountRef);
+}
+
+/**
+ * Find the position in a contract for the selected account.
+ * Without an explicit or default account, positions in several accounts are ambiguous.
+ */
+async function findAccountPosition(positions: any[], contractId: number, accountRef?: string): Promise<{ position?: any; account?: any; error?: string }> {
+  let candidates = (positions || []).filter((p: any) => p.contractId === contractId);
+
+  if (accountRef || process.env.TRADOVATE_DEFAULT_ACCOUNT) {
+    const { account, error } = await resolveAccount(accountRef);
+    if (!account) {
+      return { error };
+    }
+    candidates = candidates.filter((p: any) => p.accountId === account.id);
+    return { position: candidates[0], account };
+  }
+
+  const accountIds = [...new Set(candidates.map((p: any) => p.accountId))];
+  if (accountIds.length > 1) {
+    return { error: `Positions found in multiple accounts (${accountIds.join(", ")}). Specify accountId or set TRADOVATE_DEFAULT_ACCOUNT` };
+  }
+
+  return { position: candidates[0] };
+}
+
+/**
+ * Check that an order belongs to the requested account, returning an error message if not
+ */
+async function checkOrderAccount(order: any, accountRef?: string): Promise<string | null> {
+  if (!accountRef) {
+    return null;
+  }
+
+  const { account, error } = await resolveAccount(accountRef);
+  if (!account) {
+    return error || `Account not found: ${accountRef}`;
+  }
+
+  if (order.accountId !== account.id) {
+    return `Order ${order.id} does not belong to account ${account.name} (${account.id})`;
+  }
+
+  return null;
+}
+
+const TIME_IN_FORCE_VALUES = ["Day", "GTC", "IOC", "FOK", "GTD"];
+
+/**
+ * Validate a time in force and return the normalized GTD expiration, if any
+ */
+function validateTimeInForce(timeInForce: string, expireTime?: string): string | undefined {
+  if (!TIME_IN_FORCE_VALUES.includes(timeInForce)) {
+    throw new Error(`Invalid time in force: ${timeInForce}. Use one of ${TIME_IN_FORCE_VALUES.join(", ")}`);
+  }
+
+  if (timeInForce !== "GTD") {
+    if (expireTime) {
+      throw new Error("Expire time is only valid for GTD orders");
+    }
+    return undefined;
+  }
+
+  if (!expireTime) {
+    throw new Error("Expire time is required for GTD orders");
+  }
+
+  const expireDate = new Date(expireTime);
+  if (isNaN(expireDate.getTime()) || expireDate.getTime() <= Date.now()) {
+    throw new Error(`Expire time must be a future timestamp for GTD orders, got ${expireTime}`);
+  }
+
+  return expireDate.toISOString();
+}
+
+/**
+ * Describe the effective time in force for tool output
+ */
+function describeTimeInForce(timeInForce: string, expireTime?: string): string {
+  return expireTime ? `time in force: ${timeInForce} until ${expireTime}` : `time in force: ${timeInForce}`;
+}
+
+/**
+ * Look up the minimum price increment for a contract
+ */
+async function getTickSize(contract: any): Promise<number> {
+  if (contract.providerTickSize) {
+    return contract.providerTickSize;
+  }
+
+  let productId = contract.productId;
+  if (!productId && contract.contractMaturityId) {
+    const maturity = await tradovateRequest('GET', `contractMaturity/item?id=${contract.contractMaturityId}`);
+    productId = maturity?.productId;
+  }
+
+  const product = productId ? await tradovateRequest('GET', `product/item?id=${productId}`) : null;
+  if (!product || !product.tickSize) {
+    throw new Error(`Tick size not found for contract ${contract.name}`);
+  }
+
+  return product.tickSize;
+}
+
+/**
+ * Check that a trail offset is a positive whole number of ticks, returning an error message if not
+ */
+function validateTrailOffset(trailOffset: number, trailOffsetUnit: string, tickSize: number): string | null {
+  if (trailOffsetUnit !== "Ticks" && trailOffsetUnit !== "Price") {
+    return `Invalid trail offset unit: ${trailOffsetUnit}. Use Ticks or Price`;
+  }
+
+  if (!(trailOffset > 0)) {
+    return `Trail offset must be positive, got ${trailOffset}`;
+  }
+
+  const ticks = trailOffsetUnit === "Ticks" ? trailOffset : trailOffset / tickSize;
+  if (Math.abs(ticks - Math.round(ticks)) > 1e-9) {
+    return trailOffsetUnit === "Ticks"
+      ? `Trail offset must be a whole number of ticks, got ${trailOffset}`
+      : `Trail offset ${trailOffset} is not a multiple of the tick size ${tickSize}`;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a trail offset into Tradovate's signed pegDifference
+ */
+function toPegDifference(action: string, trailOffset: number, trailOffsetUnit: string, tickSize: number): number {
+  const ticks = trailOffsetUnit === "Ticks" ? trailOffset : Math.round(trailOffset / tickSize);
+  const distance = Number((ticks * tickSize).toFixed(10));
+
+  // Sell stops trail below the market, Buy stops above it
+  return action === "Sell" ? -distance : distance;
+}
+
+/**
+ * Handle place_bracket_order tool
+ */
+export async function handlePlaceBracketOrder(request: any) {
+  const symbol = String(request.params.arguments?.symbol);
+  const action = String(request.params.arguments?.action);
+  const orderType = String(request.params.arguments?.orderType || "Market");
+  const quantity = Number(request.params.arguments?.quantity);
+  const price = request.params.arguments?.price ? Number(request.params.arguments.price) : undefined;
+  const stopPrice = request.params.arguments?.stopPrice ? Number(request.params.arguments.stopPrice) : undefined;
+  const takeProfitPrice = request.params.arguments?.takeProfitPrice ? Number(request.params.arguments.takeProfitPrice) : undefined;
+  const stopLossPrice = request.params.arguments?.stopLossPrice ? Number(request.params.arguments.stopLossPrice) : undefined;
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  logger.info(`Placing bracket order for ${symbol} with action ${action}, orderType ${orderType}, quantity ${quantity}, takeProfitPrice ${takeProfitPrice}, stopLossPrice ${stopLossPrice}`);
+
+  if (!symbol || !action || !quantity) {
+    throw new Error("Symbol, action, and quantity are required");
+  }
+
+  if (action !== "Buy" && action !== "Sell") {
+    throw new Error("Action must be Buy or Sell");
+  }
+
+  if (takeProfitPrice === undefined || stopLossPrice === undefined) {
+    throw new Error("Take profit price and stop loss price are required for bracket orders");
+  }
+
+  if ((orderType === "Limit" || orderType === "StopLimit") && price === undefined) {
+    throw new Error("Price is required for Limit and StopLimit orders");
+  }
+
+  if ((orderType === "Stop" || orderType === "StopLimit") && stopPrice === undefined) {
+    throw new Error("Stop price is required for Stop and StopLimit orders");
+  }
+
+  // The entry reference is the price we expect to be filled at, when known
+  const entryPrice = orderType === "Stop" ? stopPrice : price;
+  validateBracketPrices(action, takeProfitPrice, stopLossPrice, entryPrice);
+
+  // Exits are on the opposite side of the entry
+  const exitAction = action === "Buy" ? "Sell" : "Buy";
+
+  try {
+    // Find contract by symbol
+    const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
+
+    if (!contract) {
+      return {
+        content: [{
+          type: "text",
+          text: `Contract not found for symbol: ${symbol}`
+        }]
+      };
+    }
+
+    // Only symbols the trading policy allows may be traded
+    const policyError = checkSymbolPolicy(contract.name);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
+
+    // Resolve the account to trade in
+    const { account, error: accountError } = await resolveAccount(accountRef);
+    if (!account) {
+      throw new Error(accountError);
+    }
+
+    const riskOrder: RiskOrder = {
+      accountId: account.id,
+      contractId: contract.id,
+      contract,
+      action,
+      quantity,
+      price: entryPrice
+    };
+    const riskError = await checkOrderRisk(riskOrder);
+    if (riskError) {
+      return riskRejection(riskError);
+    }
+
+    // Entry order with the profit target (bracket1) and stop loss (bracket2) attached
+    const orderData = {
+      accountSpec: account.name,
+      accountId: account.id,
+      action,
+      symbol,
+      orderQty: quantity,
+      orderType,
+      price,
+      stopPrice,
+      isAutomated: true,
+      bracket1: {
+        action: exitAction,
+        orderType: "Limit",
+        price: takeProfitPrice
+      },
+      bracket2: {
+        action: exitAction,
+        orderType: "Stop",
+        stopPrice: stopLossPrice
+      }
+    };
+
+    const send = async (body: any) => {
+      // Place bracket order via API
+      const result = await tradingRequest('POST', 'order/placeOSO', body);
+
+      if (!result || result.orderId === undefined) {
+        throw new Error(`Bracket order rejected: ${result?.failureText || result?.failureReason || 'unknown reason'}`);
+      }
+
+      const bracket = {
+        entryOrderId: result.orderId,
+        takeProfitOrderId: result.oso1Id,
+        stopLossOrderId: result.oso2Id,
+        symbol: body.symbol,
+        action: body.action,
+        quantity: body.orderQty,
+        takeProfitPrice: body.bracket1.price,
+        stopLossPrice: body.bracket2.stopPrice
+      };
+
+      return {
+        content: [{
+          type: "text",
+          text: `Bracket order placed successfully:\n${JSON.stringify(bracket, null, 2)}`
+        }]
+      };
+    };
+
+    return holdForConfirmation({ endpoint: 'order/placeOSO', body: orderData, symbol: contract.name, risk: riskOrder, send }, "Bracket order preview (not sent)")
+      || await send(orderData);
+  } catch (error) {
+    logger.error("Error placing bracket order:", error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to place bracket order: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Check that the profit target and stop loss sit on the correct side of the entry
+ */
+function validateBracketPrices(action: string, takeProfitPrice: number, stopLossPrice: number, entryPrice?: number) {
+  if (action === "Buy") {
+    if (takeProfitPrice <= stopLossPrice) {
+      throw new Error("Take profit price must be above stop loss price for Buy orders");
+    }
+    if (entryPrice !== undefined && (takeProfitPrice <= entryPrice || stopLossPrice >= entryPrice)) {
+      throw new Error(`For Buy orders the take profit must be above and the stop loss below the entry price (${entryPrice})`);
+    }
+  } else {
+    if (takeProfitPrice >= stopLossPrice) {
+      throw new Error("Take profit price must be below stop loss price for Sell orders");
+    }
+    if (entryPrice !== undefined && (takeProfitPrice >= entryPrice || stopLossPrice <= entryPrice)) {
+      throw new Error(`For Sell orders the take profit must be below and the stop loss above the entry price (${entryPrice})`);
+    }
+  }
+}
+
+// Linked OCO legs placed through place_oco_order, keyed by order ID in both directions
+const ocoLinks: { [orderId: string]: string } = {};
+
+/**
+ * Handle place_oco_order tool
+ */
+export async function handlePlaceOcoOrder(request: any) {
+  const symbol = String(request.params.arguments?.symbol);
+  const leg1 = request.params.arguments?.leg1;
+  const leg2 = request.params.arguments?.leg2;
+  const requestedQuantity = request.params.arguments?.quantity ? Number(request.params.arguments.quantity) : undefined;
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  logger.info(`Placing OCO order for ${symbol} with legs ${JSON.stringify(leg1)} and ${JSON.stringify(leg2)}`);
+
+  if (!symbol || !leg1 || !leg2) {
+    throw new Error("Symbol, leg1, and leg2 are required");
+  }
+
+  validateOcoLeg("leg1", leg1);
+  validateOcoLeg("leg2", leg2);
+
+  try {
+    // Find contract by symbol
+    const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
+
+    if (!contract) {
+      return {
+        content: [{
+          type: "text",
+          text: `Contract not found for symbol: ${symbol}`
+        }]
+      };
+    }
+
+    // Only symbols the trading policy allows may be traded
+    const policyError = checkSymbolPolicy(contract.name);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
+
+    // Find the open position the legs are meant to protect
+    const positions = await tradingRequest('GET', 'position/list');
+    const { position, error: accountError } = await findAccountPosition(positions, contract.id, accountRef);
+    if (accountError) {
+      throw new Error(accountError);
+    }
+
+    if (!position || position.netPos === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `No open position found for symbol: ${symbol}`
+        }]
+      };
+    }
+
+    // Both legs must close the position, so they trade against its sign
+    const exitAction = position.netPos > 0 ? "Sell" : "Buy";
+    for (const [name, leg] of [["leg1", leg1], ["leg2", leg2]]) {
+      if (leg.action && leg.action !== exitAction) {
+        throw new Error(`${name} must be a ${exitAction} order to protect a net position of ${position.netPos}`);
+      }
+    }
+
+    const quantity = requestedQuantity ?? Math.abs(position.netPos);
+    if (quantity > Math.abs(position.netPos)) {
+      throw new Error(`Quantity ${quantity} exceeds the net position of ${position.netPos}`);
+    }
+
+    // Orders need the account name as well as its ID
+    const { account, error: positionAccountError } = await resolveAccount(String(position.accountId));
+    if (!account) {
+      throw new Error(positionAccountError || `Account not found: ${position.accountId}`);
+    }
+
+    const orderData = {
+      accountSpec: account.name,
+      accountId: account.id,
+      action: exitAction,
+      symbol,
+      orderQty: quantity,
+      orderType: leg1.orderType,
+      price: leg1.price,
+      stopPrice: leg1.stopPrice,
+      isAutomated: true,
+      other: {
+        action: exitAction,
+        orderType: leg2.orderType,
+        price: leg2.price,
+        stopPrice: leg2.stopPrice
+      }
+    };
+
+    const send = async (body: any) => {
+      // Place OCO order via API
+      const result = await tradingRequest('POST', 'order/placeOCO', body);
+
+      if (!result || result.orderId === undefined || result.ocoId === undefined) {
+        throw new Error(`OCO order rejected: ${result?.failureText || result?.failureReason || 'unknown reason'}`);
+      }
+
+      // Remember the pairing so canceling one leg can report the other
+      ocoLinks[String(result.orderId)] = String(result.ocoId);
+      ocoLinks[String(result.ocoId)] = String(result.orderId);
+
+      const ocoPair = {
+        symbol,
+        accountId: position.accountId,
+        netPos: position.netPos,
+        action: exitAction,
+        quantity,
+        leg1: { orderId: result.orderId, ...leg1, action: exitAction },
+        leg2: { orderId: result.ocoId, ...leg2, action: exitAction }
+      };
+
+      return {
+        content: [{
+          type: "text",
+          text: `OCO order placed successfully:\n${JSON.stringify(ocoPair, null, 2)}`
+        }]
+      };
+    };
+
+    // The legs only close the position as previewed. If it has since shrunk, closed or flipped,
+    // a full-size exit would open a new position, so a confirmation must recheck it.
+    const sendConfirmed = async (body: any) => {
+      const current = await tradingRequest('GET', 'position/list');
+      const currentPosition = (current || []).find((p: any) => p.accountId === position.accountId && p.contractId === contract.id);
+      const netPos = currentPosition ? currentPosition.netPos : 0;
+      if (Math.sign(netPos) !== Math.sign(position.netPos) || Math.abs(netPos) < quantity) {
+        throw new Error(`Position changed from ${position.netPos} to ${netPos} since the preview. Place the OCO order again to get a new token`);
+      }
+      return send(body);
+    };
+
+    return holdForConfirmation({ endpoint: 'order/placeOCO', body: orderData, symbol: contract.name, send: sendConfirmed }, "OCO order preview (not sent)")
+      || await send(orderData);
+  } catch (error) {
+    logger.error("Error placing OCO order:", error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to place OCO order: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Check that an OCO leg carries the prices its order type needs
+ */
+function validateOcoLeg(name: string, leg: any) {
+  if (!leg.orderType) {
+    throw new Error(`${name} orderType is required`);
+  }
+
+  if ((leg.orderType === "Limit" || leg.orderType === "StopLimit") && leg.price === undefined) {
+    throw new Error(`${name} price is required for Limit and StopLimit orders`);
+  }
+
+  if ((leg.orderType === "Stop" || leg.orderType === "StopLimit") && leg.stopPrice === undefined) {
+    throw new Error(`${name} stop price is required for Stop and StopLimit orders`);
+  }
+}
+
+/**
+ * Handle modify_order tool
+ */
+export async function handleModifyOrder(request: any) {
+  const orderId = String(request.params.arguments?.orderId);
+  const price = request.params.arguments?.price !== undefined ? Number(request.params.arguments.price) : undefined;
+  const stopPrice = request.params.arguments?.stopPrice !== undefined ? Number(request.params.arguments.stopPrice) : undefined;
+  const quantity = request.params.arguments?.quantity !== undefined ? Number(request.params.arguments.quantity) : undefined;
+  const trailOffset = request.params.arguments?.trailOffset !== undefined ? Number(request.params.arguments.trailOffset) : undefined;
+  const trailOffsetUnit = String(request.params.arguments?.trailOffsetUnit || "Ticks");
+  const expireTime = request.params.arguments?.expireTime ? String(request.params.arguments.expireTime) : undefined;
+  // An expiration on its own implies GTD
+  const timeInForce = request.params.arguments?.timeInForce
+    ? String(request.params.arguments.timeInForce)
+    : (expireTime ? "GTD" : undefined);
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  const dryRun = request.params.arguments?.dryRun === true;
+
+  if (!orderId) {
+    throw new Error("Order ID is required");
+  }
+
+  const expireAt = timeInForce ? validateTimeInForce(timeInForce, expireTime) : undefined;
+
+  try {
+    // Find order by ID
+    const order = await tradingRequest('GET', `order/find?id=${orderId}`);
+    
+    if (!order) {
+      return {
+        content: [{
+          type: "text",
+          text: `Order not found with ID: ${orderId}`
+        }]
+      };
+    }
+
+    const accountError = await checkOrderAccount(order, accountRef);
+    if (accountError) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to modify order: ${accountError}`
+        }]
+      };
+    }
+
+    // Only symbols the trading policy allows may be modified, so a working order can't be grown on a denied root
+    const contract = await tradovateRequest('GET', `contract/item?id=${order.contractId}`);
+    const policyError = checkSymbolPolicy(contract?.name);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
+
+    const riskOrder: RiskOrder = {
+      accountId: order.accountId,
+      contractId: order.contractId,
+      action: order.action,
+      quantity: quantity ?? order.orderQty,
+      price: price ?? stopPrice ?? order.price ?? order.stopPrice
+    };
+
+    // Changes to size or price go back through the risk engine
+    const addsRisk = quantity !== undefined || price !== undefined || stopPrice !== undefined;
+    if (!dryRun && addsRisk) {
+      const riskError = await checkOrderRisk(riskOrder);
+      if (riskError) {
+        return riskRejection(riskError);
+      }
+    }
+
+    // Prepare modification data
+    const modifyData: any = { orderId: parseInt(orderId) };
+    if (price !== undefined) modifyData.price = price;
+    if (stopPrice !== undefined) modifyData.stopPrice = stopPrice;
+    if (quantity !== undefined) modifyData.orderQty = quantity;
+    if (timeInForce !== undefined) modifyData.timeInForce = timeInForce;
+    if (expireAt !== undefined) modifyData.expireTime = expireAt;
+
+    // Changing the trail distance only makes sense for trailing orders
+    if (trailOffset !== undefined) {
+      if (order.orderType && order.orderType !== "TrailingStop" && order.orderType !== "TrailingStopLimit") {
+        return {
+          content: [{
+            type: "text",
+            text: `Cannot change the trail offset of ${order.orderType} order ${orderId}`
+          }]
+        };
+      }
+
+      const tickSize = await getTickSize(contract);
+      const offsetError = validateTrailOffset(trailOffset, trailOffsetUnit, tickSize);
+      if (offsetError) {
+        return {
+          content: [{
+            type: "text",
+            text: offsetError
+          }]
+        };
+      }
+      modifyData.pegDifference = toPegDifference(order.action, trailOffset, trailOffsetUnit, tickSize);
+    }
+
+    if (dryRun) {
+      return await dryRunResult('order/modifyOrder', modifyData, contract, { ...riskOrder, contract }, { price, stopPrice });
+    }
+
+    const send = async (body: any) => {
+      // Modify order via API
+      const updatedOrder = await tradingRequest('POST', 'order/modifyOrder', body);
+
+      // Update orders cache
+      ordersCache[orderId] = updatedOrder;
+
+      return {
+        content: [{
+          type: "text",
+          text: `Order modified successfully${body.timeInForce ? ` (${describeTimeInForce(body.timeInForce, body.expireTime)})` : ''}:\n${JSON.stringify(updatedOrder, null, 2)}`
+        }]
+      };
+    };
+
+    return holdForConfirmation(
+      { endpoint: 'order/modifyOrder', body: modifyData, symbol: contract.name, risk: addsRisk ? riskOrder : undefined, send },
+      "Order modification preview (not sent)"
+    ) || await send(modifyData);
+  } catch (error) {
+    logger.error(`Error modifying order ${orderId}:`, error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to ${dryRun ? 'preview order modification' : 'modify order'}: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Handle cancel_order tool
+ */
+export async function handleCancelOrder(request: any) {
+  const orderId = String(request.params.arguments?.orderId);
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+
+  if (!orderId) {
+    throw new Error("Order ID is required");
+  }
+
+  try {
+    // Find order by ID
+    const order = await tradingRequest('GET', `order/find?id=${orderId}`);
+    
+    if (!order) {
+      return {
+        content: [{
+          type: "text",
+          text: `Order not found with ID: ${orderId}`
+        }]
+      };
+    }
+
+    const accountError = await checkOrderAccount(order, accountRef);
+    if (accountError) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to cancel order: ${accountError}`
+        }]
+      };
+    }
+    /**
+     {
+        "orderId": 0,
+        "clOrdId": "string",
+        "activationTime": "2019-08-24T14:15:22Z",
+        "customTag50": "string",
+        "isAutomated": true
+      }
+     */
+    const body = {
+      orderId: parseInt(orderId),
+      clOrdId: orderId,
+      isAutomated: true
+    }
+
+    // Cancel order via API
+    const canceledOrder = await tradingRequest('POST', 'order/cancelorder', body);
+
+    // Update orders cache
+    ordersCache[orderId] = canceledOrder;
+
+    const linkedOrderId = ocoLinks[orderId];
+    if (linkedOrderId) {
+      const linkedOrder = await cancelLinkedOcoOrder(orderId, linkedOrderId);
+
+      return {
+        content: [{
+          type: "text",
+          text: `Order canceled successfully:\n${JSON.stringify(canceledOrder, null, 2)}\nLinked OCO order ${linkedOrderId}: ${linkedOrder?.ordStatus || 'Unknown'}`
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Order canceled successfully:\n${JSON.stringify(canceledOrder, null, 2)}`
+      }]
+    };
+  } catch (error) {
+    logger.error(`Error canceling order ${orderId}:`, error);
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to cancel order: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Make sure the other leg of a canceled OCO pair is canceled as well
+ */
+async function cancelLinkedOcoOrder(orderId: string, linkedOrderId: string) {
+  delete ocoLinks[orderId];
+  delete ocoLinks[linkedOrderId];
+
+  try {
+    let linkedOrder = await tradingRequest('GET', `order/find?id=${linkedOrderId}`);
+
+    // Tradovate normally cancels the other leg itself, but don't leave it working if it hasn't
+    if (linkedOrder && linkedOrder.ordStatus === "Working") {
+      linkedOrder = await tradingRequest('POST', 'order/cancelorder', {
+        orderId: parseInt(linkedOrderId),
+        clOrdId: linkedOrderId,
+        isAutomated: true
+      });
+    }
+
+    if (linkedOrder) {
+      ordersCache[linkedOrderId] = linkedOrder;
+    }
+    return linkedOrder;
+  } catch (error) {
+    logger.error(`Error canceling linked OCO order ${linkedOrderId}:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Handle liquidate_position tool
+ */
+export async function handleLiquidatePosition(request: any) {
+  const symbol = String(request.params.arguments?.symbol);
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+
+  if (!symbol) {
+    throw new Error("Symbol is required");
+  }
+
   try {
     // Find contract by symbol
     const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
@@ -164,48 +1222,71 @@ export async function handlePlaceOrder(request: any) {
       };
     }
 
-    // Get account ID
-    const accounts = await tradovateRequest('GET', 'account/list');
-    if (!accounts || accounts.length === 0) {
-      throw new Error("No accounts found");
+    // Find position by contract ID
+    const positions = await tradingRequest('GET', 'position/list');
+    const { position, error: accountError } = await findAccountPosition(positions, contract.id, accountRef);
+
+    if (accountError) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to liquidate position for ${symbol}: ${accountError}`
+        }]
+      };
     }
     
-    const accountId = accounts[0].id; // Use the first account
-
-    // Prepare order data
-    const orderData = {
-      accountSpec: process.env.TRADOVATE_USERNAME,
-      accountId: accountId,
-      action,
-      symbol,
-      orderQty: quantity,
-      orderType,
-      price,
-      stopPrice,
-      isAutomated: true
-    };
-
-    // Place order via API
-    const newOrder = await tradovateRequest('POST', 'order/placeorder', orderData);
+    if (!position) {
+      return {
+        content: [{
+          type: "text",
+          text: `No position found for symbol: ${symbol}`
+        }]
+      };
+    }
+    /*
+      {
+        "accountId": 0,
+        "contractId": 0,
+        "admin": true,
+        "customTag50": "string"
+      }
+          
+    */
+    const riskError = await checkOrderRisk({
+      accountId: position.accountId,
+      contractId: position.contractId,
+      contract,
+      action: position.netPos > 0 ? "Sell" : "Buy",
+      quantity: Math.abs(position.netPos),
+      price: position.netPrice
+    });
+    if (riskError) {
+      return riskRejection(riskError);
+    }
 
-    // Update orders cache
-    ordersCache[newOrder.id.toString()] = newOrder;
+    // Liquidate position via API
+    const liquidationResult = await tradingRequest('POST', 'order/liquidateposition', { 
+      accountId: position.accountId,
+      contractId: position.contractId,
+      admin: false,
+      customTag50: "MCPserver"
+    });
 
     return {
       content: [{
         type: "text",
-        text: `Order placed successfully:\n${JSON.stringify(newOrder, null, 2)}`
+        text: `Position liquidated successfully:\n${JSON.stringify(liquidationResult, null, 2)}`
       }]
     };
   } catch (error) {
-    logger.error("Error placing order:", error);
+    logger.error(`Error liquidating position for ${symbol}, retrying:`, error);
     
-    // Fallback to cached data for simulation
+    // Retry once before giving up
     try {
-      // Find contract by symbol
-      const cachedContract = Object.values(contractsCache).find(c => c.name === symbol);
+      // Find contract by symbol (retry)
+      const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
       
-      if (!cachedContract) {
+      if (!contract) {
         return {
           content: [{
             type: "text",
@@ -214,314 +1295,514 @@ export async function handlePlaceOrder(request: any) {
         };
       }
 
-      // Get first account from cache
-      const cachedAccount = Object.values(accountsCache)[0];
-      if (!cachedAccount) {
+      // Find position by contract ID (retry)
+      const positions = await tradingRequest('GET', 'position/list');
+      const { position, error: accountError } = await findAccountPosition(positions, contract.id, accountRef);
+
+      if (accountError) {
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to liquidate position for ${symbol}: ${accountError}`
+          }]
+        };
+      }
+      
+      if (!position) {
         return {
           content: [{
             type: "text",
-            text: `No accounts found in cache`
+            text: `No position found for symbol: ${symbol}`
           }]
         };
       }
 
-      // Create simulated order
-      const newOrderId = String(Object.keys(ordersCache).length + 1);
-      const simulatedOrder = {
-        id: parseInt(newOrderId),
-        accountId: cachedAccount.id,
-        contractId: cachedContract.id,
-        timestamp: new Date().toISOString(),
-        action,
-        ordStatus: "Working",
-        orderQty: quantity,
-        orderType,
-        price,
-        stopPrice
-      };
+      const riskError = await checkOrderRisk({
+        accountId: position.accountId,
+        contractId: position.contractId,
+        contract,
+        action: position.netPos > 0 ? "Sell" : "Buy",
+        quantity: Math.abs(position.netPos),
+        price: position.netPrice
+      });
+      if (riskError) {
+        return riskRejection(riskError);
+      }
 
-      // Add to cache
-      ordersCache[newOrderId] = simulatedOrder;
+      // Liquidate position via API (retry)
+      const liquidationResult = await tradingRequest('POST', 'order/liquidateposition', { 
+        accountId: position.accountId,
+        contractId: position.contractId,
+        admin: false,
+        customTag50: "MCPserver"
+      });
 
       return {
         content: [{
           type: "text",
-          text: `Order placed successfully (simulated):\n${JSON.stringify(simulatedOrder, null, 2)}`
+          text: `Position liquidated successfully:\n${JSON.stringify(liquidationResult, null, 2)}`
         }]
       };
-    } catch (fallbackError) {
-      logger.error("Error in fallback order placement:", fallbackError);
+    } catch (retryError) {
+      logger.error(`Error liquidating position for ${symbol} after retry:`, retryError);
+      
       return {
         content: [{
-          type: "text",
-          text: `Failed to place order: ${error instanceof Error ? error.message : String(error)}`
+          type: "text", 
+          text: `Failed to liquidate position for ${symbol}: ${retryError instanceof Error ? retryError.message : String(retryError)}`
         }]
       };
     }
   }
 }
 
+// How often to re-read position/list while waiting for a fill to show up
+const POSITION_POLL_INTERVAL_MS = 1000;
+
 /**
- * Handle modify_order tool
+ * Read a timeoutSeconds argument. Anything but a finite positive number would leave a polling loop without a deadline.
  */
-export async function handleModifyOrder(request: any) {
-  const orderId = String(request.params.arguments?.orderId);
-  const price = request.params.arguments?.price !== undefined ? Number(request.params.arguments.price) : undefined;
-  const stopPrice = request.params.arguments?.stopPrice !== undefined ? Number(request.params.arguments.stopPrice) : undefined;
-  const quantity = request.params.arguments?.quantity !== undefined ? Number(request.params.arguments.quantity) : undefined;
+function parseTimeoutSeconds(value: any, defaultSeconds: number): number {
+  if (value === undefined) {
+    return defaultSeconds;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`timeoutSeconds must be a positive number, got ${JSON.stringify(value)}`);
+  }
+  return seconds;
+}
 
-  if (!orderId) {
-    throw new Error("Order ID is required");
+/**
+ * Handle reverse_position tool
+ */
+export async function handleReversePosition(request: any) {
+  const symbol = String(request.params.arguments?.symbol);
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  const timeoutSeconds = parseTimeoutSeconds(request.params.arguments?.timeoutSeconds, 10);
+
+  if (!symbol) {
+    throw new Error("Symbol is required");
   }
 
   try {
-    // Find order by ID
-    const order = await tradovateRequest('GET', `order/find?id=${orderId}`);
-    
-    if (!order) {
+    // Find contract by symbol
+    const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
+
+    if (!contract) {
       return {
         content: [{
           type: "text",
-          text: `Order not found with ID: ${orderId}`
+          text: `Contract not found for symbol: ${symbol}`
         }]
       };
     }
 
-    // Prepare modification data
-    const modifyData: any = { orderId: parseInt(orderId) };
-    if (price !== undefined) modifyData.price = price;
-    if (stopPrice !== undefined) modifyData.stopPrice = stopPrice;
-    if (quantity !== undefined) modifyData.orderQty = quantity;
+    // Only symbols the trading policy allows may be traded
+    const policyError = checkSymbolPolicy(contract.name);
+    if (policyError) {
+      return riskRejection(policyError);
+    }
 
-    // Modify order via API
-    const updatedOrder = await tradovateRequest('POST', 'order/modifyOrder', modifyData);
+    // Find position by contract ID
+    const positions = await tradingRequest('GET', 'position/list');
+    const { position, error: accountError } = await findAccountPosition(positions, contract.id, accountRef);
 
-    // Update orders cache
-    ordersCache[orderId] = updatedOrder;
+    if (accountError) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to reverse position for ${symbol}: ${accountError}`
+        }]
+      };
+    }
 
-    return {
-      content: [{
-        type: "text",
-        text: `Order modified successfully:\n${JSON.stringify(updatedOrder, null, 2)}`
-      }]
-    };
-  } catch (error) {
-    logger.error(`Error modifying order ${orderId}:`, error);
-    
-    // Fallback to cached data for simulation
-    const cachedOrder = ordersCache[orderId];
-    
-    if (!cachedOrder) {
+    if (!position || position.netPos === 0) {
       return {
         content: [{
           type: "text",
-          text: `Order not found with ID: ${orderId}`
+          text: `No position found for symbol: ${symbol}`
+        }]
+      };
+    }
+
+    // Working orders on the contract were sized for the current side; refuse rather than flip underneath them
+    const orders = await tradingRequest('GET', 'order/list');
+    const conflicting = (orders || []).filter((o: any) =>
+      o.accountId === position.accountId && o.contractId === contract.id && o.ordStatus === "Working"
+    );
+
+    if (conflicting.length > 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `Cannot reverse position for ${symbol}: working orders exist for this contract (${conflicting.map((o: any) => o.id).join(', ')}). Cancel them first`
+        }]
+      };
+    }
+
+    // Orders need the account name as well as its ID
+    const { account, error: positionAccountError } = await resolveAccount(String(position.accountId));
+    if (!account) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to reverse position for ${symbol}: ${positionAccountError}`
         }]
       };
     }
 
-    // Update order in cache
-    if (price !== undefined) cachedOrder.price = price;
-    if (stopPrice !== undefined) cachedOrder.stopPrice = stopPrice;
-    if (quantity !== undefined) cachedOrder.orderQty = quantity;
+    // One market order for twice the position closes it and opens the opposite side
+    const startingNetPos = position.netPos;
+    const action = startingNetPos > 0 ? "Sell" : "Buy";
+    const orderQty = Math.abs(startingNetPos) * 2;
+
+    const riskOrder: RiskOrder = {
+      accountId: account.id,
+      contractId: contract.id,
+      contract,
+      action,
+      quantity: orderQty,
+      price: position.netPrice
+    };
+    const riskError = await checkOrderRisk(riskOrder);
+    if (riskError) {
+      return riskRejection(riskError);
+    }
+
+    const orderData = {
+      accountSpec: account.name,
+      accountId: account.id,
+      action,
+      symbol,
+      orderQty,
+      orderType: "Market",
+      timeInForce: "Day",
+      isAutomated: true
+    };
+
+    const readNetPos = async () => {
+      const current = await tradingRequest('GET', 'position/list');
+      const currentPosition = (current || []).find((p: any) => p.accountId === account.id && p.contractId === contract.id);
+      return currentPosition ? currentPosition.netPos : 0;
+    };
+
+    const send = async (body: any) => {
+      const orderId = placedOrderId(await tradingRequest('POST', 'order/placeorder', body));
+
+      // Verify against position/list until the position shows the opposite side
+      const expectedNetPos = -startingNetPos;
+      const deadline = Date.now() + timeoutSeconds * 1000;
+      let finalNetPos = startingNetPos;
+      while (true) {
+        finalNetPos = await readNetPos();
+
+        if (finalNetPos === expectedNetPos || Date.now() >= deadline) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, POSITION_POLL_INTERVAL_MS));
+      }
+
+      const summary = {
+        orderId,
+        action,
+        orderQty,
+        startingNetPos,
+        expectedNetPos,
+        finalNetPos
+      };
+
+      return {
+        content: [{
+          type: "text",
+          text: `${finalNetPos === expectedNetPos
+            ? `Position reversed for ${symbol}`
+            : `Reversal order for ${symbol} placed but position is ${finalNetPos} after ${timeoutSeconds}s (expected ${expectedNetPos})`}:\n${JSON.stringify(summary, null, 2)}`
+        }]
+      };
+    };
+
+    // The order is sized for the position as previewed, so a confirmation must find it unchanged
+    const sendConfirmed = async (body: any) => {
+      const netPos = await readNetPos();
+      if (netPos !== startingNetPos) {
+        throw new Error(`Position changed from ${startingNetPos} to ${netPos} since the preview. Reverse it again to get a new token`);
+      }
+      return send(body);
+    };
+
+    return holdForConfirmation(
+      { endpoint: 'order/placeorder', body: orderData, symbol: contract.name, risk: riskOrder, send: sendConfirmed },
+      `Reversal preview for ${symbol} (not sent, position ${startingNetPos} to ${-startingNetPos})`
+    ) || await send(orderData);
+  } catch (error) {
+    logger.error(`Error reversing position for ${symbol}:`, error);
 
     return {
       content: [{
         type: "text",
-        text: `Order modified successfully (simulated):\n${JSON.stringify(cachedOrder, null, 2)}`
+        text: `Failed to reverse position for ${symbol}: ${error instanceof Error ? error.message : String(error)}`
       }]
     };
   }
 }
 
+// Maximum number of cancel requests in flight at once
+const CANCEL_CONCURRENCY = 5;
+
 /**
- * Handle cancel_order tool
+ * Run an async function over items with at most `limit` calls in flight
  */
-export async function handleCancelOrder(request: any) {
-  const orderId = String(request.params.arguments?.orderId);
+async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
 
-  if (!orderId) {
-    throw new Error("Order ID is required");
-  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Handle cancel_all_orders tool
+ */
+export async function handleCancelAllOrders(request: any) {
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  const symbol = request.params.arguments?.symbol ? String(request.params.arguments.symbol) : undefined;
+  const action = request.params.arguments?.action ? String(request.params.arguments.action) : undefined;
+  const orderType = request.params.arguments?.orderType ? String(request.params.arguments.orderType) : undefined;
+  logger.info(`Canceling all orders for account ${accountRef || '(default)'} with symbol ${symbol}, action ${action}, orderType ${orderType}`);
 
   try {
-    // Find order by ID
-    const order = await tradovateRequest('GET', `order/find?id=${orderId}`);
-    
-    if (!order) {
+    const { account, error: accountError } = await resolveAccount(accountRef);
+    if (!account) {
       return {
         content: [{
           type: "text",
-          text: `Order not found with ID: ${orderId}`
+          text: `Failed to cancel orders: ${accountError}`
         }]
       };
     }
-    /**
-     {
-        "orderId": 0,
-        "clOrdId": "string",
-        "activationTime": "2019-08-24T14:15:22Z",
-        "customTag50": "string",
-        "isAutomated": true
-      }
-     */
-    const body = {
-      orderId: parseInt(orderId),
-      clOrdId: orderId,
-      isAutomated: true
-    }
 
-    // Cancel order via API
-    const canceledOrder = await tradovateRequest('POST', 'order/cancelorder', body);
+    const orders = await tradingRequest('GET', 'order/list');
+    const workingOrders = (orders || []).filter((o: any) =>
+      o.accountId === account.id &&
+      o.ordStatus === "Working" &&
+      (!action || o.action === action) &&
+      (!orderType || o.orderType === orderType)
+    );
+
+    // Resolve contract names once per contract for the symbol filter and the report
+    const contractNames: { [contractId: string]: string } = {};
+    for (const contractId of new Set<number>(workingOrders.map((o: any) => o.contractId))) {
+      const contract = await tradovateRequest('GET', `contract/item?id=${contractId}`);
+      contractNames[String(contractId)] = contract?.name;
+    }
 
-    // Update orders cache
-    ordersCache[orderId] = canceledOrder;
+    const matchingOrders = symbol
+      ? workingOrders.filter((o: any) => contractNames[String(o.contractId)]?.toUpperCase() === symbol.toUpperCase())
+      : workingOrders;
 
-    return {
-      content: [{
-        type: "text",
-        text: `Order canceled successfully:\n${JSON.stringify(canceledOrder, null, 2)}`
-      }]
-    };
-  } catch (error) {
-    logger.error(`Error canceling order ${orderId}:`, error);
-    
-    // Fallback to cached data for simulation
-    const cachedOrder = ordersCache[orderId];
-    
-    if (!cachedOrder) {
+    if (matchingOrders.length === 0) {
       return {
         content: [{
           type: "text",
-          text: `Order not found with ID: ${orderId}`
+          text: `No matching working orders found for account ${account.name}`
         }]
       };
     }
 
-    // Update order status in cache
-    cachedOrder.ordStatus = "Canceled";
+    const canceled: any[] = [];
+    const alreadyFilled: any[] = [];
+    const failed: any[] = [];
+
+    await mapWithConcurrency(matchingOrders, CANCEL_CONCURRENCY, async (order: any) => {
+      const summary = {
+        orderId: order.id,
+        symbol: contractNames[String(order.contractId)],
+        action: order.action,
+        orderType: order.orderType
+      };
+
+      try {
+        await tradingRequest('POST', 'order/cancelorder', {
+          orderId: order.id,
+          clOrdId: String(order.id),
+          isAutomated: true
+        });
+        canceled.push(summary);
+      } catch (error) {
+        // A cancel that loses the race with a fill is not a failure
+        const current = await tradingRequest('GET', `order/find?id=${order.id}`).catch(() => null);
+        if (current?.ordStatus === "Filled") {
+          alreadyFilled.push(summary);
+        } else {
+          failed.push({ ...summary, error: error instanceof Error ? error.message : String(error) });
+        }
+      }
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text: `Canceled ${canceled.length} of ${matchingOrders.length} working orders for account ${account.name}:\n${JSON.stringify({ canceled, alreadyFilled, failed }, null, 2)}`
+      }]
+    };
+  } catch (error) {
+    logger.error("Error canceling orders:", error);
 
     return {
       content: [{
         type: "text",
-        text: `Order canceled successfully (simulated):\n${JSON.stringify(cachedOrder, null, 2)}`
+        text: `Failed to cancel orders: ${error instanceof Error ? error.message : String(error)}`
       }]
     };
   }
 }
 
 /**
- * Handle liquidate_position tool
+ * Handle flatten_account tool
  */
-export async function handleLiquidatePosition(request: any) {
-  const symbol = String(request.params.arguments?.symbol);
-
-  if (!symbol) {
-    throw new Error("Symbol is required");
-  }
+export async function handleFlattenAccount(request: any) {
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+  const timeoutSeconds = parseTimeoutSeconds(request.params.arguments?.timeoutSeconds, 10);
+  logger.warn(`Flattening account ${accountRef || '(default)'}`);
 
   try {
-    // Find contract by symbol
-    const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
-    
-    if (!contract) {
+    const { account, error: accountError } = await resolveAccount(accountRef);
+    if (!account) {
       return {
         content: [{
           type: "text",
-          text: `Contract not found for symbol: ${symbol}`
-        }]
+          text: `Failed to flatten account: ${accountError}`
+        }],
+        isError: true
       };
     }
 
-    // Find position by contract ID
-    const positions = await tradovateRequest('GET', 'position/list');
-    const position = positions.find((p: any) => p.contractId === contract.id);
-    
-    if (!position) {
-      return {
-        content: [{
-          type: "text",
-          text: `No position found for symbol: ${symbol}`
-        }]
-      };
-    }
-    /*
-      {
-        "accountId": 0,
-        "contractId": 0,
-        "admin": true,
-        "customTag50": "string"
+    // Per-contract report, keyed by contract ID
+    const report: { [contractId: string]: any } = {};
+    const entryFor = (contractId: number) => {
+      const key = String(contractId);
+      if (!report[key]) {
+        report[key] = { contractId, canceledOrders: [], failedCancels: [] };
+      }
+      return report[key];
+    };
+
+    // Cancel every working order first so nothing re-opens a position
+    const orders = await tradingRequest('GET', 'order/list');
+    const workingOrders = (orders || []).filter((o: any) => o.accountId === account.id && o.ordStatus === "Working");
+
+    await mapWithConcurrency(workingOrders, CANCEL_CONCURRENCY, async (order: any) => {
+      const entry = entryFor(order.contractId);
+      try {
+        await tradingRequest('POST', 'order/cancelorder', {
+          orderId: order.id,
+          clOrdId: String(order.id),
+          isAutomated: true
+        });
+        entry.canceledOrders.push(order.id);
+      } catch (error) {
+        entry.failedCancels.push({ orderId: order.id, error: error instanceof Error ? error.message : String(error) });
       }
-          
-    */
-    // Liquidate position via API
-    const liquidationResult = await tradovateRequest('POST', 'order/liquidateposition', { 
-      accountId: position.accountId,
-      contractId: position.contractId,
-      admin: false,
-      customTag50: "MCPserver"
     });
 
+    // Liquidate every open position
+    const positions = await tradingRequest('GET', 'position/list');
+    const openPositions = (positions || []).filter((p: any) => p.accountId === account.id && p.netPos !== 0);
+
+    await Promise.all(openPositions.map(async (position: any) => {
+      const entry = entryFor(position.contractId);
+      entry.startingNetPos = position.netPos;
+      try {
+        const result = await tradingRequest('POST', 'order/liquidateposition', {
+          accountId: account.id,
+          contractId: position.contractId,
+          admin: false,
+          customTag50: "MCPserver"
+        });
+        entry.liquidationOrderId = placedOrderId(result);
+        entry.liquidation = "Pending";
+      } catch (error) {
+        entry.liquidation = "Failed";
+        entry.liquidationError = error instanceof Error ? error.message : String(error);
+      }
+    }));
+
+    // Poll until the account is flat or we run out of time
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    let remaining: any[] = openPositions;
+    while (remaining.length > 0) {
+      const current = await tradingRequest('GET', 'position/list');
+      remaining = (current || []).filter((p: any) => p.accountId === account.id && p.netPos !== 0);
+
+      for (const position of openPositions) {
+        const entry = entryFor(position.contractId);
+        const stillOpen = remaining.find((p: any) => p.contractId === position.contractId);
+        entry.finalNetPos = stillOpen ? stillOpen.netPos : 0;
+        if (!stillOpen && entry.liquidation === "Pending") {
+          entry.liquidation = "Filled";
+        }
+      }
+
+      if (remaining.length === 0 || Date.now() >= deadline) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, POSITION_POLL_INTERVAL_MS));
+    }
+
+    // Label each contract with its symbol where we can
+    await Promise.all(Object.values(report).map(async (entry: any) => {
+      try {
+        const contract = await tradovateRequest('GET', `contract/item?id=${entry.contractId}`);
+        entry.symbol = contract?.name;
+      } catch (error) {
+        logger.warn(`Could not look up contract ${entry.contractId}:`, error);
+      }
+    }));
+
+    const entries = Object.values(report);
+    const failedCancels = entries.reduce((sum: number, entry: any) => sum + entry.failedCancels.length, 0);
+    const failedLiquidations = entries.filter((entry: any) => entry.liquidation === "Failed").length;
+    const failures = [
+      failedCancels ? `${failedCancels} cancel${failedCancels === 1 ? '' : 's'}` : '',
+      failedLiquidations ? `${failedLiquidations} liquidation${failedLiquidations === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(" and ");
+
+    const isFlat = remaining.length === 0;
     return {
       content: [{
         type: "text",
-        text: `Position liquidated successfully:\n${JSON.stringify(liquidationResult, null, 2)}`
-      }]
+        text: `${isFlat ? `Account ${account.name} is flat` : `Account ${account.name} is NOT flat after ${timeoutSeconds}s`}${failures ? ` (${failures} failed)` : ''}:\n${JSON.stringify(entries, null, 2)}`
+      }],
+      isError: !isFlat
     };
   } catch (error) {
-    logger.error(`Error liquidating position for ${symbol}, retrying:`, error);
-    
-    // Retry once before giving up
-    try {
-      // Find contract by symbol (retry)
-      const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
-      
-      if (!contract) {
-        return {
-          content: [{
-            type: "text",
-            text: `Contract not found for symbol: ${symbol}`
-          }]
-        };
-      }
-
-      // Find position by contract ID (retry)
-      const positions = await tradovateRequest('GET', 'position/list');
-      const position = positions.find((p: any) => p.contractId === contract.id);
-      
-      if (!position) {
-        return {
-          content: [{
-            type: "text",
-            text: `No position found for symbol: ${symbol}`
-          }]
-        };
-      }
+    logger.error("Error flattening account:", error);
 
-      // Liquidate position via API (retry)
-      const liquidationResult = await tradovateRequest('POST', 'order/liquidateposition', { 
-        accountId: position.accountId,
-        contractId: position.contractId,
-        admin: false,
-        customTag50: "MCPserver"
-      });
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to flatten account: ${error instanceof Error ? error.message : String(error)}`
+      }],
+      isError: true
+    };
+  }
+}
 
-      return {
-        content: [{
-          type: "text",
-          text: `Position liquidated successfully:\n${JSON.stringify(liquidationResult, null, 2)}`
-        }]
-      };
-    } catch (retryError) {
-      logger.error(`Error liquidating position for ${symbol} after retry:`, retryError);
-      
-      return {
-        content: [{
-          type: "text", 
-          text: `Failed to liquidate position for ${symbol}: ${retryError instanceof Error ? retryError.message : String(retryError)}`
-        }]
-      };
-    }
+/**
+ * Flatten an account locked out by the daily loss limit, throwing unless it ends up flat
+ */
+export async function flattenLockedOutAccount(accountId: number): Promise<void> {
+  const result = await handleFlattenAccount({ params: { name: "flatten_account", arguments: { accountId: String(accountId) } } });
+  if (result.isError) {
+    throw new Error(result.content[0].text);
   }
 }
 
@@ -560,10 +1841,10 @@ export async function handleGetAccountSummary(request: any) {
     const actualAccountId = account.id;
 
     // Get cash balance
-    const cashBalance = await tradovateRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId: actualAccountId });
+    const cashBalance = await tradingRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId: actualAccountId });
     
     // Get positions
-    const positions = await tradovateRequest('GET', `position/list?accountId=${actualAccountId}`);
+    const positions = await tradingRequest('GET', `position/list?accountId=${actualAccountId}`);
     
     // Calculate summary
     const totalRealizedPnl = positions.reduce((sum: number, pos: any) => sum + pos.realizedPnl, 0);
@@ -618,10 +1899,10 @@ export async function handleGetAccountSummary(request: any) {
       const actualAccountId = account.id;
   
       // Get cash balance (retry)
-      const cashBalance = await tradovateRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId: actualAccountId });
+      const cashBalance = await tradingRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId: actualAccountId });
       
       // Get positions (retry)
-      const positions = await tradovateRequest('GET', `position/list?accountId=${actualAccountId}`);
+      const positions = await tradingRequest('GET', `position/list?accountId=${actualAccountId}`);
       
       // Calculate summary
       const totalRealizedPnl = positions.reduce((sum: number, pos: any) => sum + pos.realizedPnl, 0);
@@ -656,6 +1937,131 @@ export async function handleGetAccountSummary(request: any) {
   }
 }
 
+/**
+ * Handle get_risk_status tool
+ */
+export async function handleGetRiskStatus(request: any) {
+  const accountRef = request.params.arguments?.accountId ? String(request.params.arguments.accountId) : undefined;
+
+  try {
+    const { account, error: accountError } = await resolveAccount(accountRef);
+    if (!account) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to get risk status: ${accountError}`
+        }]
+      };
+    }
+
+    const status = await getRiskStatus(account.id);
+    if (!status) {
+      return {
+        content: [{
+          type: "text",
+          text: `No risk limits configured for account ${account.name} (TRADOVATE_RISK_CONFIG is not set)`
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Risk status for ${account.name}${status.lockedOut ? ' (LOCKED OUT)' : ''}:\n${JSON.stringify(status, null, 2)}`
+      }]
+    };
+  } catch (error) {
+    logger.error("Error getting risk status:", error);
+
+    return {
+      content: [{
+        type: "text",
+        text: `Failed to get risk status: ${error instanceof Error ? error.message : String(error)}`
+      }]
+    };
+  }
+}
+
+/**
+ * Handle get_server_status tool
+ */
+export async function handleGetServerStatus(request: any) {
+  const readOnly = isReadOnly();
+  const paperTrading = isPaperTrading();
+  const status = {
+    mode: readOnly ? "read-only" : paperTrading ? "paper" : "trading",
+    environment: getEnvironment(),
+    paperTrading,
+    orderConfirmation: isConfirmationRequired() && !paperTrading,
+    riskConfig: process.env.TRADOVATE_RISK_CONFIG || null,
+    disabledTools: readOnly ? TRADING_TOOLS : []
+  };
+
+  return {
+    content: [{
+      type: "text",
+      text: `Server status:\n${JSON.stringify(status, null, 2)}`
+    }]
+  };
+}
+
+/**
+ * Handle get_diagnostics tool
+ */
+export async function handleGetDiagnostics(request: any) {
+  const socketStatus = (socket?: TradovateSocket) => socket ? socket.getStatus() : { connected: false };
+  const diagnostics = {
+    environment: getEnvironment(),
+    endpoints: resolveEndpoints(),
+    accessTokenValid: isAccessTokenValid(),
+    sockets: {
+      marketData: socketStatus(global.marketDataSocket),
+      trading: socketStatus(global.tradingSocket),
+      legacy: { connected: !!global.tradovateWs && global.tradovateWs.readyState === WebSocket.OPEN }
+    },
+    marketDataSubscriptions: getMarketDataSubscriptions()
+  };
+
+  return {
+    content: [{
+      type: "text",
+      text: `Diagnostics:\n${JSON.stringify(diagnostics, null, 2)}`
+    }]
+  };
+}
+
+/**
+ * Handle set_paper_quote tool
+ */
+export async function handleSetPaperQuote(request: any) {
+  const symbol = String(request.params.arguments?.symbol || "");
+  const bid = request.params.arguments?.bid !== undefined ? Number(request.params.arguments.bid) : undefined;
+  const ask = request.params.arguments?.ask !== undefined ? Number(request.params.arguments.ask) : undefined;
+  const last = request.params.arguments?.last !== undefined ? Number(request.params.arguments.last) : undefined;
+
+  if (!symbol) {
+    throw new Error("Symbol is required");
+  }
+  if (bid === undefined && ask === undefined && last === undefined) {
+    throw new Error("At least one of bid, ask or last is required");
+  }
+  if (bid !== undefined && ask !== undefined && bid > ask) {
+    throw new Error("Bid cannot be above ask");
+  }
+
+  const quote = setPaperQuote(symbol, { bid, ask, last });
+
+  return {
+    content: [{
+      type: "text",
+      text: `Paper quote set for ${symbol}:\n${JSON.stringify(quote, null, 2)}`
+    }]
+  };
+}
+
+// How many of the latest bars get_market_data returns for a chart
+const CHART_BARS = 100;
+
 /**
  * Handle get_market_data tool
  */
@@ -668,6 +2074,16 @@ export async function handleGetMarketData(request: any) {
     throw new Error("Symbol and dataType are required");
   }
 
+  // Resolved up front, as get_historical_bars does, so a bad chartType is an error rather than a fallback to the legacy path
+  const chart = dataType === "Chart"
+    ? resolveChartDescription(request.params.arguments?.chartType
+      ? {
+        chartType: String(request.params.arguments.chartType),
+        elementSize: request.params.arguments.elementSize !== undefined ? Number(request.params.arguments.elementSize) : undefined
+      }
+      : { timeframe: chartTimeframe })
+    : undefined;
+
   try {
     // Find contract by symbol
     const contract = await tradovateRequest('GET', `contract/find?name=${symbol}`);
@@ -691,100 +2107,20 @@ export async function handleGetMarketData(request: any) {
       try {
         switch (dataType) {
           case "Quote":
-            // Create a promise that will resolve when we get the quote data
-            marketData = await new Promise((resolve, reject) => {
-              let timeoutId: NodeJS.Timeout;
-              
-              // Set a timeout to prevent hanging if we don't get a response
-              timeoutId = setTimeout(() => {
-                reject(new Error('Quote data request timed out'));
-              }, 10000);
-              
-              // Subscribe to quote data
-              global.marketDataSocket.subscribe({
-                url: 'md/subscribequote',
-                body: { symbol },
-                subscription: (data) => {
-                  clearTimeout(timeoutId);
-                  resolve(data);
-                  // Note: This would normally keep receiving updates, but we just want the first one
-                }
-              }).catch(error => {
-                clearTimeout(timeoutId);
-                reject(error);
-              });
-            });
-            break;
-            
-          case "DOM":
-            // Create a promise that will resolve when we get the DOM data
-            marketData = await new Promise((resolve, reject) => {
-              let timeoutId: NodeJS.Timeout;
-              
-              // Set a timeout to prevent hanging if we don't get a response
-              timeoutId = setTimeout(() => {
-                reject(new Error('DOM data request timed out'));
-              }, 10000);
-              
-              // Subscribe to DOM data
-              global.marketDataSocket.subscribe({
-                url: 'md/subscribedom',
-                body: { symbol },
-                subscription: (data) => {
-                  clearTimeout(timeoutId);
-                  resolve(data);
-                  // Note: This would normally keep receiving updates, but we just want the first one
-                }
-              }).catch(error => {
-                clearTimeout(timeoutId);
-                reject(error);
-              });
-            });
+          case "DOM": {
+            // Served from the market data cache, which only subscribes on a miss
+            const cached = await readMarketData(dataType === "Quote" ? "quote" : "dom", symbol);
+            marketData = cached.data;
+            dataSource = `${cached.stale ? "stale" : "real-time"}, updated ${cached.updatedAt}`;
             break;
+          }
           
-          case "Chart":
-            // Convert timeframe to chart parameters
-            let chartUnits;
-            let chartLength;
-            
-            switch (chartTimeframe) {
-              case "1min": chartUnits = "m"; chartLength = 1; break;
-              case "5min": chartUnits = "m"; chartLength = 5; break;
-              case "15min": chartUnits = "m"; chartLength = 15; break;
-              case "30min": chartUnits = "m"; chartLength = 30; break;
-              case "1hour": chartUnits = "h"; chartLength = 1; break;
-              case "4hour": chartUnits = "h"; chartLength = 4; break;
-              case "1day": chartUnits = "d"; chartLength = 1; break;
-              default: chartUnits = "m"; chartLength = 1;
-            }
-            
-            // Create a promise that will resolve when we get the chart data
-            marketData = await new Promise((resolve, reject) => {
-              let timeoutId: NodeJS.Timeout;
-              
-              // Set a timeout to prevent hanging if we don't get a response
-              timeoutId = setTimeout(() => {
-                reject(new Error('Chart data request timed out'));
-              }, 10000);
-              
-              // Get chart data using the chart subscription
-              global.marketDataSocket.subscribe({
-                url: 'md/getchart',
-                body: { 
-                  symbol,
-                  chartDescription: `${chartLength}${chartUnits}`,
-                  timeRange: 3600 // 1 hour of data
-                },
-                subscription: (data) => {
-                  clearTimeout(timeoutId);
-                  resolve(data);
-                }
-              }).catch(error => {
-                clearTimeout(timeoutId);
-                reject(error);
-              });
-            });
+          case "Chart": {
+            // The latest bars of the chartTimeframe, or of a chartType with elementSize
+            const bars = await fetchHistoricalBars(symbol, chart!.description, buildTimeRange({ asMuchAsElements: CHART_BARS }));
+            marketData = { chart: chart!.label, bars };
             break;
+          }
           
           default:
             throw new Error(`Unsupported data type: ${dataType}`);
@@ -815,6 +2151,110 @@ export async function handleGetMarketData(request: any) {
   }
 }
 
+/**
+ * Handle get_historical_bars tool
+ */
+export async function handleGetHistoricalBars(request: any) {
+  const symbol = String(request.params.arguments?.symbol || "");
+  const asMuchAsElements = request.params.arguments?.asMuchAsElements !== undefined
+    ? Number(request.params.arguments.asMuchAsElements)
+    : undefined;
+
+  if (!symbol) {
+    throw new Error("Symbol is required");
+  }
+
+  const chart = resolveChartDescription({
+    timeframe: request.params.arguments?.timeframe,
+    chartType: request.params.arguments?.chartType,
+    elementSize: request.params.arguments?.elementSize !== undefined ? Number(request.params.arguments.elementSize) : undefined
+  });
+  const timeRange = buildTimeRange({
+    asFrom: request.params.arguments?.asFrom,
+    asTo: request.params.arguments?.asTo,
+    closestTimestamp: request.params.arguments?.closestTimestamp,
+    asMuchAsElements
+  });
+
+  const allBars = await fetchHistoricalBars(symbol, chart.description, timeRange);
+  // Keep the most recent bars when a count was asked for
+  const bars = asMuchAsElements ? allBars.slice(-asMuchAsElements) : allBars;
+
+  return {
+    content: [{
+      type: "text",
+      text: `Historical ${chart.label} bars for ${symbol} (${bars.length}):\n${JSON.stringify({
+        symbol,
+        chart: chart.label,
+        from: bars[0]?.timestamp || null,
+        to: bars[bars.length - 1]?.timestamp || null,
+        count: bars.length,
+        bars
+      }, null, 2)}`
+    }]
+  };
+}
+
+// Bars loaded for compute_indicators when no range is given, enough for the default warm-ups to settle
+const INDICATOR_BARS = 300;
+
+/**
+ * Handle compute_indicators tool
+ */
+export async function handleComputeIndicators(request: any) {
+  const symbol = String(request.params.arguments?.symbol || "");
+  const includeSeries = request.params.arguments?.includeSeries === true;
+  let asMuchAsElements = request.params.arguments?.asMuchAsElements !== undefined
+    ? Number(request.params.arguments.asMuchAsElements)
+    : undefined;
+
+  if (!symbol) {
+    throw new Error("Symbol is required");
+  }
+
+  const requested = request.params.arguments?.indicators;
+  if (requested !== undefined && (!Array.isArray(requested) || requested.length === 0)) {
+    throw new Error("indicators must be a non-empty list, such as [\"RSI\", \"SMA(50)\"]");
+  }
+  const specs = (requested || INDICATOR_NAMES).map((spec: any) => parseIndicator(String(spec)));
+
+  const chart = resolveChartDescription({
+    timeframe: request.params.arguments?.timeframe,
+    chartType: request.params.arguments?.chartType,
+    elementSize: request.params.arguments?.elementSize !== undefined ? Number(request.params.arguments.elementSize) : undefined
+  });
+  if (!request.params.arguments?.asFrom && asMuchAsElements === undefined) {
+    asMuchAsElements = INDICATOR_BARS;
+  }
+  const timeRange = buildTimeRange({
+    asFrom: request.params.arguments?.asFrom,
+    asTo: request.params.arguments?.asTo,
+    closestTimestamp: request.params.arguments?.closestTimestamp,
+    asMuchAsElements
+  });
+
+  const allBars = await fetchHistoricalBars(symbol, chart.description, timeRange);
+  const bars = asMuchAsElements ? allBars.slice(-asMuchAsElements) : allBars;
+  if (bars.length === 0) {
+    throw new Error(`No ${chart.label} bars found for ${symbol}`);
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: `Indicators for ${symbol} over ${bars.length} ${chart.label} bars:\n${JSON.stringify({
+        symbol,
+        chart: chart.label,
+        from: bars[0].timestamp,
+        to: bars[bars.length - 1].timestamp,
+        bars: bars.length,
+        lastClose: bars[bars.length - 1].close,
+        indicators: computeIndicators(bars, specs, includeSeries)
+      }, null, 2)}`
+    }]
+  };
+}
+
 /**
  * Legacy implementation of market data handling
  */
@@ -1026,7 +2466,7 @@ export async function handleListOrders(request: any) {
       endpoint += `?accountId=${accountId}`;
     }
     
-    const orders = await tradovateRequest('GET', endpoint);
+    const orders = await tradingRequest('GET', endpoint);
     
     if (!orders || orders.length === 0) {
       return {
@@ -1054,7 +2494,7 @@ export async function handleListOrders(request: any) {
         endpoint += `?accountId=${accountId}`;
       }
       
-      const orders = await tradovateRequest('GET', endpoint);
+      const orders = await tradingRequest('GET', endpoint);
       
       if (!orders || orders.length === 0) {
         return {
@@ -45,6 +45,9 @@ export interface Order {
   orderType: string;
   price?: number;
   stopPrice?: number;
+  pegDifference?: number;
+  timeInForce?: string;
+  expireTime?: string;
 }
 
 /**
@@ -0,0 +1,167 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the market data socket talks to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { createMarketDataSocket } = require('../src/socket.js');
+const { buildTimeRange, getChartDescription, resolveChartDescription } = require('../src/charts.js');
+const { handleGetHistoricalBars, handleGetMarketData } = require('../src/tools.js');
+
+const call = args => handleGetHistoricalBars({ params: { name: 'get_historical_bars', arguments: args } });
+const parse = result => {
+  const text = result.content[0].text;
+  return JSON.parse(text.slice(text.indexOf('\n') + 1));
+};
+
+describe('Historical bar requests', () => {
+  it('should map timeframes to chart descriptions', () => {
+    expect(getChartDescription('15min')).toEqual({ underlyingType: 'MinuteBar', elementSize: 15, elementSizeUnit: 'UnderlyingUnits', withHistogram: false });
+    expect(getChartDescription('1day')).toEqual(expect.objectContaining({ underlyingType: 'DailyBar', elementSize: 1 }));
+    expect(() => getChartDescription('2min')).toThrow('Unsupported timeframe: 2min');
+  });
+
+  it('should describe tick, volume, range and daily bar charts', () => {
+    expect(resolveChartDescription({ chartType: 'Tick', elementSize: 2000 })).toEqual({
+      description: { underlyingType: 'Tick', elementSize: 2000, elementSizeUnit: 'UnderlyingUnits', withHistogram: false },
+      label: '2000 Tick'
+    });
+    expect(resolveChartDescription({ chartType: 'Range', elementSize: 5 }).description).toEqual(expect.objectContaining({ underlyingType: 'Tick', elementSizeUnit: 'Range' }));
+    expect(resolveChartDescription({ chartType: 'Volume', elementSize: 500 }).description).toEqual(expect.objectContaining({ underlyingType: 'Tick', elementSizeUnit: 'Volume' }));
+    expect(resolveChartDescription({ chartType: 'DailyBar', elementSize: 1 }).description).toEqual(expect.objectContaining({ underlyingType: 'DailyBar' }));
+    expect(resolveChartDescription({ timeframe: '1hour' })).toEqual({ description: getChartDescription('1hour'), label: '1hour' });
+  });
+
+  it('should reject unknown chart types and missing element sizes', () => {
+    expect(() => resolveChartDescription({ chartType: 'Renko', elementSize: 4 })).toThrow('Unsupported chart type: Renko');
+    expect(() => resolveChartDescription({ chartType: 'Tick' })).toThrow('elementSize is required with chartType');
+    expect(() => resolveChartDescription({ chartType: 'Tick', elementSize: 0 })).toThrow('elementSize must be a positive whole number');
+    expect(() => resolveChartDescription({ chartType: 'Tick', elementSize: 100, timeframe: '1min' })).toThrow('Use either timeframe or chartType with elementSize, not both');
+    expect(() => resolveChartDescription({})).toThrow('Provide a timeframe, or a chartType with elementSize');
+  });
+
+  it('should build date range and bar count time ranges', () => {
+    expect(buildTimeRange({ asFrom: '2025-10-01T13:30:00Z', asTo: '2025-10-01T20:00:00Z' })).toEqual({
+      closestTimestamp: '2025-10-01T20:00:00.000Z',
+      asFarAsTimestamp: '2025-10-01T13:30:00.000Z'
+    });
+    expect(buildTimeRange({ closestTimestamp: '2025-10-01', asMuchAsElements: 500 })).toEqual({
+      closestTimestamp: '2025-10-01T00:00:00.000Z',
+      asMuchAsElements: 500
+    });
+  });
+
+  it('should reject incomplete or contradictory time ranges', () => {
+    expect(() => buildTimeRange({})).toThrow('Provide asFrom (and optionally asTo), or asMuchAsElements');
+    expect(() => buildTimeRange({ asTo: '2025-10-01', closestTimestamp: '2025-10-01', asMuchAsElements: 5 })).toThrow('Use either asTo or closestTimestamp, not both');
+    expect(() => buildTimeRange({ asMuchAsElements: 2.5 })).toThrow('asMuchAsElements must be a positive whole number');
+    expect(() => buildTimeRange({ asFrom: 'yesterday' })).toThrow('asFrom must be an ISO 8601 date or timestamp');
+    expect(() => buildTimeRange({ asFrom: '2025-10-02', asTo: '2025-10-01' })).toThrow('asFrom must be before asTo');
+  });
+});
+
+describe('get_historical_bars', () => {
+  let mock;
+  let sendSpy;
+
+  beforeEach(async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+    global.marketDataSocket = await createMarketDataSocket(0);
+    sendSpy = jest.spyOn(global.marketDataSocket, 'send');
+  });
+
+  afterEach(async () => {
+    global.marketDataSocket.close();
+    delete global.marketDataSocket;
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  it('should load every bar in a date range', async () => {
+    const result = parse(await call({ symbol: 'ESZ5', timeframe: '1min', asFrom: '2025-10-01T13:30:00Z', asTo: '2025-10-01T15:30:00Z' }));
+
+    expect(result.count).toBe(121);
+    expect(result.from).toBe('2025-10-01T13:30:00.000Z');
+    expect(result.to).toBe('2025-10-01T15:30:00.000Z');
+    expect(result.bars[0]).toEqual({
+      timestamp: '2025-10-01T13:30:00.000Z',
+      open: expect.any(Number),
+      high: expect.any(Number),
+      low: expect.any(Number),
+      close: expect.any(Number),
+      volume: result.bars[0].upVolume + result.bars[0].downVolume,
+      upVolume: expect.any(Number),
+      downVolume: expect.any(Number),
+      bidVolume: 95,
+      offerVolume: 95,
+      ticks: 75
+    });
+  });
+
+  it('should collect a bar count spread across many packets and cancel the chart', async () => {
+    const result = parse(await call({ symbol: 'ESZ5', timeframe: '1day', closestTimestamp: '2025-10-01', asMuchAsElements: 500 }));
+
+    expect(result.count).toBe(500);
+    expect(result.to).toBe('2025-10-01T00:00:00.000Z');
+    const times = result.bars.map(bar => Date.parse(bar.timestamp));
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+
+    const getChart = await sendSpy.mock.results[0].value;
+    expect(sendSpy).toHaveBeenCalledWith({ url: 'md/cancelChart', body: { subscriptionId: getChart.d.historicalId } });
+  });
+
+  it('should fail without a market data connection', async () => {
+    global.marketDataSocket.close();
+
+    await expect(call({ symbol: 'ESZ5', timeframe: '5min', asMuchAsElements: 10 })).rejects.toThrow('Market data socket is not connected');
+  });
+
+  it('should load 2000-tick bars in the same bar format', async () => {
+    const result = parse(await call({ symbol: 'ESZ5', chartType: 'Tick', elementSize: 2000, asMuchAsElements: 50 }));
+
+    expect(result.chart).toBe('2000 Tick');
+    expect(result.count).toBe(50);
+    expect(result.bars[0]).toEqual(expect.objectContaining({ open: expect.any(Number), close: expect.any(Number), volume: expect.any(Number) }));
+    expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'md/getchart',
+      body: expect.objectContaining({ chartDescription: { underlyingType: 'Tick', elementSize: 2000, elementSizeUnit: 'UnderlyingUnits', withHistogram: false } })
+    }));
+  });
+
+  it('should turn single-tick packets into one-trade bars', async () => {
+    const result = parse(await call({ symbol: 'ESZ5', chartType: 'Tick', elementSize: 1, asMuchAsElements: 150 }));
+
+    expect(result.count).toBe(150);
+    for (const bar of result.bars) {
+      expect(bar.open).toBe(bar.close);
+      expect(bar.high).toBe(bar.close);
+      expect(bar.close % 0.25).toBe(0);
+      expect(bar.ticks).toBe(1);
+      expect(bar.volume).toBeGreaterThan(0);
+    }
+  });
+
+  it('should serve range bars through get_market_data', async () => {
+    const result = await handleGetMarketData({ params: { name: 'get_market_data', arguments: { symbol: 'ESZ5', dataType: 'Chart', chartType: 'Range', elementSize: 5 } } });
+
+    const text = result.content[0].text;
+    expect(text).toContain('Market data for ESZ5 (Chart) [real-time]');
+    const data = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    expect(data.chart).toBe('5 Range');
+    expect(data.bars).toHaveLength(100);
+  });
+
+  it('should reject an unknown chartType in get_market_data instead of falling back', async () => {
+    const request = { params: { name: 'get_market_data', arguments: { symbol: 'ESZ5', dataType: 'Chart', chartType: 'Renko', elementSize: 4 } } };
+
+    await expect(handleGetMarketData(request)).rejects.toThrow('Unsupported chart type: Renko. Use one of');
+    expect(sendSpy).not.toHaveBeenCalled();
+  });
+
+  it('should require a symbol and a bar size', async () => {
+    await expect(call({ timeframe: '1min', asMuchAsElements: 10 })).rejects.toThrow('Symbol is required');
+    await expect(call({ symbol: 'ESZ5', asMuchAsElements: 10 })).rejects.toThrow('Provide a timeframe, or a chartType with elementSize');
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, expect, it, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const { resolveEndpoint, resolveEndpoints, getEnvironment } = require('../src/endpoints.js');
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { TradovateSocket } = require('../src/socket.js');
+const { handleGetDiagnostics } = require('../src/tools.js');
+const WebSocket = require('ws');
+
+const ENDPOINT_VARIABLES = ['TRADOVATE_API_URL', 'TRADOVATE_WS_URL', 'TRADOVATE_MD_URL', 'TRADOVATE_BASE_URL'];
+
+describe('Endpoint resolution', () => {
+  afterEach(() => {
+    ENDPOINT_VARIABLES.forEach(name => delete process.env[name]);
+    process.env.TRADOVATE_API_ENVIRONMENT = 'demo';
+  });
+
+  it('should default to the demo endpoints', () => {
+    expect(resolveEndpoints()).toEqual({
+      rest: { url: 'https://demo.tradovateapi.com/v1', source: 'default (demo)' },
+      tradingWs: { url: 'wss://demo.tradovateapi.com/v1/websocket', source: 'default (demo)' },
+      mdWs: { url: 'wss://md-demo.tradovateapi.com/v1/websocket', source: 'default (demo)' }
+    });
+  });
+
+  it('should use the live market data URL in live mode', () => {
+    process.env.TRADOVATE_API_ENVIRONMENT = 'live';
+
+    expect(getEnvironment()).toBe('live');
+    expect(resolveEndpoint('mdWs').url).toBe('wss://md.tradovateapi.com/v1/websocket');
+    expect(resolveEndpoint('tradingWs').url).toBe('wss://live.tradovateapi.com/v1/websocket');
+  });
+
+  it('should prefer each endpoint variable over TRADOVATE_BASE_URL', () => {
+    process.env.TRADOVATE_BASE_URL = 'http://localhost:8787/';
+    process.env.TRADOVATE_MD_URL = 'wss://md.example.com/v1/websocket/';
+
+    expect(resolveEndpoints()).toEqual({
+      rest: { url: 'http://localhost:8787/v1', source: 'TRADOVATE_BASE_URL' },
+      tradingWs: { url: 'ws://localhost:8787/v1/websocket', source: 'TRADOVATE_BASE_URL' },
+      mdWs: { url: 'wss://md.example.com/v1/websocket', source: 'TRADOVATE_MD_URL' }
+    });
+  });
+
+  it('should report the endpoints and socket state in get_diagnostics', async () => {
+    process.env.TRADOVATE_API_URL = 'https://rest.example.com/v1';
+
+    const result = await handleGetDiagnostics({ params: { name: 'get_diagnostics', arguments: {} } });
+
+    const text = result.content[0].text;
+    const diagnostics = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    expect(diagnostics.environment).toBe('demo');
+    expect(diagnostics.endpoints.rest).toEqual({ url: 'https://rest.example.com/v1', source: 'TRADOVATE_API_URL' });
+    expect(diagnostics.sockets.marketData).toEqual({ connected: false });
+  });
+
+  it('should report a connected legacy socket in get_diagnostics', async () => {
+    const mock = new MockTradovateServer();
+    await mock.start();
+    const ws = new WebSocket(`${mock.url.replace('http', 'ws')}/v1/websocket`);
+    await new Promise(resolve => ws.once('open', resolve));
+    global.tradovateWs = ws;
+
+    try {
+      const result = await handleGetDiagnostics({ params: { name: 'get_diagnostics', arguments: {} } });
+
+      const text = result.content[0].text;
+      expect(JSON.parse(text.slice(text.indexOf('\n') + 1)).sockets.legacy).toEqual({ connected: true });
+    } finally {
+      delete global.tradovateWs;
+      ws.close();
+      await mock.stop();
+    }
+  });
+});
+
+describe('TradovateSocket.subscribe', () => {
+  let mock;
+
+  afterEach(async () => {
+    ENDPOINT_VARIABLES.forEach(name => delete process.env[name]);
+    await mock?.stop();
+  });
+
+  const connect = async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_API_URL = `${mock.url}/v1`;
+    const socket = new TradovateSocket({ debugLabel: 'market-data' });
+    const token = (await require('axios').post(`${mock.url}/v1/auth/accessTokenRequest`, { name: 'a', password: 'b' })).data.accessToken;
+    await socket.connect(`${mock.url.replace('http', 'ws')}/v1/websocket`, token);
+    return socket;
+  };
+
+  it('should accept quote subscriptions on the configured market data URL', async () => {
+    const socket = await connect();
+    process.env.TRADOVATE_MD_URL = `${mock.url.replace('http', 'ws')}/v1/websocket`;
+
+    await expect(socket.subscribe({ url: 'md/subscribequote', body: { symbol: 'ESZ5' }, subscription: () => {} }))
+      .resolves.toEqual(expect.any(Function));
+    expect(socket.getStatus()).toEqual(expect.objectContaining({
+      label: 'market-data', url: process.env.TRADOVATE_MD_URL, connected: true, reconnecting: false, reconnectAttempts: 0, subscriptions: 1
+    }));
+    socket.close();
+  });
+
+  it('should refuse quote subscriptions on any other URL', async () => {
+    const socket = await connect();
+
+    await expect(socket.subscribe({ url: 'md/subscribequote', body: { symbol: 'ESZ5' }, subscription: () => {} }))
+      .rejects.toBe('Cannot subscribe to Quote Data without using the Market Data URL.');
+    socket.close();
+  });
+});
@@ -60,11 +60,13 @@ jest.mock('dotenv', () => ({
 // Mock the SDK modules
 const mockConnect = jest.fn().mockResolvedValue(undefined);
 const mockSetRequestHandler = jest.fn();
+const mockSendResourceUpdated = jest.fn().mockResolvedValue(undefined);
 
 jest.mock('@modelcontextprotocol/sdk/server/index.js', () => {
   return {
     Server: jest.fn().mockImplementation(() => ({
       setRequestHandler: mockSetRequestHandler,
+      sendResourceUpdated: mockSendResourceUpdated,
       connect: mockConnect
     }))
   };
@@ -81,6 +83,9 @@ jest.mock('@modelcontextprotocol/sdk/server/stdio.js', () => ({
 jest.mock('@modelcontextprotocol/sdk/types.js', () => ({
   ListResourcesRequestSchema: { toString: () => 'ListResourcesRequestSchema' },
   ReadResourceRequestSchema: { toString: () => 'ReadResourceRequestSchema' },
+  ListResourceTemplatesRequestSchema: { toString: () => 'ListResourceTemplatesRequestSchema' },
+  SubscribeRequestSchema: { toString: () => 'SubscribeRequestSchema' },
+  UnsubscribeRequestSchema: { toString: () => 'UnsubscribeRequestSchema' },
   ListToolsRequestSchema: { toString: () => 'ListToolsRequestSchema' },
   CallToolRequestSchema: { toString: () => 'CallToolRequestSchema' },
   ListPromptsRequestSchema: { toString: () => 'ListPromptsRequestSchema' },
@@ -161,18 +166,29 @@ describe('Index Module Additional Coverage', () => {
       // Assert
       expect(result).toHaveProperty('tools');
       expect(Array.isArray(result.tools)).toBe(true);
-      expect(result.tools.length).toBe(12); // Check that all 8 tools are returned
+      expect(result.tools.length).toBe(23); // Check that all tools are returned
       
       // Check for specific tools
       const toolNames = result.tools.map(tool => tool.name);
       expect(toolNames).toContain('get_contract_details');
       expect(toolNames).toContain('list_positions');
       expect(toolNames).toContain('place_order');
+      expect(toolNames).toContain('place_bracket_order');
+      expect(toolNames).toContain('place_oco_order');
+      expect(toolNames).toContain('flatten_account');
+      expect(toolNames).toContain('cancel_all_orders');
+      expect(toolNames).toContain('reverse_position');
+      expect(toolNames).toContain('get_risk_status');
+      expect(toolNames).toContain('confirm_order');
+      expect(toolNames).toContain('get_server_status');
+      expect(toolNames).toContain('get_diagnostics');
       expect(toolNames).toContain('modify_order');
       expect(toolNames).toContain('cancel_order');
       expect(toolNames).toContain('liquidate_position');
       expect(toolNames).toContain('get_account_summary');
       expect(toolNames).toContain('get_market_data');
+      expect(toolNames).toContain('get_historical_bars');
+      expect(toolNames).toContain('compute_indicators');
       expect(toolNames).toContain('list_orders');
       
       // Check that each tool has a description
@@ -183,6 +199,127 @@ describe('Index Module Additional Coverage', () => {
     });
   });
   
+  describe('Read-only mode', () => {
+    afterEach(() => {
+      delete process.env.TRADOVATE_READ_ONLY;
+    });
+
+    test('should not list trading tools', async () => {
+      process.env.TRADOVATE_READ_ONLY = 'true';
+
+      const result = await handlers['ListToolsRequestSchema']();
+
+      const toolNames = result.tools.map(tool => tool.name);
+      expect(toolNames).not.toContain('place_order');
+      expect(toolNames).not.toContain('modify_order');
+      expect(toolNames).not.toContain('cancel_order');
+      expect(toolNames).not.toContain('liquidate_position');
+      expect(toolNames).not.toContain('flatten_account');
+      expect(toolNames).toContain('get_server_status');
+      expect(toolNames).toContain('get_diagnostics');
+      expect(toolNames).toContain('list_positions');
+    });
+
+    test('should reject trading tools called by name', async () => {
+      process.env.TRADOVATE_READ_ONLY = 'true';
+      const handler = handlers['CallToolRequestSchema'];
+
+      await expect(handler({ params: { name: 'place_order', arguments: { symbol: 'ESM3' } } }))
+        .rejects.toThrow('Tool place_order is disabled: the server is running in read-only mode');
+      expect(mockHandlePlaceOrder).not.toHaveBeenCalled();
+
+      await handler({ params: { name: 'get_contract_details', arguments: { symbol: 'ESM3' } } });
+      expect(mockHandleGetContractDetails).toHaveBeenCalled();
+    });
+
+    test('should drop trading tools from the capabilities map', () => {
+      process.env.TRADOVATE_READ_ONLY = 'true';
+      const { enabledTools } = require('../src/mode.js');
+
+      expect(Object.keys(enabledTools({ place_order: {}, list_orders: {} }))).toEqual(['list_orders']);
+    });
+  });
+
+  describe('Paper trading mode', () => {
+    afterEach(() => {
+      delete process.env.TRADOVATE_PAPER_TRADING;
+    });
+
+    test('should only list set_paper_quote in paper trading mode', async () => {
+      let toolNames = (await handlers['ListToolsRequestSchema']()).tools.map(tool => tool.name);
+      expect(toolNames).not.toContain('set_paper_quote');
+
+      process.env.TRADOVATE_PAPER_TRADING = 'true';
+      toolNames = (await handlers['ListToolsRequestSchema']()).tools.map(tool => tool.name);
+      expect(toolNames).toContain('set_paper_quote');
+      expect(toolNames).toContain('place_order');
+    });
+
+    test('should reject set_paper_quote outside paper trading mode', async () => {
+      await expect(handlers['CallToolRequestSchema']({ params: { name: 'set_paper_quote', arguments: { symbol: 'ESM3', last: 5000 } } }))
+        .rejects.toThrow('Tool set_paper_quote is disabled: the server is not in paper trading mode');
+    });
+  });
+
+  describe('Quote resources', () => {
+    let pushQuote;
+    let unsubscribe;
+
+    beforeEach(() => {
+      unsubscribe = jest.fn();
+      global.marketDataSocket = {
+        isConnected: () => true,
+        subscribe: jest.fn(async ({ subscription }) => {
+          pushQuote = subscription;
+          return unsubscribe;
+        })
+      };
+    });
+
+    afterEach(() => {
+      delete global.marketDataSocket;
+    });
+
+    test('should offer a quote resource template', async () => {
+      const result = await handlers['ListResourceTemplatesRequestSchema']();
+
+      expect(result.resourceTemplates).toEqual([expect.objectContaining({ uriTemplate: 'tradovate://quote/{symbol}' })]);
+    });
+
+    test('should notify the client of quote updates until it unsubscribes', async () => {
+      const uri = 'tradovate://quote/ESM3';
+      await handlers['SubscribeRequestSchema']({ params: { uri } });
+      await handlers['SubscribeRequestSchema']({ params: { uri } });
+
+      expect(global.marketDataSocket.subscribe).toHaveBeenCalledTimes(1);
+      expect((await handlers['ListResourcesRequestSchema']()).resources.map(resource => resource.uri)).toContain(uri);
+
+      pushQuote({ contractId: 1, entries: { Bid: { price: 4200 } } });
+      expect(mockSendResourceUpdated).toHaveBeenCalledWith({ uri });
+
+      await handlers['UnsubscribeRequestSchema']({ params: { uri } });
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    test('should read the cached quote of a subscribed resource', async () => {
+      const uri = 'tradovate://quote/ESM3';
+      await handlers['SubscribeRequestSchema']({ params: { uri } });
+      pushQuote({ contractId: 1, entries: { Bid: { price: 4200 } } });
+
+      const read = await handlers['ReadResourceRequestSchema']({ params: { uri } });
+
+      expect(JSON.parse(read.contents[0].text)).toEqual({
+        symbol: 'ESM3', contractId: 1, entries: { Bid: { price: 4200 } }, updatedAt: expect.any(String), stale: false
+      });
+      expect(global.marketDataSocket.subscribe).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only allow subscriptions to quote resources', async () => {
+      await expect(handlers['SubscribeRequestSchema']({ params: { uri: 'tradovate://position/' } }))
+        .rejects.toThrow('Resource does not support subscriptions: tradovate://position/');
+    });
+  });
+
   describe('CallToolRequestSchema Handler', () => {
     test('should call handleGetContractDetails for get_contract_details tool', async () => {
       // Get the handler for CallToolRequestSchema
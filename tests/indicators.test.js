@@ -0,0 +1,144 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the market data socket talks to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { createMarketDataSocket } = require('../src/socket.js');
+const indicators = require('../src/indicators.js');
+const { handleComputeIndicators } = require('../src/tools.js');
+
+const bar = (minute, high, low, close, volume = 100) => ({
+  timestamp: new Date(Date.UTC(2025, 9, 1, 13, minute)).toISOString(),
+  open: close, high, low, close, volume,
+  upVolume: volume, downVolume: 0, bidVolume: 0, offerVolume: 0, ticks: 1
+});
+
+describe('Indicator math', () => {
+  it('should parse indicator specs with default and given parameters', () => {
+    expect(indicators.parseIndicator('rsi')).toEqual({ name: 'RSI', params: [14], label: 'RSI(14)' });
+    expect(indicators.parseIndicator('MACD(5, 35)')).toEqual({ name: 'MACD', params: [5, 35, 9], label: 'MACD(5,35,9)' });
+    expect(indicators.parseIndicator('BB(20,2.5)').label).toBe('BB(20,2.5)');
+    expect(indicators.parseIndicator('VWAP').label).toBe('VWAP');
+  });
+
+  it('should reject unknown indicators and bad parameters', () => {
+    expect(() => indicators.parseIndicator('STOCH')).toThrow('Unsupported indicator: STOCH. Use one of SMA, EMA, RSI, MACD, ATR, BB, VWAP');
+    expect(() => indicators.parseIndicator('SMA(2.5)')).toThrow('SMA parameters must be positive whole numbers');
+    expect(() => indicators.parseIndicator('BB(20,-1)')).toThrow('BB parameters must be positive numbers');
+    expect(() => indicators.parseIndicator('EMA(10,20)')).toThrow('EMA takes at most 1 parameters');
+    expect(() => indicators.parseIndicator('MACD(26,12)')).toThrow('MACD fast period must be shorter than its slow period');
+  });
+
+  it('should compute simple and exponential moving averages', () => {
+    expect(indicators.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    expect(indicators.ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    const smoothed = indicators.ema([2, 4, 6, 3], 2);
+    expect(smoothed.slice(0, 3)).toEqual([null, 3, 5]);
+    expect(smoothed[3]).toBeCloseTo(11 / 3);
+  });
+
+  it('should compute RSI with Wilder smoothing', () => {
+    expect(indicators.rsi([1, 2, 1, 2, 1], 2)).toEqual([null, null, 50, 75, 37.5]);
+    expect(indicators.rsi([1, 2, 3, 4], 2).slice(-1)).toEqual([100]);
+  });
+
+  it('should compute MACD, its signal and histogram', () => {
+    const values = indicators.macd([1, 2, 3, 4, 5, 6], 2, 3, 2);
+
+    expect(values[1]).toEqual({ macd: null, signal: null, histogram: null });
+    expect(values[2]).toEqual({ macd: 0.5, signal: null, histogram: null });
+    expect(values[5]).toEqual({ macd: 0.5, signal: 0.5, histogram: 0 });
+  });
+
+  it('should compute ATR from true ranges including gaps', () => {
+    const bars = [bar(0, 10, 8, 9), bar(1, 12, 11, 11.5), bar(2, 11, 10, 10.5)];
+
+    // True ranges are 2, 3 (gap up from 9) and 1.5 (down to 10 from 11.5)
+    expect(indicators.atr(bars, 2)).toEqual([null, 2.5, 2]);
+  });
+
+  it('should compute Bollinger Bands and VWAP', () => {
+    const [band] = indicators.bollingerBands([1, 2, 3], 3, 2).slice(-1);
+    expect(band.middle).toBe(2);
+    expect(band.upper).toBeCloseTo(2 + 2 * Math.sqrt(2 / 3));
+    expect(band.lower).toBeCloseTo(2 - 2 * Math.sqrt(2 / 3));
+
+    expect(indicators.vwap([bar(0, 11, 9, 10, 0), bar(1, 12, 10, 11, 100), bar(2, 15, 13, 14, 300)])).toEqual([null, 11, 13.25]);
+  });
+
+  it('should report the latest value, and the series after the warm-up when asked', () => {
+    const bars = [1, 2, 3, 4, 5].map((close, minute) => bar(minute, close, close, close));
+
+    const results = indicators.computeIndicators(bars, [indicators.parseIndicator('SMA(3)'), indicators.parseIndicator('SMA(10)')], true);
+
+    expect(results['SMA(3)'].latest).toEqual({ timestamp: bars[4].timestamp, value: 4 });
+    expect(results['SMA(3)'].series.map(point => point.value)).toEqual([2, 3, 4]);
+    expect(results['SMA(10)']).toEqual({ latest: null, series: [] });
+    expect(indicators.computeIndicators(bars, [indicators.parseIndicator('SMA(3)')])['SMA(3)']).not.toHaveProperty('series');
+  });
+});
+
+describe('compute_indicators', () => {
+  let mock;
+  let sendSpy;
+
+  const call = args => handleComputeIndicators({ params: { name: 'compute_indicators', arguments: args } });
+  const parse = result => {
+    const text = result.content[0].text;
+    return JSON.parse(text.slice(text.indexOf('\n') + 1));
+  };
+
+  beforeEach(async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+    global.marketDataSocket = await createMarketDataSocket(0);
+    sendSpy = jest.spyOn(global.marketDataSocket, 'send');
+  });
+
+  afterEach(async () => {
+    global.marketDataSocket.close();
+    delete global.marketDataSocket;
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  it('should compute every indicator over the default number of bars', async () => {
+    const result = await call({ symbol: 'ESZ5', timeframe: '5min' });
+
+    expect(result.content[0].text).toMatch(/^Indicators for ESZ5 over 300 5min bars:/);
+    const data = parse(result);
+    expect(Object.keys(data.indicators)).toEqual(['SMA(20)', 'EMA(20)', 'RSI(14)', 'MACD(12,26,9)', 'ATR(14)', 'BB(20,2)', 'VWAP']);
+    expect(data.indicators['RSI(14)'].latest).toEqual({ timestamp: data.to, value: expect.any(Number) });
+    expect(data.indicators['MACD(12,26,9)'].latest).toEqual(expect.objectContaining({ macd: expect.any(Number), signal: expect.any(Number), histogram: expect.any(Number) }));
+    expect(data.indicators['BB(20,2)'].latest.upper).toBeGreaterThan(data.indicators['BB(20,2)'].latest.lower);
+    expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'md/getchart',
+      body: expect.objectContaining({ timeRange: expect.objectContaining({ asMuchAsElements: 300 }) })
+    }));
+  });
+
+  it('should return full series for the requested indicators over a date range', async () => {
+    const data = parse(await call({
+      symbol: 'ESZ5',
+      timeframe: '1min',
+      asFrom: '2025-10-01T13:30:00Z',
+      asTo: '2025-10-01T15:30:00Z',
+      indicators: ['RSI', 'SMA(50)'],
+      includeSeries: true
+    }));
+
+    expect(data.bars).toBe(121);
+    expect(Object.keys(data.indicators)).toEqual(['RSI(14)', 'SMA(50)']);
+    expect(data.indicators['RSI(14)'].series).toHaveLength(121 - 14);
+    expect(data.indicators['SMA(50)'].series[0].timestamp).toBe('2025-10-01T14:19:00.000Z');
+  });
+
+  it('should validate the request before loading bars', async () => {
+    await expect(call({ timeframe: '1min' })).rejects.toThrow('Symbol is required');
+    await expect(call({ symbol: 'ESZ5', timeframe: '1min', indicators: [] })).rejects.toThrow('indicators must be a non-empty list');
+    await expect(call({ symbol: 'ESZ5', timeframe: '1min', indicators: ['ADX'] })).rejects.toThrow('Unsupported indicator: ADX');
+    expect(sendSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the market data socket talks to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { createMarketDataSocket } = require('../src/socket.js');
+const marketData = require('../src/market-data.js');
+const { handleGetMarketData } = require('../src/tools.js');
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Market data cache', () => {
+  let mock;
+  let sendSpy;
+  let ticker;
+
+  const sentUrls = url => sendSpy.mock.calls.filter(([options]) => options.url === url).length;
+
+  // Keep pushing quotes until the test stops it, so a new subscription always catches one
+  const tickQuotes = (price = 5000) => {
+    ticker = setInterval(() => mock.pushQuote('ESZ5', { Bid: { price }, Offer: { price: price + 0.25 } }), 20);
+  };
+
+  beforeEach(async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+    global.marketDataSocket = await createMarketDataSocket(0);
+    sendSpy = jest.spyOn(global.marketDataSocket, 'send');
+  });
+
+  afterEach(async () => {
+    clearInterval(ticker);
+    await marketData.clearMarketDataCache();
+    global.marketDataSocket.close();
+    delete global.marketDataSocket;
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+    delete process.env.TRADOVATE_MARKET_DATA_MAX_AGE_MS;
+    delete process.env.TRADOVATE_MARKET_DATA_IDLE_MS;
+  });
+
+  it('should share one socket subscription between references and unsubscribe after the last release', async () => {
+    await marketData.acquireMarketData('quote', 'ESZ5');
+    await marketData.acquireMarketData('quote', 'ESZ5');
+
+    expect(sentUrls('md/subscribequote')).toBe(1);
+    expect(marketData.getMarketDataSubscriptions()).toEqual([{ kind: 'quote', symbol: 'ESZ5', refCount: 2, updatedAt: null, ageMs: null }]);
+
+    await marketData.releaseMarketData('quote', 'ESZ5');
+    expect(sentUrls('md/unsubscribequote')).toBe(0);
+
+    await marketData.releaseMarketData('quote', 'ESZ5');
+    expect(sentUrls('md/unsubscribequote')).toBe(1);
+    expect(marketData.getMarketDataSubscriptions()).toEqual([]);
+  });
+
+  it('should report every update to the listeners', async () => {
+    const updates = [];
+    const removeListener = marketData.addMarketDataListener((kind, symbol, quote) => updates.push([kind, symbol, quote.entries.Bid.price]));
+    await marketData.acquireMarketData('quote', 'ESZ5');
+
+    mock.pushQuote('ESZ5', { Bid: { price: 5000 } });
+    mock.pushQuote('ESZ5', { Bid: { price: 5000.5 } });
+    await waitFor(() => updates.length === 2);
+    removeListener();
+
+    expect(updates).toEqual([['quote', 'ESZ5', 5000], ['quote', 'ESZ5', 5000.5]]);
+    expect(marketData.getCachedMarketData('quote', 'ESZ5')).toEqual({
+      data: expect.objectContaining({ contractId: 1001, entries: { Bid: { price: 5000.5 } } }),
+      updatedAt: expect.any(String),
+      ageMs: expect.any(Number),
+      stale: false
+    });
+    await marketData.releaseMarketData('quote', 'ESZ5');
+  });
+
+  it('should subscribe on a miss and serve later reads from the cache', async () => {
+    tickQuotes();
+
+    const first = await marketData.readMarketData('quote', 'ESZ5');
+    const second = await marketData.readMarketData('quote', 'ESZ5');
+
+    expect(first.data.entries.Bid).toEqual({ price: 5000 });
+    expect(second.stale).toBe(false);
+    expect(sentUrls('md/subscribequote')).toBe(1);
+    expect(marketData.getMarketDataSubscriptions()).toEqual([expect.objectContaining({ kind: 'quote', symbol: 'ESZ5', refCount: 1 })]);
+  });
+
+  it('should cache DOM updates separately from quotes', async () => {
+    ticker = setInterval(() => mock.pushDom('ESZ5', { bids: [{ price: 5000, size: 10 }], offers: [{ price: 5000.25, size: 8 }] }), 20);
+
+    const dom = await marketData.readMarketData('dom', 'ESZ5');
+
+    expect(dom.data).toEqual(expect.objectContaining({ contractId: 1001, bids: [{ price: 5000, size: 10 }] }));
+    expect(sentUrls('md/subscribedom')).toBe(1);
+    expect(marketData.getCachedMarketData('quote', 'ESZ5')).toBeNull();
+  });
+
+  it('should mark old data stale and wait for a newer update', async () => {
+    process.env.TRADOVATE_MARKET_DATA_MAX_AGE_MS = '30';
+    mock.data.quotes = {};
+    await marketData.acquireMarketData('quote', 'ESZ5');
+    mock.pushQuote('ESZ5', { Bid: { price: 5000 } });
+    await waitFor(() => marketData.getCachedMarketData('quote', 'ESZ5')?.stale === true);
+
+    tickQuotes(5001);
+    const read = await marketData.readMarketData('quote', 'ESZ5');
+
+    expect(read).toEqual(expect.objectContaining({ stale: false, data: expect.objectContaining({ entries: expect.objectContaining({ Bid: { price: 5001 } }) }) }));
+    await marketData.releaseMarketData('quote', 'ESZ5');
+  });
+
+  it('should return stale data rather than fail when the socket is down', async () => {
+    await marketData.acquireMarketData('quote', 'ESZ5');
+    mock.pushQuote('ESZ5', { Bid: { price: 5000 } });
+    await waitFor(() => marketData.getCachedMarketData('quote', 'ESZ5') !== null);
+    global.marketDataSocket.close();
+
+    const read = await marketData.readMarketData('quote', 'ESZ5', 50);
+
+    expect(read).toEqual(expect.objectContaining({ stale: true, data: expect.objectContaining({ entries: { Bid: { price: 5000 } } }) }));
+    await marketData.releaseMarketData('quote', 'ESZ5');
+  });
+
+  it('should release the cached subscription once it goes unread', async () => {
+    process.env.TRADOVATE_MARKET_DATA_IDLE_MS = '50';
+    tickQuotes();
+
+    await marketData.readMarketData('quote', 'ESZ5');
+    await waitFor(() => sentUrls('md/unsubscribequote') === 1);
+
+    expect(marketData.getMarketDataSubscriptions()).toEqual([]);
+  });
+
+  it('should answer repeated get_market_data calls from one subscription', async () => {
+    tickQuotes();
+    const request = { params: { name: 'get_market_data', arguments: { symbol: 'ESZ5', dataType: 'Quote' } } };
+
+    await handleGetMarketData(request);
+    const result = await handleGetMarketData(request);
+
+    expect(result.content[0].text).toMatch(/^Market data for ESZ5 \(Quote\) \[real-time, updated \d{4}-/);
+    expect(sentUrls('md/subscribequote')).toBe(1);
+  });
+
+  it('should refuse to subscribe without a connected market data socket', async () => {
+    global.marketDataSocket.close();
+
+    await expect(marketData.readMarketData('quote', 'ESZ5')).rejects.toThrow('Market data socket is not connected');
+    expect(marketData.getMarketDataSubscriptions()).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, expect, it, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const axios = require('axios');
+
+// Import the modules we need to test - nothing is mocked, everything talks to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const auth = require('../src/auth.js');
+const { createMarketDataSocket, createTradingSocket } = require('../src/socket.js');
+const {
+  handleGetContractDetails,
+  handleListPositions,
+  handleGetAccountSummary,
+  handlePlaceOrder,
+  handleConfirmOrder,
+  handleModifyOrder,
+  handleCancelOrder
+} = require('../src/tools.js');
+
+const call = (handler, name, args) => handler({ params: { name, arguments: args } });
+const parseResult = result => JSON.parse(result.content[0].text.slice(result.content[0].text.indexOf('\n') + 1));
+
+describe('MockTradovateServer', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = new MockTradovateServer({ credentials: { name: 'mock_user', password: 'mock_password' }, heartbeatMs: 100 });
+    mock.data.positions.push({ id: 1, accountId: 1, contractId: 1001, netPos: 2, netPrice: 5000, realizedPnl: 0, openPnl: 250 });
+    await mock.start();
+
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_USERNAME = 'mock_user';
+    process.env.TRADOVATE_PASSWORD = 'mock_password';
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+  });
+
+  afterEach(() => {
+    delete process.env.TRADOVATE_CONFIRM_ORDERS;
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  it('should point the REST and market data URLs at TRADOVATE_BASE_URL', () => {
+    expect(auth.getTradovateApiUrl()).toBe(`${mock.url}/v1`);
+    expect(auth.getTradovateMdApiUrl()).toBe(`${mock.url.replace('http', 'ws')}/v1/websocket`);
+  });
+
+  it('should issue access tokens and reject bad credentials', async () => {
+    const good = await axios.post(`${mock.url}/v1/auth/accessTokenRequest`, { name: 'mock_user', password: 'mock_password' });
+    expect(good.data.accessToken).toEqual(expect.any(String));
+
+    const renewed = await axios.get(`${mock.url}/v1/auth/renewAccessToken`, { headers: { Authorization: `Bearer ${good.data.accessToken}` } });
+    expect(renewed.data.accessToken).not.toBe(good.data.accessToken);
+
+    const bad = await axios.post(`${mock.url}/v1/auth/accessTokenRequest`, { name: 'mock_user', password: 'wrong' });
+    expect(bad.data.errorText).toContain('Incorrect username or password');
+  });
+
+  it('should refuse requests without a valid token', async () => {
+    await expect(axios.get(`${mock.url}/v1/account/list`)).rejects.toMatchObject({ response: { status: 401 } });
+  });
+
+  it('should serve contracts, positions and accounts through tradovateRequest', async () => {
+    expect(await auth.tradovateRequest('GET', 'account/list')).toEqual([expect.objectContaining({ id: 1, name: 'MOCK0001' })]);
+    expect(await auth.tradovateRequest('GET', 'contract/find?name=ESZ5')).toEqual(expect.objectContaining({ id: 1001 }));
+    await expect(auth.tradovateRequest('GET', 'no/such-endpoint')).rejects.toThrow('Tradovate API error (404)');
+  });
+
+  it('should run tool handlers end to end', async () => {
+    const contract = await call(handleGetContractDetails, 'get_contract_details', { symbol: 'ESZ5' });
+    expect(contract.content[0].text).toContain('"name": "ESZ5"');
+
+    const positions = await call(handleListPositions, 'list_positions', { accountId: '1' });
+    expect(positions.content[0].text).toContain('"netPos": 2');
+
+    const summary = await call(handleGetAccountSummary, 'get_account_summary', {});
+    expect(summary.content[0].text).toContain('"balance": 50000');
+  });
+
+  it('should place and cancel orders', async () => {
+    const { orderId } = await auth.tradovateRequest('POST', 'order/placeorder', {
+      accountId: 1, action: 'Buy', symbol: 'ESZ5', orderQty: 1, orderType: 'Limit', price: 4990, timeInForce: 'Day'
+    });
+    expect(mock.data.orders.find(o => o.id === orderId)).toEqual(expect.objectContaining({ ordStatus: 'Working', contractId: 1001 }));
+
+    const result = await call(handleCancelOrder, 'cancel_order', { orderId: String(orderId) });
+
+    expect(result.content[0].text).toContain('Order canceled successfully');
+    expect(mock.data.orders.find(o => o.id === orderId).ordStatus).toBe('Canceled');
+  });
+
+  it('should place and modify orders through the tools', async () => {
+    const placed = await call(handlePlaceOrder, 'place_order', {
+      symbol: 'ESZ5', action: 'Buy', orderType: 'Limit', quantity: 1, price: 4990, accountId: '1'
+    });
+
+    expect(placed.content[0].text).toContain('Order placed successfully (time in force: Day)');
+    const { id } = parseResult(placed);
+    expect(mock.data.orders.find(o => o.id === id)).toEqual(expect.objectContaining({ ordStatus: 'Working', price: 4990, contractId: 1001 }));
+
+    const modified = await call(handleModifyOrder, 'modify_order', { orderId: String(id), price: 4985, quantity: 2 });
+
+    expect(modified.content[0].text).toContain('Order modified successfully');
+    expect(mock.data.orders.find(o => o.id === id)).toEqual(expect.objectContaining({ price: 4985, orderQty: 2 }));
+  });
+
+  it('should hold orders until confirm_order sends them', async () => {
+    process.env.TRADOVATE_CONFIRM_ORDERS = 'true';
+    const ordersBefore = mock.data.orders.length;
+
+    const preview = await call(handlePlaceOrder, 'place_order', {
+      symbol: 'ESZ5', action: 'Sell', orderType: 'Limit', quantity: 1, price: 5010, accountId: '1'
+    });
+    expect(preview.content[0].text).toContain('Order preview (not sent');
+    expect(mock.data.orders).toHaveLength(ordersBefore);
+
+    const token = preview.content[0].text.match(/token ([0-9a-f]+)/)[1];
+    const confirmed = await call(handleConfirmOrder, 'confirm_order', { token });
+
+    expect(confirmed.content[0].text).toContain('Order placed successfully');
+    const { id } = parseResult(confirmed);
+    expect(mock.data.orders).toHaveLength(ordersBefore + 1);
+    expect(mock.data.orders.find(o => o.id === id)).toEqual(expect.objectContaining({ action: 'Sell', ordStatus: 'Working', price: 5010 }));
+  });
+
+  it('should authorize sockets, stream quotes and send heartbeats', async () => {
+    const socket = await createMarketDataSocket(0);
+    expect(socket.isConnected()).toBe(true);
+
+    const heartbeat = new Promise(resolve => socket.ws.on('message', data => data.toString() === 'h' && resolve()));
+    const quote = new Promise(resolve => {
+      socket.subscribe({ url: 'md/subscribequote', body: { symbol: 'ESZ5' }, subscription: resolve });
+    });
+    // Keep ticking until the subscription has caught a quote
+    const ticker = setInterval(() => mock.pushQuote('ESZ5', { Bid: { price: 5000, size: 10 }, Offer: { price: 5000.25, size: 12 } }), 20);
+
+    try {
+      expect(await quote).toEqual(expect.objectContaining({ contractId: 1001, entries: expect.objectContaining({ Bid: { price: 5000, size: 10 } }) }));
+      await heartbeat;
+    } finally {
+      clearInterval(ticker);
+      socket.close();
+    }
+  });
+
+  it('should answer requests sent over the trading socket', async () => {
+    const socket = await createTradingSocket(false, 0);
+
+    const response = await socket.send({ url: 'account/list' });
+
+    expect(response).toEqual(expect.objectContaining({ s: 200, d: [expect.objectContaining({ name: 'MOCK0001' })] }));
+    socket.close();
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const {
+  handlePlaceOrder,
+  handleModifyOrder,
+  handleCancelOrder,
+  handleLiquidatePosition,
+  handleListPositions,
+  handlePlaceBracketOrder,
+  handleSetPaperQuote,
+  handleGetServerStatus
+} = require('../src/tools.js');
+const { resetPaperTrading, setPaperQuote, paperRequest } = require('../src/paper.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const account = { id: 12345, name: 'DEMO12345' };
+const contract = { id: 10, name: 'ESZ4', productId: 7 };
+
+const routeRequests = () => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint) => {
+    const path = endpoint.split('?')[0];
+    if (path === 'contract/find' || path === 'contract/item') return contract;
+    if (path === 'product/item') return { id: 7, name: 'ES', valuePerPoint: 50 };
+    if (path === 'account/list') return [account];
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const call = (handler, name, args) => handler({ params: { name, arguments: args } });
+const placeOrder = (args) => call(handlePlaceOrder, 'place_order', { symbol: 'ESZ4', action: 'Buy', quantity: 1, ...args });
+const parseOrder = (result) => JSON.parse(result.content[0].text.slice(result.content[0].text.indexOf('\n') + 1));
+
+describe('Paper trading', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+    resetPaperTrading();
+    routeRequests();
+    process.env.TRADOVATE_PAPER_TRADING = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.TRADOVATE_PAPER_TRADING;
+    delete process.env.TRADOVATE_CONFIRM_ORDERS;
+  });
+
+  it('should never fall back to a simulated order when the API fails outside paper trading', async () => {
+    delete process.env.TRADOVATE_PAPER_TRADING;
+    auth.tradovateRequest.mockRejectedValue(new Error('API error'));
+
+    const result = await placeOrder({ orderType: 'Market' });
+
+    expect(result.content[0].text).toBe('Failed to place order: API error');
+  });
+
+  it('should fill a market buy at the ask without sending anything to the API', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+
+    const result = await placeOrder({ orderType: 'Market', quantity: 2 });
+
+    const order = parseOrder(result);
+    expect(order).toEqual(expect.objectContaining({ ordStatus: 'Filled', avgFillPrice: 5000.25, filledQty: 2, paper: true }));
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+
+    const positions = await paperRequest('GET', 'position/list');
+    expect(positions).toEqual([expect.objectContaining({ accountId: 12345, contractId: 10, netPos: 2, netPrice: 5000.25 })]);
+  });
+
+  it('should reject a market order when there is no quote', async () => {
+    const order = parseOrder(await placeOrder({ orderType: 'Market' }));
+
+    expect(order.ordStatus).toBe('Rejected');
+    expect(order.rejectReason).toContain('No quote available for ESZ4');
+  });
+
+  it('should rest a limit order until the market reaches it', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    const order = parseOrder(await placeOrder({ orderType: 'Limit', price: 4995 }));
+    expect(order.ordStatus).toBe('Working');
+
+    setPaperQuote('ESZ4', { bid: 4996, ask: 4996.25 });
+    expect((await paperRequest('GET', `order/find?id=${order.id}`)).ordStatus).toBe('Working');
+
+    setPaperQuote('ESZ4', { bid: 4994.75, ask: 4995 });
+    expect(await paperRequest('GET', `order/find?id=${order.id}`)).toEqual(expect.objectContaining({ ordStatus: 'Filled', avgFillPrice: 4995 }));
+  });
+
+  it('should trigger a sell stop when the bid trades through it', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    const order = parseOrder(await placeOrder({ action: 'Sell', orderType: 'Stop', stopPrice: 4990 }));
+    expect(order.ordStatus).toBe('Working');
+
+    setPaperQuote('ESZ4', { bid: 4989.5, ask: 4989.75 });
+
+    expect(await paperRequest('GET', `order/find?id=${order.id}`)).toEqual(expect.objectContaining({ ordStatus: 'Filled', avgFillPrice: 4989.5 }));
+  });
+
+  it('should only rest a stop limit as a limit once it is triggered', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    const order = parseOrder(await placeOrder({ orderType: 'StopLimit', stopPrice: 5005, price: 5006 }));
+
+    setPaperQuote('ESZ4', { bid: 5007, ask: 5007.25 });
+    const triggered = await paperRequest('GET', `order/find?id=${order.id}`);
+    expect(triggered).toEqual(expect.objectContaining({ ordStatus: 'Working', triggered: true }));
+
+    setPaperQuote('ESZ4', { bid: 5005.75, ask: 5006 });
+    expect((await paperRequest('GET', `order/find?id=${order.id}`)).avgFillPrice).toBe(5006);
+  });
+
+  it('should track realized and open PnL in dollars', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    await placeOrder({ orderType: 'Market', quantity: 2 });
+
+    setPaperQuote('ESZ4', { bid: 5010.25, ask: 5010.5, last: 5010.25 });
+    await placeOrder({ action: 'Sell', orderType: 'Market', quantity: 1 });
+
+    const [position] = await paperRequest('GET', 'position/list?accountId=12345');
+    expect(position).toEqual(expect.objectContaining({ netPos: 1, netPrice: 5000.25, realizedPnl: 500, openPnl: 500 }));
+
+    const snapshot = await paperRequest('POST', 'cashBalance/getCashBalanceSnapshot', { accountId: 12345 });
+    expect(snapshot).toEqual(expect.objectContaining({ cashBalance: 100500, realizedPnL: 500, openPnL: 500 }));
+  });
+
+  it('should open the other side at the fill price when an order flips the position', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    await placeOrder({ orderType: 'Market', quantity: 1 });
+    await placeOrder({ action: 'Sell', orderType: 'Market', quantity: 3 });
+
+    const [position] = await paperRequest('GET', 'position/list');
+    expect(position).toEqual(expect.objectContaining({ netPos: -2, netPrice: 5000, realizedPnl: -12.5 }));
+  });
+
+  it('should modify and cancel working paper orders', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    const order = parseOrder(await placeOrder({ orderType: 'Limit', price: 4990 }));
+
+    const modified = await call(handleModifyOrder, 'modify_order', { orderId: String(order.id), price: 4992 });
+    expect(modified.content[0].text).toContain('Order modified successfully');
+    expect((await paperRequest('GET', `order/find?id=${order.id}`)).price).toBe(4992);
+
+    const canceled = await call(handleCancelOrder, 'cancel_order', { orderId: String(order.id) });
+    expect(canceled.content[0].text).toContain('Order canceled successfully');
+    expect((await paperRequest('GET', `order/find?id=${order.id}`)).ordStatus).toBe('Canceled');
+
+    const again = await call(handleCancelOrder, 'cancel_order', { orderId: String(order.id) });
+    expect(again.content[0].text).toContain('Paper order 1 is Canceled, not Working');
+  });
+
+  it('should liquidate a paper position', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    await placeOrder({ orderType: 'Market', quantity: 2 });
+
+    const result = await call(handleLiquidatePosition, 'liquidate_position', { symbol: 'ESZ4' });
+
+    expect(result.content[0].text).toContain('Position liquidated successfully');
+    const listed = await call(handleListPositions, 'list_positions', {});
+    expect(listed.content[0].text).toContain('"netPos": 0');
+  });
+
+  it('should refuse order types the engine does not simulate', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+
+    const result = await call(handlePlaceBracketOrder, 'place_bracket_order', {
+      symbol: 'ESZ4', action: 'Buy', quantity: 1, orderType: 'Market', takeProfitPrice: 5010, stopLossPrice: 4990
+    });
+
+    expect(result.content[0].text).toContain('order/placeOSO is not supported in paper trading mode');
+  });
+
+  it('should skip order confirmation for paper orders', async () => {
+    process.env.TRADOVATE_CONFIRM_ORDERS = 'true';
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+
+    const result = await placeOrder({ orderType: 'Market' });
+
+    expect(result.content[0].text).toContain('Order placed successfully');
+  });
+
+  it('should fill working orders when set_paper_quote moves the market', async () => {
+    setPaperQuote('ESZ4', { bid: 5000, ask: 5000.25 });
+    const order = parseOrder(await placeOrder({ orderType: 'Limit', price: 4990 }));
+
+    const result = await call(handleSetPaperQuote, 'set_paper_quote', { symbol: 'ESZ4', bid: 4989.75, ask: 4990 });
+
+    expect(result.content[0].text).toContain('Paper quote set for ESZ4');
+    expect((await paperRequest('GET', `order/find?id=${order.id}`)).ordStatus).toBe('Filled');
+  });
+
+  it('should validate set_paper_quote arguments', async () => {
+    await expect(call(handleSetPaperQuote, 'set_paper_quote', { symbol: 'ESZ4' }))
+      .rejects.toThrow('At least one of bid, ask or last is required');
+    await expect(call(handleSetPaperQuote, 'set_paper_quote', { symbol: 'ESZ4', bid: 5001, ask: 5000 }))
+      .rejects.toThrow('Bid cannot be above ask');
+  });
+
+  it('should report paper mode in get_server_status', async () => {
+    const result = await call(handleGetServerStatus, 'get_server_status', {});
+
+    expect(result.content[0].text).toContain('"mode": "paper"');
+    expect(result.content[0].text).toContain('"paperTrading": true');
+  });
+});
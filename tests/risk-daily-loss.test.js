@@ -0,0 +1,189 @@
+const { describe, expect, it, beforeEach, afterEach, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { checkOrderRisk, getTradingDay, setLockoutListener, monitorDailyLoss } = require('../src/risk.js');
+const { handleGetRiskStatus, handlePlaceOrder, flattenLockedOutAccount } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradovate-daily-loss-'));
+let configCount = 0;
+
+const writeConfig = (config) => {
+  const file = path.join(tmpDir, `risk-${configCount++}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  process.env.TRADOVATE_RISK_CONFIG = file;
+};
+
+// Lockouts live for the whole module, so every test trades in its own account
+const routeRequests = (accountId, pnl, positions = []) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint) => {
+    if (endpoint === 'account/list') return [{ id: accountId, name: `ACCT${accountId}` }];
+    if (endpoint.startsWith('position/list')) return positions;
+    if (endpoint === 'cashBalance/getCashBalanceSnapshot') return pnl();
+    if (endpoint === 'contract/item?id=10' || endpoint === 'contract/find?name=ESZ4') return { id: 10, name: 'ESZ4' };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const buy = (accountId, quantity = 1) => checkOrderRisk({ accountId, contractId: 10, action: 'Buy', quantity, price: 5000 });
+
+describe('Daily loss limit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+    setLockoutListener(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    delete process.env.TRADOVATE_RISK_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should roll the trading day over at 17:00 Chicago time', () => {
+    expect(getTradingDay(new Date('2024-11-14T22:59:00Z'))).toBe('2024-11-14');
+    expect(getTradingDay(new Date('2024-11-14T23:00:00Z'))).toBe('2024-11-15');
+  });
+
+  it('should lock the account out once the loss is breached and keep it locked after PnL recovers', async () => {
+    writeConfig({ maxDailyLoss: 1000 });
+    let pnl = { realizedPnL: -600, openPnL: -300 };
+    routeRequests(1, () => pnl);
+
+    expect(await buy(1)).toBeNull();
+
+    pnl = { realizedPnL: -600, openPnL: -450 };
+    expect(await buy(1)).toMatch(/^Order rejected by risk check \(maxDailyLoss\): account 1 is locked out for the rest of trading day \d{4}-\d{2}-\d{2} after daily PnL of -1050 breached the 1000 limit$/);
+
+    pnl = { realizedPnL: 200, openPnL: 0 };
+    expect(await buy(1)).toContain('(maxDailyLoss)');
+  });
+
+  it('should fall back to position PnL when the snapshot has none', async () => {
+    writeConfig({ maxDailyLoss: 500 });
+    routeRequests(2, () => ({ cashBalance: 10000 }), [
+      { accountId: 2, contractId: 10, netPos: 1, realizedPnl: -300, openPnl: -250 },
+      { accountId: 99, contractId: 10, netPos: 1, realizedPnl: -5000, openPnl: 0 }
+    ]);
+
+    expect(await buy(2)).toContain('after daily PnL of -550');
+  });
+
+  it('should still allow orders that reduce a position while locked out', async () => {
+    writeConfig({ maxDailyLoss: 100 });
+    routeRequests(3, () => ({ realizedPnL: -500, openPnL: 0 }), [{ accountId: 3, contractId: 10, netPos: 2 }]);
+
+    expect(await buy(3)).toContain('(maxDailyLoss)');
+    expect(await checkOrderRisk({ accountId: 3, contractId: 10, action: 'Sell', quantity: 2 })).toBeNull();
+  });
+
+  it('should flatten the account once when flattenOnDailyLoss is set', async () => {
+    writeConfig({ maxDailyLoss: 100, flattenOnDailyLoss: true });
+    routeRequests(4, () => ({ realizedPnL: -500, openPnL: 0 }));
+    const listener = jest.fn().mockResolvedValue(undefined);
+    setLockoutListener(listener);
+
+    await monitorDailyLoss();
+    await buy(4);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(4);
+  });
+
+  it('should record the account as not flattened when liquidation is rejected', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    writeConfig({ maxDailyLoss: 100, flattenOnDailyLoss: true });
+    routeRequests(8, () => ({ realizedPnL: -500, openPnL: 0 }), [{ accountId: 8, contractId: 10, netPos: 1 }]);
+    const route = auth.tradovateRequest.getMockImplementation();
+    auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+      if (endpoint === 'order/list') return [];
+      if (endpoint === 'order/liquidateposition') throw new Error('Liquidation rejected');
+      return route(method, endpoint, body);
+    });
+    setLockoutListener(flattenLockedOutAccount);
+
+    // The flatten polls the still-open position until its timeout runs out
+    let settled = false;
+    const rejection = buy(8).finally(() => { settled = true; });
+    while (!settled) {
+      await jest.advanceTimersByTimeAsync(1000);
+    }
+
+    expect(await rejection).toContain('(maxDailyLoss)');
+    const result = await handleGetRiskStatus({ params: { name: 'get_risk_status', arguments: {} } });
+    const text = result.content[0].text;
+    expect(JSON.parse(text.slice(text.indexOf('\n') + 1)).lockout).toEqual(expect.objectContaining({ flattened: false }));
+  });
+
+  it('should report a breach found by a dry run without locking out or flattening the account', async () => {
+    writeConfig({ maxDailyLoss: 100, flattenOnDailyLoss: true });
+    routeRequests(6, () => ({ realizedPnL: -500, openPnL: 0 }));
+    const listener = jest.fn().mockResolvedValue(undefined);
+    setLockoutListener(listener);
+
+    const preview = await handlePlaceOrder({
+      params: { name: 'place_order', arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Limit', quantity: 1, price: 5000, dryRun: true } }
+    });
+
+    expect(preview.content[0].text).toContain('Dry run, nothing was sent');
+    expect(preview.content[0].text).toContain('(maxDailyLoss): account 6 is locked out');
+    expect(listener).not.toHaveBeenCalled();
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+
+    // The next real order is the one that records the lockout and flattens
+    expect(await buy(6)).toContain('(maxDailyLoss)');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should lift the lockout when the trading day rolls over', async () => {
+    jest.useFakeTimers({ now: new Date('2024-11-14T20:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    writeConfig({ maxDailyLoss: 100 });
+    let pnl = { realizedPnL: -500, openPnL: 0 };
+    routeRequests(5, () => pnl);
+
+    expect(await buy(5)).toContain('trading day 2024-11-14');
+
+    jest.setSystemTime(new Date('2024-11-14T23:30:00Z'));
+    pnl = { realizedPnL: 0, openPnL: 0 };
+    expect(await buy(5)).toBeNull();
+  });
+
+  describe('handleGetRiskStatus', () => {
+    it('should report limits, PnL and the lockout state', async () => {
+      writeConfig({ maxDailyLoss: 100, maxOrderQty: 5 });
+      routeRequests(6, () => ({ realizedPnL: -80, openPnL: -40 }));
+
+      const result = await handleGetRiskStatus({ params: { name: 'get_risk_status', arguments: {} } });
+
+      const text = result.content[0].text;
+      expect(text).toContain('Risk status for ACCT6 (LOCKED OUT)');
+      const status = JSON.parse(text.slice(text.indexOf('\n') + 1));
+      expect(status).toEqual(expect.objectContaining({
+        limits: { maxDailyLoss: 100, maxOrderQty: { DEFAULT: 5 } },
+        realizedPnl: -80,
+        openPnl: -40,
+        dailyPnl: -120,
+        lockedOut: true
+      }));
+    });
+
+    it('should say when no risk config is set', async () => {
+      delete process.env.TRADOVATE_RISK_CONFIG;
+      routeRequests(7, () => ({}));
+
+      const result = await handleGetRiskStatus({ params: { name: 'get_risk_status', arguments: {} } });
+
+      expect(result.content[0].text).toBe('No risk limits configured for account ACCT7 (TRADOVATE_RISK_CONFIG is not set)');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, expect, it, beforeEach, afterEach, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { checkSymbolPolicy, getContractRoot, parseRiskLimits } = require('../src/risk.js');
+const { handlePlaceOrder, handleLiquidatePosition, handleModifyOrder, handleConfirmOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradovate-symbols-'));
+let configCount = 0;
+
+const writeConfig = (config) => {
+  const file = path.join(tmpDir, `risk-${configCount++}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  process.env.TRADOVATE_RISK_CONFIG = file;
+};
+
+const routeModify = () => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint) => {
+    if (endpoint === 'order/find?id=30') return { id: 30, accountId: 12345, contractId: 20, action: 'Buy', orderType: 'Limit', orderQty: 1, price: 70 };
+    if (endpoint === 'contract/item?id=20') return { id: 20, name: 'CLZ4' };
+    if (endpoint === 'order/modifyOrder') return { commandId: 31 };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const modify = (args) => handleModifyOrder({ params: { name: 'modify_order', arguments: { orderId: '30', ...args } } });
+
+describe('Symbol policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+    delete process.env.TRADOVATE_RISK_CONFIG;
+  });
+
+  afterEach(() => {
+    delete process.env.TRADOVATE_CONFIRM_ORDERS;
+  });
+
+  afterAll(() => {
+    delete process.env.TRADOVATE_RISK_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should find the root of a contract name', () => {
+    expect(getContractRoot('ESZ4')).toBe('ES');
+    expect(getContractRoot('mesh25')).toBe('MES');
+    expect(getContractRoot('6EU5')).toBe('6E');
+    expect(getContractRoot('ES')).toBe('ES');
+  });
+
+  it('should validate symbol lists', () => {
+    expect(parseRiskLimits({ allowedSymbols: ['es', ' MES '] })).toEqual({ allowedSymbols: ['ES', 'MES'] });
+    expect(() => parseRiskLimits({ deniedSymbols: 'CL' })).toThrow('deniedSymbols must be a list of symbols, got "CL"');
+  });
+
+  it('should allow everything when no config is set', () => {
+    expect(checkSymbolPolicy('CLZ4')).toBeNull();
+  });
+
+  it('should only allow listed roots or contracts', () => {
+    writeConfig({ allowedSymbols: ['ES', 'MES', 'NQZ4'] });
+
+    expect(checkSymbolPolicy('ESZ4')).toBeNull();
+    expect(checkSymbolPolicy('MESH25')).toBeNull();
+    expect(checkSymbolPolicy('NQZ4')).toBeNull();
+    expect(checkSymbolPolicy('NQH5')).toBe('Symbol NQH5 rejected by trading policy: NQ is not on the allowed list (ES, MES, NQZ4)');
+  });
+
+  it('should let the denied list override the allowed list', () => {
+    writeConfig({ allowedSymbols: ['ES'], deniedSymbols: ['ESH5', 'CL'] });
+
+    expect(checkSymbolPolicy('ESZ4')).toBeNull();
+    expect(checkSymbolPolicy('ESH5')).toBe('Symbol ESH5 rejected by trading policy: ES is on the denied list');
+    expect(checkSymbolPolicy('CLZ4')).toBe('Symbol CLZ4 rejected by trading policy: CL is on the denied list');
+  });
+
+  it('should reject the order in place_order after resolving the contract', async () => {
+    writeConfig({ allowedSymbols: ['ES', 'MES'] });
+    auth.tradovateRequest.mockResolvedValueOnce({ id: 20, name: 'CLZ4' });
+
+    const result = await handlePlaceOrder({
+      params: { name: 'place_order', arguments: { symbol: 'CLZ4', action: 'Buy', orderType: 'Market', quantity: 1 } }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Symbol CLZ4 rejected by trading policy: CL is not on the allowed list (ES, MES)');
+    expect(auth.tradovateRequest).toHaveBeenCalledTimes(1);
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('GET', 'contract/find?name=CLZ4');
+  });
+
+  it('should reject modifying a working order on a denied contract', async () => {
+    writeConfig({ deniedSymbols: ['CL'] });
+    routeModify();
+
+    const result = await modify({ quantity: 5 });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Symbol CLZ4 rejected by trading policy: CL is on the denied list');
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/modifyOrder', expect.anything());
+  });
+
+  it('should check a held modification against the contract it resolved on confirmation', async () => {
+    process.env.TRADOVATE_CONFIRM_ORDERS = 'true';
+    routeModify();
+    const preview = await modify({ price: 71 });
+
+    writeConfig({ deniedSymbols: ['CL'] });
+    const result = await handleConfirmOrder({
+      params: { name: 'confirm_order', arguments: { token: preview.content[0].text.match(/token ([0-9a-f]+)/)[1] } }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Symbol CLZ4 rejected by trading policy: CL is on the denied list');
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/modifyOrder', expect.anything());
+  });
+
+  it('should still let a denied position be liquidated', async () => {
+    writeConfig({ deniedSymbols: ['CL'] });
+    auth.tradovateRequest.mockImplementation(async (method, endpoint) => {
+      if (endpoint === 'contract/find?name=CLZ4') return { id: 20, name: 'CLZ4' };
+      if (endpoint === 'position/list') return [{ id: 1, accountId: 12345, contractId: 20, netPos: 2 }];
+      if (endpoint === 'order/liquidateposition') return { orderId: 501 };
+      throw new Error(`Unexpected request ${method} ${endpoint}`);
+    });
+
+    const result = await handleLiquidatePosition({ params: { name: 'liquidate_position', arguments: { symbol: 'CLZ4' } } });
+
+    expect(result.content[0].text).toContain('Position liquidated successfully');
+  });
+});
@@ -0,0 +1,210 @@
+const { describe, expect, it, beforeEach, afterEach, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { parseRiskLimits, loadRiskLimits, checkOrderRisk } = require('../src/risk.js');
+const { handlePlaceOrder } = require('../src/tools.js');
+const { clearMarketDataCache } = require('../src/market-data.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradovate-risk-'));
+let configCount = 0;
+
+// Each config gets its own path so the loader's per-path cache never hides a change
+const writeConfig = (contents, extension = '.json') => {
+  const file = path.join(tmpDir, `risk-${configCount++}${extension}`);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  process.env.TRADOVATE_RISK_CONFIG = file;
+  return file;
+};
+
+const contract = { id: 10, name: 'ESZ4', productId: 7 };
+
+const routeRequests = (positions = []) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint) => {
+    if (endpoint === 'position/list') return positions;
+    if (endpoint === 'contract/item?id=10') return contract;
+    if (endpoint === 'product/item?id=7') return { id: 7, name: 'ES', valuePerPoint: 50 };
+    if (endpoint === 'contract/find?name=ESZ4') return contract;
+    if (endpoint === 'account/list') return [{ id: 12345, name: 'DEMO12345' }];
+    if (endpoint === 'order/placeorder') return { id: 900 };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+// A market data socket that answers every quote subscription with one quote
+const quoteSocket = (entries) => ({
+  isConnected: () => true,
+  subscribe: jest.fn(async ({ subscription }) => {
+    setTimeout(() => subscription({ contractId: 10, entries }), 10);
+    return () => undefined;
+  })
+});
+
+const order = (overrides = {}) => ({ accountId: 12345, contractId: 10, action: 'Buy', quantity: 1, price: 5000, ...overrides });
+
+describe('Risk engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+    delete process.env.TRADOVATE_RISK_CONFIG;
+  });
+
+  afterEach(async () => {
+    await clearMarketDataCache();
+    delete global.marketDataSocket;
+  });
+
+  afterAll(() => {
+    delete process.env.TRADOVATE_RISK_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('parseRiskLimits', () => {
+    it('should normalize per-symbol maps and bare defaults', () => {
+      expect(parseRiskLimits({ maxOrderQty: { default: 5, mes: 20 }, maxNetPosition: 10, maxOpenContracts: 20 })).toEqual({
+        maxOrderQty: { DEFAULT: 5, MES: 20 },
+        maxNetPosition: { DEFAULT: 10 },
+        maxOpenContracts: 20
+      });
+    });
+
+    it('should reject unknown limits and non-positive values', () => {
+      expect(() => parseRiskLimits({ maxLoss: 5 })).toThrow('Unknown risk limit: maxLoss');
+      expect(() => parseRiskLimits({ maxOrderQty: { ES: 0 } })).toThrow('maxOrderQty.ES must be a positive number, got 0');
+      expect(() => parseRiskLimits({ maxNotional: '100' })).toThrow('maxNotional must be a positive number');
+      expect(() => parseRiskLimits([])).toThrow('Risk config must be an object');
+    });
+  });
+
+  describe('loadRiskLimits', () => {
+    it('should read YAML files', () => {
+      const file = writeConfig('maxOrderQty:\n  DEFAULT: 3\nmaxNotional: 250000\n', '.yaml');
+
+      expect(loadRiskLimits(file)).toEqual({ maxOrderQty: { DEFAULT: 3 }, maxNotional: 250000 });
+    });
+  });
+
+  describe('checkOrderRisk', () => {
+    it('should allow everything without touching the API when no config is set', async () => {
+      expect(await checkOrderRisk(order({ quantity: 500 }))).toBeNull();
+      expect(auth.tradovateRequest).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the per-product max order quantity', async () => {
+      writeConfig({ maxOrderQty: { DEFAULT: 100, ES: 5 } });
+      routeRequests();
+
+      expect(await checkOrderRisk(order({ quantity: 5 }))).toBeNull();
+      expect(await checkOrderRisk(order({ quantity: 500 }))).toBe(
+        'Order rejected by risk check (maxOrderQty): max order quantity for ES is 5, order is for 500'
+      );
+    });
+
+    it('should enforce the max net position using the current position', async () => {
+      writeConfig({ maxNetPosition: { DEFAULT: 10, ESZ4: 4 } });
+      routeRequests([{ accountId: 12345, contractId: 10, netPos: 3 }]);
+
+      expect(await checkOrderRisk(order({ quantity: 1 }))).toBeNull();
+      expect(await checkOrderRisk(order({ quantity: 2 }))).toBe(
+        'Order rejected by risk check (maxNetPosition): max net position for ESZ4 is 4, this order would take it from 3 to 5'
+      );
+    });
+
+    it('should enforce max open contracts across the account', async () => {
+      writeConfig({ maxOpenContracts: 6 });
+      routeRequests([
+        { accountId: 12345, contractId: 10, netPos: 2 },
+        { accountId: 12345, contractId: 20, netPos: -3 },
+        { accountId: 99999, contractId: 20, netPos: 50 }
+      ]);
+
+      expect(await checkOrderRisk(order({ quantity: 1 }))).toBeNull();
+      expect(await checkOrderRisk(order({ quantity: 2 }))).toBe(
+        'Order rejected by risk check (maxOpenContracts): max open contracts for account 12345 is 6, this order would take it to 7'
+      );
+    });
+
+    it('should enforce max notional using the product point value', async () => {
+      writeConfig({ maxNotional: 500000 });
+      routeRequests();
+
+      expect(await checkOrderRisk(order({ quantity: 2, price: 5000 }))).toBeNull();
+      expect(await checkOrderRisk(order({ quantity: 3, price: 5000 }))).toBe(
+        'Order rejected by risk check (maxNotional): max notional is 500000, order is for 750000'
+      );
+    });
+
+    it('should price market orders from the quote under a notional cap', async () => {
+      writeConfig({ maxNotional: 500000 });
+      routeRequests();
+      global.marketDataSocket = quoteSocket({ Bid: { price: 4999.75 }, Offer: { price: 5000 }, Trade: { price: 5000 } });
+
+      expect(await checkOrderRisk(order({ quantity: 2, price: undefined }))).toBeNull();
+      expect(await checkOrderRisk(order({ quantity: 3, price: undefined }))).toBe(
+        'Order rejected by risk check (maxNotional): max notional is 500000, order is for 750000'
+      );
+      expect(await checkOrderRisk(order({ action: 'Sell', quantity: 3, price: undefined }))).toBe(
+        'Order rejected by risk check (maxNotional): max notional is 500000, order is for 749962.5'
+      );
+    });
+
+    it('should reject unpriced orders under a notional cap only when there is no quote', async () => {
+      writeConfig({ maxNotional: 500000 });
+      routeRequests();
+
+      expect(await checkOrderRisk(order({ price: undefined }))).toBe(
+        'Order rejected by risk check (maxNotional): ESZ4 order has no price and no quote to price it from'
+      );
+    });
+
+    it('should always allow orders that only reduce a position', async () => {
+      writeConfig({ maxOrderQty: 1, maxNetPosition: 1 });
+      routeRequests([{ accountId: 12345, contractId: 10, netPos: 8 }]);
+
+      expect(await checkOrderRisk(order({ action: 'Sell', quantity: 8 }))).toBeNull();
+      expect(await checkOrderRisk(order({ action: 'Sell', quantity: 9 }))).toContain('(maxOrderQty)');
+    });
+
+    it('should reject orders that add risk when the config cannot be loaded', async () => {
+      const file = writeConfig('{ not json');
+      routeRequests();
+
+      expect(await checkOrderRisk(order())).toContain(`Order rejected by risk check: risk config ${file} could not be loaded`);
+    });
+  });
+
+  describe('handlePlaceOrder', () => {
+    it('should return a tool error naming the limit and not send the order', async () => {
+      writeConfig({ maxOrderQty: 10 });
+      routeRequests();
+
+      const result = await handlePlaceOrder({
+        params: { name: 'place_order', arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Market', quantity: 500 } }
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Order rejected by risk check (maxOrderQty): max order quantity for ESZ4 is 10, order is for 500');
+      expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+    });
+
+    it('should place a market order that fits under the notional cap', async () => {
+      writeConfig({ maxNotional: 500000 });
+      routeRequests();
+      global.marketDataSocket = quoteSocket({ Bid: { price: 4999.75 }, Offer: { price: 5000 } });
+
+      const result = await handlePlaceOrder({
+        params: { name: 'place_order', arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Market', quantity: 2 } }
+      });
+
+      expect(result.content[0].text).toContain('Order placed successfully');
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({ orderType: 'Market', orderQty: 2 }));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, expect, it, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the sockets talk to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { TradovateSocket } = require('../src/socket.js');
+const auth = require('../src/auth.js');
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('TradovateSocket heartbeats', () => {
+  let mock;
+  let socket;
+
+  afterEach(async () => {
+    socket?.close();
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  const connect = async (mockOptions, socketOptions) => {
+    mock = new MockTradovateServer(mockOptions);
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+    socket = new TradovateSocket({ debugLabel: 'heartbeat', ...socketOptions });
+    const { accessToken } = await auth.getAccessToken();
+    await socket.connect(`${mock.url.replace('http', 'ws')}/v1/websocket`, accessToken);
+  };
+
+  it('should send heartbeats on a quiet socket and record the server heartbeats', async () => {
+    await connect({ heartbeatMs: 20 }, { heartbeatIntervalMs: 20 });
+    const sent = [];
+    const originalSend = socket.ws.send.bind(socket.ws);
+    socket.ws.send = data => { sent.push(data); originalSend(data); };
+
+    await waitFor(() => sent.length >= 2 && socket.getStatus().lastHeartbeatReceived !== null);
+
+    expect(sent.every(data => data === '[]')).toBe(true);
+    expect(socket.getStatus()).toEqual(expect.objectContaining({
+      connected: true,
+      stale: false,
+      lastHeartbeatSent: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      lastHeartbeatReceived: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/)
+    }));
+  });
+
+  it('should drop the connection as stale when the server stops sending heartbeats', async () => {
+    await connect({ heartbeatMs: 0 }, { heartbeatIntervalMs: 10, heartbeatTimeoutMs: 50, reconnect: false });
+
+    await waitFor(() => !socket.isConnected());
+
+    expect(socket.getStatus()).toEqual(expect.objectContaining({ connected: false, stale: true, lastHeartbeatReceived: null }));
+  });
+
+  it('should reconnect after a stale connection is dropped', async () => {
+    await connect({ heartbeatMs: 0 }, { heartbeatIntervalMs: 10, heartbeatTimeoutMs: 50, reconnectInitialDelayMs: 5 });
+    const firstConnection = socket.ws;
+
+    await waitFor(() => socket.ws !== firstConnection && socket.isConnected());
+
+    expect(socket.getStatus().stale).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the sockets talk to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { TradovateSocket, createMarketDataSocket } = require('../src/socket.js');
+const auth = require('../src/auth.js');
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('TradovateSocket reconnection', () => {
+  let mock;
+  let socket;
+
+  beforeEach(async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+  });
+
+  afterEach(async () => {
+    socket?.close();
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  it('should reconnect after a drop and replay quote subscriptions', async () => {
+    socket = await createMarketDataSocket(0);
+    const quotes = [];
+    await socket.subscribe({ url: 'md/subscribequote', body: { symbol: 'ESZ5' }, subscription: quote => quotes.push(quote) });
+
+    mock.dropConnections();
+    await waitFor(() => !socket.isConnected());
+    await waitFor(() => socket.isConnected() && socket.getStatus().reconnectAttempts === 0);
+
+    // The replayed subscription catches the next quote on the new connection
+    await waitFor(() => {
+      mock.pushQuote('ESZ5', { Bid: { price: 5000, size: 1 } });
+      return quotes.length > 0;
+    });
+    expect(quotes[0]).toEqual(expect.objectContaining({ contractId: 1001 }));
+    expect(socket.getStatus()).toEqual(expect.objectContaining({ connected: true, reconnecting: false, subscriptions: 1 }));
+  });
+
+  it('should stop replaying a subscription once it is unsubscribed', async () => {
+    socket = await createMarketDataSocket(0);
+    const unsubscribe = await socket.subscribe({ url: 'md/subscribequote', body: { symbol: 'ESZ5' }, subscription: () => {} });
+
+    await unsubscribe();
+
+    expect(socket.getStatus().subscriptions).toBe(0);
+  });
+
+  it('should back off exponentially and give up after the maximum attempts', async () => {
+    socket = new TradovateSocket({ debugLabel: 'backoff', reconnectInitialDelayMs: 7, reconnectMaxDelayMs: 21, reconnectMaxAttempts: 3 });
+    const { accessToken } = await auth.getAccessToken();
+    await socket.connect(`${mock.url.replace('http', 'ws')}/v1/websocket`, accessToken);
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    // Every attempt fails at the token step while the API is down
+    const tokenSpy = jest.spyOn(auth, 'getAccessToken').mockRejectedValue(new Error('API unavailable'));
+
+    try {
+      mock.dropConnections();
+      await waitFor(() => socket.getStatus().reconnectAttempts === 3 && !socket.getStatus().reconnecting);
+
+      const delays = setTimeoutSpy.mock.calls.map(([, ms]) => ms).filter(ms => [7, 14, 21, 28].includes(ms));
+      expect(delays).toEqual([7, 14, 21]);
+      expect(tokenSpy).toHaveBeenCalledTimes(3);
+    } finally {
+      setTimeoutSpy.mockRestore();
+      tokenSpy.mockRestore();
+    }
+  });
+
+  it('should not reconnect after close()', async () => {
+    socket = await createMarketDataSocket(0);
+
+    socket.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(socket.getStatus()).toEqual(expect.objectContaining({ connected: false, reconnecting: false, reconnectAttempts: 0 }));
+  });
+
+  it('should not hold the process open while waiting to reconnect, and cancel the wait on close()', async () => {
+    socket = new TradovateSocket({ debugLabel: 'unref', reconnectInitialDelayMs: 60000, reconnectMaxDelayMs: 60000 });
+    const { accessToken } = await auth.getAccessToken();
+    await socket.connect(`${mock.url.replace('http', 'ws')}/v1/websocket`, accessToken);
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+
+    try {
+      mock.dropConnections();
+      await waitFor(() => socket.getStatus().reconnecting);
+
+      const reconnectTimer = setTimeoutSpy.mock.results[setTimeoutSpy.mock.calls.findIndex(([, ms]) => ms === 60000)].value;
+      expect(reconnectTimer.hasRef()).toBe(false);
+
+      const clearTimeoutSpy = jest.spyOn(global, 'clearTimeout');
+      socket.close();
+      expect(clearTimeoutSpy).toHaveBeenCalledWith(reconnectTimer);
+      clearTimeoutSpy.mockRestore();
+    } finally {
+      setTimeoutSpy.mockRestore();
+    }
+  });
+});
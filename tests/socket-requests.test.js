@@ -0,0 +1,89 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test - the sockets talk to the mock server
+const { MockTradovateServer } = require('../src/mock-server.js');
+const { TradovateSocket } = require('../src/socket.js');
+const auth = require('../src/auth.js');
+
+describe('TradovateSocket request multiplexing', () => {
+  let mock;
+  let socket;
+
+  beforeEach(async () => {
+    mock = new MockTradovateServer();
+    await mock.start();
+    process.env.TRADOVATE_BASE_URL = mock.url;
+    process.env.TRADOVATE_DEVICE_ID = 'mock_device';
+    process.env.TRADOVATE_SECRET = 'mock_secret';
+    socket = new TradovateSocket({ debugLabel: 'requests', reconnect: false });
+    const { accessToken } = await auth.getAccessToken();
+    await socket.connect(`${mock.url.replace('http', 'ws')}/v1/websocket`, accessToken);
+  });
+
+  afterEach(async () => {
+    socket.close();
+    await mock.stop();
+    delete process.env.TRADOVATE_BASE_URL;
+  });
+
+  // Keep the request frames from reaching the server, so no response ever comes back
+  const swallowRequests = () => {
+    socket.ws.send = () => {};
+  };
+
+  it('should route concurrent responses by request id without adding listeners', async () => {
+    const listenerCount = socket.ws.listenerCount('message');
+
+    const [accounts, contract] = await Promise.all([
+      socket.send({ url: 'account/list' }),
+      socket.send({ url: 'contract/find', query: 'name=ESZ5' })
+    ]);
+
+    expect(accounts.d).toEqual([expect.objectContaining({ name: 'MOCK0001' })]);
+    expect(contract.d).toEqual(expect.objectContaining({ id: 1001 }));
+    expect(socket.ws.listenerCount('message')).toBe(listenerCount);
+    expect(socket.getRequestMetrics()).toEqual(expect.objectContaining({ inFlight: 0, sent: 2, succeeded: 2 }));
+  });
+
+  it('should reject a request that gets no response within its timeout', async () => {
+    swallowRequests();
+    const onReject = jest.fn();
+
+    await expect(socket.send({ url: 'account/list', timeoutMs: 30, onReject })).rejects.toThrow("Request to 'account/list' timed out after 30ms");
+
+    expect(onReject).toHaveBeenCalled();
+    expect(socket.getRequestMetrics()).toEqual(expect.objectContaining({ inFlight: 0, timedOut: 1 }));
+  });
+
+  it('should report requests in flight', async () => {
+    swallowRequests();
+
+    const request = socket.send({ url: 'account/list', timeoutMs: 1000 }).catch(error => error);
+
+    expect(socket.getStatus().requests).toEqual(expect.objectContaining({ inFlight: 1, sent: 1, oldestInFlightMs: expect.any(Number) }));
+    socket.close();
+    await request;
+  });
+
+  it('should reject every pending request when the connection drops', async () => {
+    swallowRequests();
+
+    const requests = [socket.send({ url: 'account/list' }), socket.send({ url: 'position/list' })];
+    mock.dropConnections();
+
+    const results = await Promise.allSettled(requests);
+    expect(results.map(result => result.reason.message)).toEqual([
+      expect.stringContaining("WebSocket closed before 'account/list' got a response"),
+      expect.stringContaining("WebSocket closed before 'position/list' got a response")
+    ]);
+    expect(socket.getRequestMetrics()).toEqual(expect.objectContaining({ inFlight: 0, disconnected: 2 }));
+  });
+
+  it('should ignore responses for unknown request ids', async () => {
+    mock.broadcast('a[{"i":9999,"s":200,"d":{}}]');
+
+    const response = await socket.send({ url: 'account/list' });
+
+    expect(response.s).toBe(200);
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const {
+  handlePlaceOrder,
+  handleModifyOrder,
+  handleCancelOrder,
+  handleLiquidatePosition
+} = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const accounts = [
+  { id: 111, name: 'DEMO111' },
+  { id: 222, name: 'DEMO222' }
+];
+
+const buildPlaceRequest = (args) => ({
+  params: {
+    name: 'place_order',
+    arguments: {
+      symbol: 'ESZ4',
+      action: 'Buy',
+      orderType: 'Market',
+      quantity: 1,
+      ...args
+    }
+  }
+});
+
+describe('Account selection for trading tools', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    delete process.env.TRADOVATE_DEFAULT_ACCOUNT;
+  });
+
+  describe('handlePlaceOrder', () => {
+    it('should place the order in the account selected by name', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(accounts)
+        .mockResolvedValueOnce({ id: 30 });
+
+      await handlePlaceOrder(buildPlaceRequest({ accountId: 'DEMO222' }));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        accountSpec: 'DEMO222',
+        accountId: 222
+      }));
+    });
+
+    it('should place the order in the account selected by ID', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(accounts)
+        .mockResolvedValueOnce({ id: 31 });
+
+      await handlePlaceOrder(buildPlaceRequest({ accountId: '111' }));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        accountSpec: 'DEMO111',
+        accountId: 111
+      }));
+    });
+
+    it('should use the configured default account', async () => {
+      process.env.TRADOVATE_DEFAULT_ACCOUNT = 'DEMO222';
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(accounts)
+        .mockResolvedValueOnce({ id: 32 });
+
+      await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        accountId: 222
+      }));
+    });
+
+    it('should refuse to guess between several accounts', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(accounts);
+
+      const result = await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(result.content[0].text).toBe('Failed to place order: Multiple accounts available: DEMO111 (111), DEMO222 (222). Specify accountId or set TRADOVATE_DEFAULT_ACCOUNT');
+      expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+    });
+
+    it('should report an unknown account', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(accounts);
+
+      const result = await handlePlaceOrder(buildPlaceRequest({ accountId: 'NOPE' }));
+
+      expect(result.content[0].text).toBe('Failed to place order: Account not found: NOPE');
+    });
+  });
+
+  describe('handleModifyOrder and handleCancelOrder', () => {
+    it('should refuse to modify an order from another account', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 40, accountId: 111, contractId: 1 })
+        .mockResolvedValueOnce(accounts);
+
+      const result = await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '40', price: 5000, accountId: 'DEMO222' } }
+      });
+
+      expect(result.content[0].text).toBe('Failed to modify order: Order 40 does not belong to account DEMO222 (222)');
+      expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/modifyOrder', expect.anything());
+    });
+
+    it('should cancel an order that belongs to the requested account', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 41, accountId: 222, contractId: 1 })
+        .mockResolvedValueOnce(accounts)
+        .mockResolvedValueOnce({ id: 41, ordStatus: 'Canceled' });
+
+      const result = await handleCancelOrder({
+        params: { name: 'cancel_order', arguments: { orderId: '41', accountId: '222' } }
+      });
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/cancelorder', expect.objectContaining({ orderId: 41 }));
+      expect(result.content[0].text).toContain('Order canceled successfully');
+    });
+  });
+
+  describe('handleLiquidatePosition', () => {
+    const positions = [
+      { id: 1, accountId: 111, contractId: 1, netPos: 2 },
+      { id: 2, accountId: 222, contractId: 1, netPos: -1 }
+    ];
+
+    it('should liquidate the position in the requested account', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(positions)
+        .mockResolvedValueOnce(accounts)
+        .mockResolvedValueOnce({ orderId: 50 });
+
+      await handleLiquidatePosition({
+        params: { name: 'liquidate_position', arguments: { symbol: 'ESZ4', accountId: 'DEMO222' } }
+      });
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/liquidateposition', expect.objectContaining({
+        accountId: 222,
+        contractId: 1
+      }));
+    });
+
+    it('should refuse to guess when several accounts hold the contract', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce(positions);
+
+      const result = await handleLiquidatePosition({
+        params: { name: 'liquidate_position', arguments: { symbol: 'ESZ4' } }
+      });
+
+      expect(result.content[0].text).toBe('Failed to liquidate position for ESZ4: Positions found in multiple accounts (111, 222). Specify accountId or set TRADOVATE_DEFAULT_ACCOUNT');
+      expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/liquidateposition', expect.anything());
+    });
+  });
+});
@@ -113,7 +113,7 @@ describe('Additional Tool Handlers', () => {
       const result = await handleModifyOrder(request);
 
       // Assert
-      expect(result.content[0].text).toContain('Order modified successfully (simulated)');
+      expect(result.content[0].text).toContain('Failed to modify order');
     });
   });
 
@@ -189,7 +189,7 @@ describe('Additional Tool Handlers', () => {
       const result = await handleCancelOrder(request);
 
       // Assert
-      expect(result.content[0].text).toContain('Order canceled successfully (simulated)');
+      expect(result.content[0].text).toContain('Failed to cancel order');
     });
   });
 
@@ -0,0 +1,159 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handlePlaceBracketOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const buildRequest = (args) => ({
+  params: {
+    name: 'place_bracket_order',
+    arguments: args
+  }
+});
+
+describe('handlePlaceBracketOrder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  it('should place a bracket order via order/placeOSO and link all three order IDs', async () => {
+    // Arrange
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Buy',
+      orderType: 'Limit',
+      quantity: 1,
+      price: 5000,
+      takeProfitPrice: 5010,
+      stopLossPrice: 4995
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([{ id: 12345, name: 'Demo Account' }])
+      .mockResolvedValueOnce({ orderId: 100, oso1Id: 101, oso2Id: 102 });
+
+    // Act
+    const result = await handlePlaceBracketOrder(request);
+
+    // Assert
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeOSO', expect.objectContaining({
+      accountId: 12345,
+      action: 'Buy',
+      symbol: 'ESZ4',
+      orderQty: 1,
+      orderType: 'Limit',
+      price: 5000,
+      bracket1: { action: 'Sell', orderType: 'Limit', price: 5010 },
+      bracket2: { action: 'Sell', orderType: 'Stop', stopPrice: 4995 }
+    }));
+    expect(result.content[0].text).toContain('Bracket order placed successfully');
+    expect(result.content[0].text).toContain('"entryOrderId": 100');
+    expect(result.content[0].text).toContain('"takeProfitOrderId": 101');
+    expect(result.content[0].text).toContain('"stopLossOrderId": 102');
+  });
+
+  it('should use Buy exits for a Sell entry', async () => {
+    // Arrange
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Sell',
+      quantity: 2,
+      takeProfitPrice: 4990,
+      stopLossPrice: 5005
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([{ id: 12345, name: 'Demo Account' }])
+      .mockResolvedValueOnce({ orderId: 200, oso1Id: 201, oso2Id: 202 });
+
+    // Act
+    await handlePlaceBracketOrder(request);
+
+    // Assert
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeOSO', expect.objectContaining({
+      orderType: 'Market',
+      bracket1: expect.objectContaining({ action: 'Buy', price: 4990 }),
+      bracket2: expect.objectContaining({ action: 'Buy', stopPrice: 5005 })
+    }));
+  });
+
+  it('should reject a Buy bracket with the take profit below the stop loss', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Buy',
+      quantity: 1,
+      takeProfitPrice: 4990,
+      stopLossPrice: 5005
+    });
+
+    await expect(handlePlaceBracketOrder(request)).rejects.toThrow('Take profit price must be above stop loss price for Buy orders');
+    expect(auth.tradovateRequest).not.toHaveBeenCalled();
+  });
+
+  it('should reject a Sell bracket with targets on the wrong side of the entry price', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Sell',
+      orderType: 'Limit',
+      quantity: 1,
+      price: 5000,
+      takeProfitPrice: 4990,
+      stopLossPrice: 4995
+    });
+
+    await expect(handlePlaceBracketOrder(request)).rejects.toThrow('For Sell orders the take profit must be below and the stop loss above the entry price (5000)');
+  });
+
+  it('should require both exit prices', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Buy',
+      quantity: 1,
+      takeProfitPrice: 5010
+    });
+
+    await expect(handlePlaceBracketOrder(request)).rejects.toThrow('Take profit price and stop loss price are required for bracket orders');
+  });
+
+  it('should handle contract not found', async () => {
+    const request = buildRequest({
+      symbol: 'UNKNOWN',
+      action: 'Buy',
+      quantity: 1,
+      takeProfitPrice: 5010,
+      stopLossPrice: 4995
+    });
+
+    auth.tradovateRequest.mockResolvedValueOnce(null);
+
+    const result = await handlePlaceBracketOrder(request);
+
+    expect(result.content[0].text).toBe('Contract not found for symbol: UNKNOWN');
+  });
+
+  it('should report a rejected bracket without simulating it', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      action: 'Buy',
+      quantity: 1,
+      takeProfitPrice: 5010,
+      stopLossPrice: 4995
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([{ id: 12345, name: 'Demo Account' }])
+      .mockResolvedValueOnce({ failureReason: 'RiskCheck', failureText: 'Insufficient margin' });
+
+    const result = await handlePlaceBracketOrder(request);
+
+    expect(result.content[0].text).toBe('Failed to place bracket order: Bracket order rejected: Insufficient margin');
+  });
+});
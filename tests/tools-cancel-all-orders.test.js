@@ -0,0 +1,127 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handleCancelAllOrders } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const account = { id: 12345, name: 'DEMO12345' };
+
+const orders = [
+  { id: 1, accountId: 12345, contractId: 10, action: 'Buy', orderType: 'Limit', ordStatus: 'Working' },
+  { id: 2, accountId: 12345, contractId: 10, action: 'Sell', orderType: 'Stop', ordStatus: 'Working' },
+  { id: 3, accountId: 12345, contractId: 20, action: 'Buy', orderType: 'Limit', ordStatus: 'Working' },
+  { id: 4, accountId: 12345, contractId: 10, action: 'Buy', orderType: 'Limit', ordStatus: 'Filled' },
+  { id: 5, accountId: 99999, contractId: 10, action: 'Buy', orderType: 'Limit', ordStatus: 'Working' }
+];
+
+const contracts = {
+  10: { id: 10, name: 'ESZ4' },
+  20: { id: 20, name: 'NQZ4' }
+};
+
+// Route requests by endpoint so the parallel calls don't depend on ordering
+const routeRequests = (overrides = {}) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+    const [path, query] = endpoint.split('?');
+    if (overrides[path]) {
+      return overrides[path](body, query);
+    }
+    if (path === 'account/list') return [account];
+    if (path === 'order/list') return orders;
+    if (path === 'contract/item') return contracts[query.split('=')[1]];
+    if (path === 'order/cancelorder') return { orderId: body.orderId };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const cancelledIds = () => auth.tradovateRequest.mock.calls
+  .filter(([, endpoint]) => endpoint === 'order/cancelorder')
+  .map(([, , body]) => body.orderId)
+  .sort();
+
+describe('handleCancelAllOrders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  it('should cancel every working order in the account', async () => {
+    routeRequests();
+
+    const result = await handleCancelAllOrders({ params: { name: 'cancel_all_orders', arguments: {} } });
+
+    expect(cancelledIds()).toEqual([1, 2, 3]);
+    expect(result.content[0].text).toContain('Canceled 3 of 3 working orders for account DEMO12345');
+  });
+
+  it('should filter by symbol, action and order type', async () => {
+    routeRequests();
+
+    const result = await handleCancelAllOrders({
+      params: { name: 'cancel_all_orders', arguments: { symbol: 'esz4', action: 'Buy', orderType: 'Limit' } }
+    });
+
+    expect(cancelledIds()).toEqual([1]);
+    expect(result.content[0].text).toContain('"symbol": "ESZ4"');
+  });
+
+  it('should separate orders that filled before they could be canceled', async () => {
+    routeRequests({
+      'order/cancelorder': (body) => {
+        if (body.orderId === 2) throw new Error('Tradovate API error (400): TooLate');
+        if (body.orderId === 3) throw new Error('Tradovate API error (500): Unknown error');
+        return { orderId: body.orderId };
+      },
+      'order/find': (body, query) => ({ id: Number(query.split('=')[1]), ordStatus: query === 'id=2' ? 'Filled' : 'Working' })
+    });
+
+    const result = await handleCancelAllOrders({ params: { name: 'cancel_all_orders', arguments: {} } });
+
+    const text = result.content[0].text;
+    const summary = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    expect(text).toContain('Canceled 1 of 3 working orders');
+    expect(summary.canceled.map(o => o.orderId)).toEqual([1]);
+    expect(summary.alreadyFilled.map(o => o.orderId)).toEqual([2]);
+    expect(summary.failed).toEqual([
+      expect.objectContaining({ orderId: 3, error: 'Tradovate API error (500): Unknown error' })
+    ]);
+  });
+
+  it('should report when nothing matches', async () => {
+    routeRequests();
+
+    const result = await handleCancelAllOrders({
+      params: { name: 'cancel_all_orders', arguments: { symbol: 'CLZ4' } }
+    });
+
+    expect(result.content[0].text).toBe('No matching working orders found for account DEMO12345');
+    expect(cancelledIds()).toEqual([]);
+  });
+
+  it('should keep no more than five cancels in flight', async () => {
+    const manyOrders = Array.from({ length: 12 }, (_, i) => (
+      { id: i + 1, accountId: 12345, contractId: 10, action: 'Buy', orderType: 'Limit', ordStatus: 'Working' }
+    ));
+    let inFlight = 0;
+    let maxInFlight = 0;
+    routeRequests({
+      'order/list': () => manyOrders,
+      'order/cancelorder': async (body) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return { orderId: body.orderId };
+      }
+    });
+
+    const result = await handleCancelAllOrders({ params: { name: 'cancel_all_orders', arguments: {} } });
+
+    expect(result.content[0].text).toContain('Canceled 12 of 12');
+    expect(maxInFlight).toBe(5);
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const {
+  handlePlaceOrder,
+  handleConfirmOrder,
+  handlePlaceBracketOrder,
+  handlePlaceOcoOrder,
+  handleModifyOrder,
+  handleReversePosition
+} = require('../src/tools.js');
+const { isConfirmationRequired } = require('../src/confirm.js');
+const { resetPaperTrading, setPaperQuote } = require('../src/paper.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+// A long position of 2 that each test may change
+let netPos;
+
+const routeRequests = () => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+    if (endpoint === 'contract/find?name=ESZ4' || endpoint === 'contract/item?id=10') return { id: 10, name: 'ESZ4' };
+    if (endpoint === 'account/list') return [{ id: 12345, name: 'DEMO12345' }];
+    if (endpoint === 'order/placeorder') return { id: 900, ...body };
+    if (endpoint === 'order/placeOSO') return { orderId: 901, oso1Id: 902, oso2Id: 903 };
+    if (endpoint === 'order/placeOCO') return { orderId: 904, ocoId: 905 };
+    if (endpoint === 'order/modifyOrder') return { commandId: 906 };
+    if (endpoint === 'order/find?id=20') return { id: 20, accountId: 12345, contractId: 10, action: 'Buy', orderType: 'Limit', orderQty: 1, price: 4990 };
+    if (endpoint === 'order/list') return [];
+    if (endpoint === 'position/list') return [{ accountId: 12345, contractId: 10, netPos, netPrice: 5000 }];
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const call = (handler, name, args) => handler({ params: { name, arguments: args } });
+
+const placeRequest = (args = {}) => ({
+  params: {
+    name: 'place_order',
+    arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Limit', quantity: 2, price: 5000.25, ...args }
+  }
+});
+
+const confirm = (token) => handleConfirmOrder({ params: { name: 'confirm_order', arguments: { token } } });
+
+const tokenFrom = (result) => result.content[0].text.match(/token ([0-9a-f]+)/)[1];
+
+const callsTo = (url) => auth.tradovateRequest.mock.calls.filter(([, endpoint]) => endpoint === url);
+const placeCalls = () => callsTo('order/placeorder');
+
+describe('Order confirmation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+    netPos = 2;
+    routeRequests();
+    process.env.TRADOVATE_CONFIRM_ORDERS = 'true';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.TRADOVATE_CONFIRM_ORDERS;
+    delete process.env.TRADOVATE_CONFIRM_TTL_SECONDS;
+    process.env.TRADOVATE_API_ENVIRONMENT = 'demo';
+    delete process.env.TRADOVATE_PAPER_TRADING;
+    resetPaperTrading();
+  });
+
+  describe('isConfirmationRequired', () => {
+    it('should default to on for live and off for demo', () => {
+      delete process.env.TRADOVATE_CONFIRM_ORDERS;
+
+      process.env.TRADOVATE_API_ENVIRONMENT = 'live';
+      expect(isConfirmationRequired()).toBe(true);
+
+      process.env.TRADOVATE_API_ENVIRONMENT = 'demo';
+      expect(isConfirmationRequired()).toBe(false);
+    });
+
+    it('should let TRADOVATE_CONFIRM_ORDERS override the environment', () => {
+      process.env.TRADOVATE_API_ENVIRONMENT = 'live';
+      process.env.TRADOVATE_CONFIRM_ORDERS = 'false';
+
+      expect(isConfirmationRequired()).toBe(false);
+    });
+  });
+
+  it('should return a preview instead of placing the order, then send it on confirmation', async () => {
+    const preview = await handlePlaceOrder(placeRequest());
+
+    expect(preview.content[0].text).toContain('Order preview (not sent, time in force: Day)');
+    expect(preview.content[0].text).toContain('"price": 5000.25');
+    expect(placeCalls()).toHaveLength(0);
+
+    const result = await confirm(tokenFrom(preview));
+
+    expect(placeCalls()).toHaveLength(1);
+    expect(placeCalls()[0][2]).toEqual(expect.objectContaining({
+      accountId: 12345,
+      action: 'Buy',
+      orderQty: 2,
+      orderType: 'Limit',
+      price: 5000.25
+    }));
+    expect(result.content[0].text).toContain('Order placed successfully (time in force: Day)');
+  });
+
+  it('should only accept a token once', async () => {
+    const token = tokenFrom(await handlePlaceOrder(placeRequest()));
+
+    await confirm(token);
+    const second = await confirm(token);
+
+    expect(second.content[0].text).toBe(`Failed to confirm order: Unknown or already used confirmation token: ${token}`);
+    expect(placeCalls()).toHaveLength(1);
+  });
+
+  it('should bind each token to its own order', async () => {
+    const first = tokenFrom(await handlePlaceOrder(placeRequest({ quantity: 1 })));
+    const second = tokenFrom(await handlePlaceOrder(placeRequest({ quantity: 3, action: 'Sell' })));
+
+    await confirm(second);
+    await confirm(first);
+
+    expect(placeCalls().map(([, , body]) => [body.action, body.orderQty])).toEqual([['Sell', 3], ['Buy', 1]]);
+  });
+
+  it('should reject expired tokens', async () => {
+    jest.useFakeTimers({ now: new Date('2024-11-14T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    process.env.TRADOVATE_CONFIRM_TTL_SECONDS = '30';
+    const token = tokenFrom(await handlePlaceOrder(placeRequest()));
+
+    jest.setSystemTime(new Date('2024-11-14T15:00:31Z'));
+    const result = await confirm(token);
+
+    expect(result.content[0].text).toBe(
+      `Failed to confirm order: Confirmation token ${token} expired at 2024-11-14T15:00:30.000Z. Place the order again to get a new token`
+    );
+    expect(placeCalls()).toHaveLength(0);
+  });
+
+  it('should hold bracket orders until confirmed', async () => {
+    const preview = await call(handlePlaceBracketOrder, 'place_bracket_order', {
+      symbol: 'ESZ4', action: 'Buy', orderType: 'Limit', quantity: 1, price: 5000, takeProfitPrice: 5010, stopLossPrice: 4990
+    });
+
+    expect(preview.content[0].text).toContain('Bracket order preview (not sent). Call confirm_order with token');
+    expect(callsTo('order/placeOSO')).toHaveLength(0);
+
+    const result = await confirm(tokenFrom(preview));
+
+    expect(callsTo('order/placeOSO')).toHaveLength(1);
+    expect(result.content[0].text).toContain('Bracket order placed successfully');
+    expect(result.content[0].text).toContain('"takeProfitOrderId": 902');
+  });
+
+  it('should hold OCO orders until confirmed', async () => {
+    const preview = await call(handlePlaceOcoOrder, 'place_oco_order', {
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    });
+
+    expect(preview.content[0].text).toContain('OCO order preview (not sent)');
+    expect(callsTo('order/placeOCO')).toHaveLength(0);
+
+    const result = await confirm(tokenFrom(preview));
+
+    expect(callsTo('order/placeOCO')).toHaveLength(1);
+    expect(result.content[0].text).toContain('OCO order placed successfully');
+  });
+
+  it('should refuse an OCO order whose position was closed, reduced or reversed since the preview', async () => {
+    for (const changedNetPos of [0, 1, -2]) {
+      netPos = 2;
+      const token = tokenFrom(await call(handlePlaceOcoOrder, 'place_oco_order', {
+        symbol: 'ESZ4',
+        leg1: { orderType: 'Limit', price: 5010 },
+        leg2: { orderType: 'Stop', stopPrice: 4990 }
+      }));
+
+      netPos = changedNetPos;
+      const result = await confirm(token);
+
+      expect(result.content[0].text).toBe(`Failed to place confirmed order: Position changed from 2 to ${changedNetPos} since the preview. Place the OCO order again to get a new token`);
+    }
+    expect(callsTo('order/placeOCO')).toHaveLength(0);
+  });
+
+  it('should hold order modifications until confirmed', async () => {
+    const preview = await call(handleModifyOrder, 'modify_order', { orderId: '20', price: 4995 });
+
+    expect(preview.content[0].text).toContain('Order modification preview (not sent)');
+    expect(callsTo('order/modifyOrder')).toHaveLength(0);
+
+    const result = await confirm(tokenFrom(preview));
+
+    expect(callsTo('order/modifyOrder')).toEqual([['POST', 'order/modifyOrder', { orderId: 20, price: 4995 }]]);
+    expect(result.content[0].text).toContain('Order modified successfully');
+  });
+
+  it('should hold reversals until confirmed', async () => {
+    const preview = await call(handleReversePosition, 'reverse_position', { symbol: 'ESZ4', timeoutSeconds: 0.01 });
+
+    expect(preview.content[0].text).toContain('Reversal preview for ESZ4 (not sent, position 2 to -2)');
+    expect(placeCalls()).toHaveLength(0);
+
+    const result = await confirm(tokenFrom(preview));
+
+    expect(placeCalls()).toHaveLength(1);
+    expect(placeCalls()[0][2]).toEqual(expect.objectContaining({ action: 'Sell', orderQty: 4, orderType: 'Market' }));
+    expect(result.content[0].text).toContain('Reversal order for ESZ4 placed');
+  });
+
+  it('should refuse a reversal whose position changed since the preview', async () => {
+    const token = tokenFrom(await call(handleReversePosition, 'reverse_position', { symbol: 'ESZ4' }));
+
+    netPos = 3;
+    const result = await confirm(token);
+
+    expect(result.content[0].text).toBe('Failed to place confirmed order: Position changed from 2 to 3 since the preview. Reverse it again to get a new token');
+    expect(placeCalls()).toHaveLength(0);
+  });
+
+  it('should send confirmed orders to the paper engine in paper trading mode', async () => {
+    const token = tokenFrom(await handlePlaceOrder(placeRequest({ quantity: 1 })));
+    process.env.TRADOVATE_PAPER_TRADING = 'true';
+    setPaperQuote('ESZ4', { bid: 5010, ask: 5010.25 });
+
+    const result = await confirm(token);
+
+    expect(result.content[0].text).toContain('Order placed successfully');
+    expect(result.content[0].text).toContain('"ordStatus": "Working"');
+    expect(placeCalls()).toHaveLength(0);
+  });
+
+  it('should require a token', async () => {
+    await expect(confirm(undefined)).rejects.toThrow('Confirmation token is required');
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, expect, it, beforeEach, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handlePlaceOrder, handleModifyOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const contract = { id: 10, name: 'ESZ4', productId: 7 };
+
+const routeRequests = (overrides = {}) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+    if (overrides[endpoint]) {
+      return overrides[endpoint](body);
+    }
+    if (endpoint === 'contract/find?name=ESZ4') return contract;
+    if (endpoint === 'contract/item?id=10') return contract;
+    if (endpoint === 'account/list') return [{ id: 12345, name: 'DEMO12345' }];
+    if (endpoint === 'product/item?id=7') return { id: 7, name: 'ES', tickSize: 0.25, valuePerPoint: 50 };
+    if (endpoint === 'productMargin/item?id=7') return { id: 7, initialMargin: 12000 };
+    if (endpoint === 'position/list') return [{ accountId: 12345, contractId: 10, netPos: 1 }];
+    if (endpoint === 'order/find?id=77') return { id: 77, accountId: 12345, contractId: 10, action: 'Sell', orderQty: 1, orderType: 'Limit', price: 5010 };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const parse = (result) => {
+  const text = result.content[0].text;
+  return JSON.parse(text.slice(text.indexOf('\n') + 1));
+};
+
+const sentOrders = () => auth.tradovateRequest.mock.calls.filter(([method]) => method === 'POST');
+
+describe('Dry runs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    delete process.env.TRADOVATE_CONFIRM_ORDERS;
+  });
+
+  describe('handlePlaceOrder', () => {
+    it('should return the exact payload and checks without sending anything', async () => {
+      routeRequests();
+
+      const result = await handlePlaceOrder({
+        params: {
+          name: 'place_order',
+          arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Limit', quantity: 2, price: 5000.3, dryRun: true }
+        }
+      });
+
+      expect(result.content[0].text).toMatch(/^Dry run, nothing was sent. Payload for order\/placeorder:/);
+      const { payload, checks } = parse(result);
+      expect(payload).toEqual(expect.objectContaining({
+        accountSpec: 'DEMO12345',
+        accountId: 12345,
+        action: 'Buy',
+        symbol: 'ESZ4',
+        orderQty: 2,
+        orderType: 'Limit',
+        price: 5000.3,
+        timeInForce: 'Day'
+      }));
+      expect(checks.tickSize).toBe(0.25);
+      expect(checks.tickCheck).toEqual(['price 5000.3 is not a multiple of the tick size, nearest valid price is 5000.25']);
+      expect(checks.marginImpact).toEqual({
+        initialMarginPerContract: 12000,
+        currentNetPos: 1,
+        projectedNetPos: 3,
+        estimatedChange: 24000
+      });
+      expect(checks.riskCheck).toBe('no limits configured');
+      expect(sentOrders()).toHaveLength(0);
+    });
+
+    it('should not hold the order for confirmation', async () => {
+      process.env.TRADOVATE_CONFIRM_ORDERS = 'true';
+      routeRequests();
+
+      const result = await handlePlaceOrder({
+        params: {
+          name: 'place_order',
+          arguments: { symbol: 'ESZ4', action: 'Sell', orderType: 'Market', quantity: 1, dryRun: true }
+        }
+      });
+
+      const { checks } = parse(result);
+      expect(checks.tickCheck).toBe('ok');
+      expect(checks.marginImpact.estimatedChange).toBe(-12000);
+      expect(result.content[0].text).not.toContain('confirm_order');
+    });
+
+    it('should report checks it could not complete', async () => {
+      routeRequests({
+        'productMargin/item?id=7': () => { throw new Error('Tradovate API error (404): Not found'); }
+      });
+
+      const result = await handlePlaceOrder({
+        params: {
+          name: 'place_order',
+          arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Market', quantity: 1, dryRun: true }
+        }
+      });
+
+      expect(parse(result).checks.marginImpact).toBe('unavailable: Tradovate API error (404): Not found');
+    });
+
+    it('should never fall back to a simulated order', async () => {
+      routeRequests({
+        'account/list': () => { throw new Error('Tradovate API error (500): Unknown error'); }
+      });
+
+      const result = await handlePlaceOrder({
+        params: {
+          name: 'place_order',
+          arguments: { symbol: 'ESZ4', action: 'Buy', orderType: 'Market', quantity: 1, dryRun: true }
+        }
+      });
+
+      expect(result.content[0].text).toBe('Failed to preview order: Tradovate API error (500): Unknown error');
+    });
+  });
+
+  describe('handleModifyOrder', () => {
+    it('should return the modification payload without sending it', async () => {
+      routeRequests();
+
+      const result = await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '77', price: 5012.5, quantity: 2, dryRun: true } }
+      });
+
+      expect(result.content[0].text).toMatch(/^Dry run, nothing was sent. Payload for order\/modifyOrder:/);
+      const { payload, checks } = parse(result);
+      expect(payload).toEqual({ orderId: 77, price: 5012.5, orderQty: 2 });
+      expect(checks.tickCheck).toBe('ok');
+      expect(checks.marginImpact.projectedNetPos).toBe(-1);
+      expect(sentOrders()).toHaveLength(0);
+    });
+  });
+});
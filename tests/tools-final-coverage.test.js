@@ -244,7 +244,7 @@ describe('Final Tool Handlers for Coverage', () => {
       const result = await handleModifyOrder(request);
 
       // Assert
-      expect(result.content[0].text).toContain('Order modified successfully (simulated)');
+      expect(result.content[0].text).toContain('Failed to modify order');
     });
   });
 
@@ -354,7 +354,7 @@ describe('Final Tool Handlers for Coverage', () => {
       const result = await handleCancelOrder(request);
 
       // Assert
-      expect(result.content[0].text).toContain('Order canceled successfully (simulated)');
+      expect(result.content[0].text).toContain('Failed to cancel order');
     });
   });
 }); 
\ No newline at end of file
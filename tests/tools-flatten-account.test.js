@@ -0,0 +1,148 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handleFlattenAccount } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const account = { id: 12345, name: 'DEMO12345' };
+
+const orders = [
+  { id: 1, accountId: 12345, contractId: 10, ordStatus: 'Working' },
+  { id: 2, accountId: 12345, contractId: 20, ordStatus: 'Working' },
+  { id: 3, accountId: 12345, contractId: 10, ordStatus: 'Filled' },
+  { id: 4, accountId: 99999, contractId: 10, ordStatus: 'Working' }
+];
+
+const positions = [
+  { id: 1, accountId: 12345, contractId: 10, netPos: 2 },
+  { id: 2, accountId: 12345, contractId: 30, netPos: 0 },
+  { id: 3, accountId: 99999, contractId: 10, netPos: 5 }
+];
+
+// Route requests by endpoint so the parallel calls don't depend on ordering
+const routeRequests = (overrides = {}) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+    if (overrides[endpoint]) {
+      return overrides[endpoint](body);
+    }
+    if (endpoint === 'account/list') return [account];
+    if (endpoint === 'order/list') return orders;
+    if (endpoint === 'position/list') return positions;
+    if (endpoint === 'order/cancelorder') return { orderId: body.orderId };
+    if (endpoint === 'order/liquidateposition') return { orderId: 500 };
+    if (endpoint.startsWith('contract/item')) return { id: 10, name: endpoint.endsWith('=10') ? 'ESZ4' : 'NQZ4' };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+describe('handleFlattenAccount', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  it('should cancel working orders, liquidate positions and report the account flat', async () => {
+    // Arrange - the second position/list call sees the account flat
+    let positionCalls = 0;
+    routeRequests({
+      'position/list': () => (positionCalls++ === 0 ? positions : positions.filter(p => p.accountId !== 12345))
+    });
+
+    // Act
+    const result = await handleFlattenAccount({ params: { name: 'flatten_account', arguments: {} } });
+
+    // Assert
+    const cancelCalls = auth.tradovateRequest.mock.calls.filter(([, endpoint]) => endpoint === 'order/cancelorder');
+    expect(cancelCalls.map(([, , body]) => body.orderId).sort()).toEqual([1, 2]);
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/liquidateposition', expect.objectContaining({
+      accountId: 12345,
+      contractId: 10
+    }));
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/liquidateposition', expect.objectContaining({
+      contractId: 30
+    }));
+
+    const text = result.content[0].text;
+    expect(text).toContain('Account DEMO12345 is flat');
+    const report = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    const es = report.find(entry => entry.contractId === 10);
+    expect(es).toEqual(expect.objectContaining({
+      symbol: 'ESZ4',
+      canceledOrders: [1],
+      startingNetPos: 2,
+      liquidationOrderId: 500,
+      liquidation: 'Filled',
+      finalNetPos: 0
+    }));
+  });
+
+  it('should report failed cancels and liquidations', async () => {
+    routeRequests({
+      'order/cancelorder': (body) => {
+        if (body.orderId === 2) throw new Error('Order already filled');
+        return { orderId: body.orderId };
+      },
+      'order/liquidateposition': () => {
+        throw new Error('Liquidation rejected');
+      }
+    });
+
+    const result = await handleFlattenAccount({ params: { name: 'flatten_account', arguments: { timeoutSeconds: 0.01 } } });
+
+    const text = result.content[0].text;
+    expect(text).toContain('Account DEMO12345 is NOT flat after 0.01s (1 cancel and 1 liquidation failed)');
+    const report = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    expect(report.find(entry => entry.contractId === 20).failedCancels).toEqual([
+      { orderId: 2, error: 'Order already filled' }
+    ]);
+    expect(report.find(entry => entry.contractId === 10)).toEqual(expect.objectContaining({
+      liquidation: 'Failed',
+      liquidationError: 'Liquidation rejected',
+      finalNetPos: 2
+    }));
+  });
+
+  it('should report a rejected liquidation as failed, not pending', async () => {
+    routeRequests({
+      'order/liquidateposition': () => ({ failureReason: 'RiskCheck', failureText: 'Account is in liquidation only mode' })
+    });
+
+    const result = await handleFlattenAccount({ params: { name: 'flatten_account', arguments: { timeoutSeconds: 0.01 } } });
+
+    const text = result.content[0].text;
+    expect(text).toContain('Account DEMO12345 is NOT flat after 0.01s (1 liquidation failed)');
+    expect(result.isError).toBe(true);
+    const report = JSON.parse(text.slice(text.indexOf('\n') + 1));
+    const es = report.find(entry => entry.contractId === 10);
+    expect(es).toEqual(expect.objectContaining({
+      liquidation: 'Failed',
+      liquidationError: 'Order rejected: Account is in liquidation only mode'
+    }));
+    expect(es).not.toHaveProperty('liquidationOrderId');
+  });
+
+  it('should reject a timeout that is not a positive number before touching the account', async () => {
+    routeRequests();
+    const flatten = (timeoutSeconds) => handleFlattenAccount({ params: { name: 'flatten_account', arguments: { timeoutSeconds } } });
+
+    await expect(flatten('NaN')).rejects.toThrow('timeoutSeconds must be a positive number, got "NaN"');
+    await expect(flatten(0)).rejects.toThrow('timeoutSeconds must be a positive number, got 0');
+    await expect(flatten(-1)).rejects.toThrow('timeoutSeconds must be a positive number, got -1');
+    expect(auth.tradovateRequest).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to guess the account', async () => {
+    routeRequests({
+      'account/list': () => [account, { id: 2, name: 'OTHER' }]
+    });
+
+    const result = await handleFlattenAccount({ params: { name: 'flatten_account', arguments: {} } });
+
+    expect(result.content[0].text).toContain('Failed to flatten account: Multiple accounts available');
+    expect(auth.tradovateRequest).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handlePlaceOcoOrder, handleCancelOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const buildRequest = (args) => ({
+  params: {
+    name: 'place_oco_order',
+    arguments: args
+  }
+});
+
+const longPosition = { id: 1, accountId: 12345, contractId: 1, netPos: 2 };
+const shortPosition = { id: 2, accountId: 12345, contractId: 1, netPos: -3 };
+const account = { id: 12345, name: 'DEMO12345' };
+
+describe('handlePlaceOcoOrder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  it('should place Sell legs via order/placeOCO to protect a long position', async () => {
+    // Arrange
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([longPosition])
+      .mockResolvedValueOnce([account])
+      .mockResolvedValueOnce({ orderId: 300, ocoId: 301 });
+
+    // Act
+    const result = await handlePlaceOcoOrder(request);
+
+    // Assert
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeOCO', expect.objectContaining({
+      accountSpec: 'DEMO12345',
+      accountId: 12345,
+      action: 'Sell',
+      symbol: 'ESZ4',
+      orderQty: 2,
+      orderType: 'Limit',
+      price: 5010,
+      other: { action: 'Sell', orderType: 'Stop', price: undefined, stopPrice: 4990 }
+    }));
+    expect(result.content[0].text).toContain('OCO order placed successfully');
+    expect(result.content[0].text).toContain('"orderId": 300');
+    expect(result.content[0].text).toContain('"orderId": 301');
+  });
+
+  it('should reject legs on the same side as a short position', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      leg1: { action: 'Sell', orderType: 'Limit', price: 4990 },
+      leg2: { orderType: 'Stop', stopPrice: 5010 }
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([shortPosition]);
+
+    const result = await handlePlaceOcoOrder(request);
+
+    expect(result.content[0].text).toBe('Failed to place OCO order: leg1 must be a Buy order to protect a net position of -3');
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeOCO', expect.anything());
+  });
+
+  it('should reject a quantity larger than the net position', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      quantity: 5,
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([longPosition]);
+
+    const result = await handlePlaceOcoOrder(request);
+
+    expect(result.content[0].text).toBe('Failed to place OCO order: Quantity 5 exceeds the net position of 2');
+  });
+
+  it('should report when there is no open position to protect', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    });
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([{ ...longPosition, netPos: 0 }]);
+
+    const result = await handlePlaceOcoOrder(request);
+
+    expect(result.content[0].text).toBe('No open position found for symbol: ESZ4');
+  });
+
+  it('should not send the order when the position account cannot be found', async () => {
+    process.env.TRADOVATE_USERNAME = 'someuser';
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([longPosition])
+      .mockResolvedValueOnce([{ id: 999, name: 'OTHER999' }, { id: 998, name: 'OTHER998' }]);
+
+    const result = await handlePlaceOcoOrder(buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    }));
+
+    expect(result.content[0].text).toBe('Failed to place OCO order: Account not found: 12345');
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeOCO', expect.anything());
+    delete process.env.TRADOVATE_USERNAME;
+  });
+
+  it('should validate leg prices before calling the API', async () => {
+    const request = buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit' },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    });
+
+    await expect(handlePlaceOcoOrder(request)).rejects.toThrow('leg1 price is required for Limit and StopLimit orders');
+    expect(auth.tradovateRequest).not.toHaveBeenCalled();
+  });
+
+  it('should show the linked leg as canceled when one leg is canceled', async () => {
+    // Arrange - place the pair first
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([longPosition])
+      .mockResolvedValueOnce([account])
+      .mockResolvedValueOnce({ orderId: 400, ocoId: 401 });
+
+    await handlePlaceOcoOrder(buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    }));
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 400, ordStatus: 'Working' })
+      .mockResolvedValueOnce({ id: 400, ordStatus: 'Canceled' })
+      .mockResolvedValueOnce({ id: 401, ordStatus: 'Canceled' });
+
+    // Act
+    const result = await handleCancelOrder({ params: { name: 'cancel_order', arguments: { orderId: '400' } } });
+
+    // Assert
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('GET', 'order/find?id=401');
+    expect(result.content[0].text).toContain('Linked OCO order 401: Canceled');
+  });
+
+  it('should cancel the linked leg if it is still working', async () => {
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+      .mockResolvedValueOnce([longPosition])
+      .mockResolvedValueOnce([account])
+      .mockResolvedValueOnce({ orderId: 500, ocoId: 501 });
+
+    await handlePlaceOcoOrder(buildRequest({
+      symbol: 'ESZ4',
+      leg1: { orderType: 'Limit', price: 5010 },
+      leg2: { orderType: 'Stop', stopPrice: 4990 }
+    }));
+
+    auth.tradovateRequest
+      .mockResolvedValueOnce({ id: 501, ordStatus: 'Working' })
+      .mockResolvedValueOnce({ id: 501, ordStatus: 'Canceled' })
+      .mockResolvedValueOnce({ id: 500, ordStatus: 'Working' })
+      .mockResolvedValueOnce({ id: 500, ordStatus: 'Canceled' });
+
+    const result = await handleCancelOrder({ params: { name: 'cancel_order', arguments: { orderId: '501' } } });
+
+    expect(auth.tradovateRequest).toHaveBeenLastCalledWith('POST', 'order/cancelorder', {
+      orderId: 500,
+      clOrdId: '500',
+      isAutomated: true
+    });
+    expect(result.content[0].text).toContain('Linked OCO order 500: Canceled');
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handleReversePosition } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const account = { id: 12345, name: 'DEMO12345' };
+const contract = { id: 10, name: 'ESZ4' };
+
+const routeRequests = (overrides = {}) => {
+  auth.tradovateRequest.mockImplementation(async (method, endpoint, body) => {
+    const path = endpoint.split('?')[0];
+    if (overrides[path]) {
+      return overrides[path](body);
+    }
+    if (path === 'contract/find') return contract;
+    if (path === 'account/list') return [account];
+    if (path === 'position/list') return [{ id: 1, accountId: 12345, contractId: 10, netPos: 2 }];
+    if (path === 'order/list') return [];
+    if (path === 'order/placeorder') return { orderId: 700 };
+    throw new Error(`Unexpected request ${method} ${endpoint}`);
+  });
+};
+
+const request = (args = {}) => ({ params: { name: 'reverse_position', arguments: { symbol: 'ESZ4', ...args } } });
+
+describe('handleReversePosition', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  it('should flip a long position with one sell order for twice its size', async () => {
+    // Arrange - the verification read sees the short position
+    let positionCalls = 0;
+    routeRequests({
+      'position/list': () => [{ id: 1, accountId: 12345, contractId: 10, netPos: positionCalls++ === 0 ? 2 : -2 }]
+    });
+
+    // Act
+    const result = await handleReversePosition(request());
+
+    // Assert
+    const placeCalls = auth.tradovateRequest.mock.calls.filter(([, endpoint]) => endpoint === 'order/placeorder');
+    expect(placeCalls).toHaveLength(1);
+    expect(placeCalls[0][2]).toEqual(expect.objectContaining({
+      accountSpec: 'DEMO12345',
+      accountId: 12345,
+      action: 'Sell',
+      orderQty: 4,
+      orderType: 'Market'
+    }));
+    expect(result.content[0].text).toContain('Position reversed for ESZ4');
+    expect(result.content[0].text).toContain('"finalNetPos": -2');
+  });
+
+  it('should buy to flip a short position', async () => {
+    let positionCalls = 0;
+    routeRequests({
+      'position/list': () => [{ id: 1, accountId: 12345, contractId: 10, netPos: positionCalls++ === 0 ? -3 : 3 }]
+    });
+
+    const result = await handleReversePosition(request());
+
+    expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+      action: 'Buy',
+      orderQty: 6
+    }));
+    expect(result.content[0].text).toContain('Position reversed for ESZ4');
+  });
+
+  it('should refuse when working orders exist for the contract', async () => {
+    routeRequests({
+      'order/list': () => [
+        { id: 41, accountId: 12345, contractId: 10, ordStatus: 'Working' },
+        { id: 42, accountId: 12345, contractId: 20, ordStatus: 'Working' },
+        { id: 43, accountId: 12345, contractId: 10, ordStatus: 'Filled' }
+      ]
+    });
+
+    const result = await handleReversePosition(request());
+
+    expect(result.content[0].text).toBe(
+      'Cannot reverse position for ESZ4: working orders exist for this contract (41). Cancel them first'
+    );
+    expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+  });
+
+  it('should report when there is no position to reverse', async () => {
+    routeRequests({ 'position/list': () => [{ id: 1, accountId: 12345, contractId: 10, netPos: 0 }] });
+
+    const result = await handleReversePosition(request());
+
+    expect(result.content[0].text).toBe('No position found for symbol: ESZ4');
+  });
+
+  it('should report an unverified reversal when the position does not flip in time', async () => {
+    routeRequests();
+
+    const result = await handleReversePosition(request({ timeoutSeconds: 0.01 }));
+
+    expect(result.content[0].text).toContain('Reversal order for ESZ4 placed but position is 2 after 0.01s (expected -2)');
+  });
+
+  it('should reject a timeout that is not a positive number before sending anything', async () => {
+    routeRequests();
+
+    await expect(handleReversePosition(request({ timeoutSeconds: 'soon' }))).rejects.toThrow('timeoutSeconds must be a positive number, got "soon"');
+    await expect(handleReversePosition(request({ timeoutSeconds: -5 }))).rejects.toThrow('timeoutSeconds must be a positive number, got -5');
+    await expect(handleReversePosition(request({ timeoutSeconds: 0 }))).rejects.toThrow('timeoutSeconds must be a positive number, got 0');
+    expect(auth.tradovateRequest).not.toHaveBeenCalled();
+  });
+
+  it('should report order placement failures', async () => {
+    routeRequests({
+      'order/placeorder': () => { throw new Error('Tradovate API error (400): Insufficient margin'); }
+    });
+
+    const result = await handleReversePosition(request());
+
+    expect(result.content[0].text).toBe('Failed to reverse position for ESZ4: Tradovate API error (400): Insufficient margin');
+  });
+
+  it('should report a rejected order right away instead of waiting for the position to flip', async () => {
+    routeRequests({
+      'order/placeorder': () => ({ failureReason: 'RiskCheck', failureText: 'Exceeds position limit' })
+    });
+
+    const result = await handleReversePosition(request({ timeoutSeconds: 60 }));
+
+    expect(result.content[0].text).toBe('Failed to reverse position for ESZ4: Order rejected: Exceeds position limit');
+    expect(auth.tradovateRequest.mock.calls.filter(([, endpoint]) => endpoint === 'position/list')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, expect, it, afterEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const { handleGetServerStatus } = require('../src/tools.js');
+const { isReadOnly } = require('../src/mode.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const status = async () => {
+  const result = await handleGetServerStatus({ params: { name: 'get_server_status', arguments: {} } });
+  const text = result.content[0].text;
+  return JSON.parse(text.slice(text.indexOf('\n') + 1));
+};
+
+describe('handleGetServerStatus', () => {
+  const originalArgv = process.argv;
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    delete process.env.TRADOVATE_READ_ONLY;
+    process.env.TRADOVATE_API_ENVIRONMENT = 'demo';
+  });
+
+  it('should report trading mode by default', async () => {
+    expect(await status()).toEqual(expect.objectContaining({
+      mode: 'trading',
+      environment: 'demo',
+      orderConfirmation: false,
+      disabledTools: []
+    }));
+  });
+
+  it('should report the environment the endpoints resolve to', async () => {
+    process.env.TRADOVATE_API_ENVIRONMENT = 'live-us';
+
+    expect(await status()).toEqual(expect.objectContaining({ environment: 'live', orderConfirmation: true }));
+  });
+
+  it('should report read-only mode from the environment', async () => {
+    process.env.TRADOVATE_READ_ONLY = 'TRUE';
+
+    const result = await status();
+
+    expect(result.mode).toBe('read-only');
+    expect(result.disabledTools).toEqual(expect.arrayContaining(['place_order', 'modify_order', 'cancel_order', 'liquidate_position']));
+  });
+
+  it('should turn on read-only mode from the --read-only flag', () => {
+    process.argv = ['node', 'build/src/index.js', '--read-only'];
+
+    expect(isReadOnly()).toBe(true);
+  });
+});
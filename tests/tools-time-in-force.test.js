@@ -0,0 +1,165 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handlePlaceOrder, handleModifyOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const buildPlaceRequest = (args) => ({
+  params: {
+    name: 'place_order',
+    arguments: {
+      symbol: 'ESZ4',
+      action: 'Buy',
+      orderType: 'Limit',
+      quantity: 1,
+      price: 5000,
+      ...args
+    }
+  }
+});
+
+const futureTime = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe('Time in force', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  describe('handlePlaceOrder', () => {
+    it('should default to a Day order and report it', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ id: 20 });
+
+      const result = await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        timeInForce: 'Day'
+      }));
+      expect(result.content[0].text).toContain('Order placed successfully (time in force: Day)');
+    });
+
+    it('should read the order back when the API answers with only its ID', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ orderId: 22 })
+        .mockResolvedValueOnce({ id: 22, ordStatus: 'Working', orderType: 'Limit', price: 5000 });
+
+      const result = await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('GET', 'order/item?id=22');
+      expect(result.content[0].text).toContain('Order placed successfully (time in force: Day)');
+      expect(result.content[0].text).toContain('"ordStatus": "Working"');
+    });
+
+    it('should still report success when a placed order cannot be read back', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ orderId: 23 })
+        .mockRejectedValueOnce(new Error('Tradovate API error (500)'));
+
+      const result = await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(result.content[0].text).toContain('Order placed successfully');
+      expect(result.content[0].text).toContain('"orderId": 23');
+    });
+
+    it('should report a rejected order', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ failureReason: 'RiskCheck', failureText: 'Insufficient margin' });
+
+      const result = await handlePlaceOrder(buildPlaceRequest({}));
+
+      expect(result.content[0].text).toBe('Failed to place order: Order rejected: Insufficient margin');
+    });
+
+    it('should send a GTD order with its expiration', async () => {
+      const expireTime = futureTime();
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 1, name: 'ESZ4' })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ id: 21 });
+
+      const result = await handlePlaceOrder(buildPlaceRequest({ timeInForce: 'GTD', expireTime }));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        timeInForce: 'GTD',
+        expireTime
+      }));
+      expect(result.content[0].text).toContain(`time in force: GTD until ${expireTime}`);
+    });
+
+    it('should reject GTD orders without an expiration', async () => {
+      await expect(handlePlaceOrder(buildPlaceRequest({ timeInForce: 'GTD' })))
+        .rejects.toThrow('Expire time is required for GTD orders');
+      expect(auth.tradovateRequest).not.toHaveBeenCalled();
+    });
+
+    it('should reject GTD orders expiring in the past', async () => {
+      await expect(handlePlaceOrder(buildPlaceRequest({ timeInForce: 'GTD', expireTime: '2020-01-01T00:00:00Z' })))
+        .rejects.toThrow('Expire time must be a future timestamp for GTD orders, got 2020-01-01T00:00:00Z');
+    });
+
+    it('should reject an expiration on a non-GTD order', async () => {
+      await expect(handlePlaceOrder(buildPlaceRequest({ timeInForce: 'GTC', expireTime: futureTime() })))
+        .rejects.toThrow('Expire time is only valid for GTD orders');
+    });
+
+    it('should reject an unknown time in force', async () => {
+      await expect(handlePlaceOrder(buildPlaceRequest({ timeInForce: 'GTX' })))
+        .rejects.toThrow('Invalid time in force: GTX. Use one of Day, GTC, IOC, FOK, GTD');
+    });
+  });
+
+  describe('handleModifyOrder', () => {
+    it('should change the time in force of an order', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 20, contractId: 1, action: 'Buy', orderType: 'Limit' })
+        .mockResolvedValueOnce({ id: 20, timeInForce: 'GTC' });
+
+      const result = await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '20', timeInForce: 'GTC' } }
+      });
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/modifyOrder', {
+        orderId: 20,
+        timeInForce: 'GTC'
+      });
+      expect(result.content[0].text).toContain('Order modified successfully (time in force: GTC)');
+    });
+
+    it('should treat an expiration on its own as GTD', async () => {
+      const expireTime = futureTime();
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 20, contractId: 1, action: 'Buy', orderType: 'Limit' })
+        .mockResolvedValueOnce({ id: 20 });
+
+      await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '20', expireTime } }
+      });
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/modifyOrder', {
+        orderId: 20,
+        timeInForce: 'GTD',
+        expireTime
+      });
+    });
+
+    it('should reject a past expiration before calling the API', async () => {
+      await expect(handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '20', timeInForce: 'GTD', expireTime: 'not a date' } }
+      })).rejects.toThrow('Expire time must be a future timestamp for GTD orders, got not a date');
+      expect(auth.tradovateRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, expect, it, beforeEach } = require('@jest/globals');
+
+// Import the modules we need to test
+const auth = require('../src/auth.js');
+const { handlePlaceOrder, handleModifyOrder } = require('../src/tools.js');
+
+// Mock the modules
+jest.mock('../src/auth.js');
+jest.mock('../src/data.js');
+
+const buildPlaceRequest = (args) => ({
+  params: {
+    name: 'place_order',
+    arguments: {
+      symbol: 'ESZ4',
+      quantity: 1,
+      ...args
+    }
+  }
+});
+
+const mockContract = { id: 1, name: 'ESZ4', productId: 473 };
+const mockProduct = { id: 473, name: 'ES', tickSize: 0.25 };
+
+describe('Trailing stop orders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auth.tradovateRequest = jest.fn();
+  });
+
+  describe('handlePlaceOrder', () => {
+    it('should convert a tick offset into a negative pegDifference for Sell trailing stops', async () => {
+      // Arrange
+      auth.tradovateRequest
+        .mockResolvedValueOnce(mockContract)
+        .mockResolvedValueOnce(mockProduct)
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ id: 10, orderType: 'TrailingStop' });
+
+      // Act
+      const result = await handlePlaceOrder(buildPlaceRequest({
+        action: 'Sell',
+        orderType: 'TrailingStop',
+        trailOffset: 8
+      }));
+
+      // Assert
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('GET', 'product/item?id=473');
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        orderType: 'TrailingStop',
+        pegDifference: -2
+      }));
+      expect(result.content[0].text).toContain('Order placed successfully');
+    });
+
+    it('should accept a price offset that is a multiple of the tick size', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ ...mockContract, providerTickSize: 0.25 })
+        .mockResolvedValueOnce([{ id: 12345 }])
+        .mockResolvedValueOnce({ id: 11, orderType: 'TrailingStopLimit' });
+
+      await handlePlaceOrder(buildPlaceRequest({
+        action: 'Buy',
+        orderType: 'TrailingStopLimit',
+        price: 5001,
+        trailOffset: 1.5,
+        trailOffsetUnit: 'Price'
+      }));
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/placeorder', expect.objectContaining({
+        orderType: 'TrailingStopLimit',
+        price: 5001,
+        pegDifference: 1.5
+      }));
+    });
+
+    it('should reject a price offset that is not a multiple of the tick size', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce(mockContract)
+        .mockResolvedValueOnce(mockProduct);
+
+      const result = await handlePlaceOrder(buildPlaceRequest({
+        action: 'Sell',
+        orderType: 'TrailingStop',
+        trailOffset: 1.1,
+        trailOffsetUnit: 'Price'
+      }));
+
+      expect(result.content[0].text).toBe('Trail offset 1.1 is not a multiple of the tick size 0.25');
+      expect(auth.tradovateRequest).not.toHaveBeenCalledWith('POST', 'order/placeorder', expect.anything());
+    });
+
+    it('should reject a non-positive offset', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce(mockContract)
+        .mockResolvedValueOnce(mockProduct);
+
+      const result = await handlePlaceOrder(buildPlaceRequest({
+        action: 'Sell',
+        orderType: 'TrailingStop',
+        trailOffset: 0
+      }));
+
+      expect(result.content[0].text).toBe('Trail offset must be positive, got 0');
+    });
+
+    it('should require a trail offset for trailing orders', async () => {
+      await expect(handlePlaceOrder(buildPlaceRequest({
+        action: 'Sell',
+        orderType: 'TrailingStop'
+      }))).rejects.toThrow('Trail offset is required for TrailingStop and TrailingStopLimit orders');
+    });
+  });
+
+  describe('handleModifyOrder', () => {
+    it('should change the trail distance of a trailing order', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 10, contractId: 1, action: 'Sell', orderType: 'TrailingStop' })
+        .mockResolvedValueOnce(mockContract)
+        .mockResolvedValueOnce(mockProduct)
+        .mockResolvedValueOnce({ id: 10, pegDifference: -3 });
+
+      const result = await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '10', trailOffset: 12 } }
+      });
+
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('GET', 'contract/item?id=1');
+      expect(auth.tradovateRequest).toHaveBeenCalledWith('POST', 'order/modifyOrder', {
+        orderId: 10,
+        pegDifference: -3
+      });
+      expect(result.content[0].text).toContain('Order modified successfully');
+    });
+
+    it('should refuse to set a trail offset on a non-trailing order', async () => {
+      auth.tradovateRequest
+        .mockResolvedValueOnce({ id: 12, contractId: 1, action: 'Buy', orderType: 'Limit' });
+
+      const result = await handleModifyOrder({
+        params: { name: 'modify_order', arguments: { orderId: '12', trailOffset: 4 } }
+      });
+
+      expect(result.content[0].text).toBe('Cannot change the trail offset of Limit order 12');
+    });
+  });
+});